@@ -0,0 +1,7 @@
+// Used by Jest only: the browser and tsc builds load the ES modules directly
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    '@babel/preset-typescript'
+  ]
+};
@@ -20,6 +20,34 @@ export function validateConfig(config = GameConfig) {
     errors.push('Saber length must be positive');
   }
 
+  if (config.arena.shape && !['rectangle', 'circle', 'polygon'].includes(config.arena.shape.type)) {
+    errors.push("Arena shape must be 'rectangle', 'circle' or 'polygon'");
+  }
+  if (config.arena.pickups?.enabled && config.arena.pickups.spawnInterval <= 0) {
+    errors.push('Pickup spawn interval must be positive');
+  }
+  const lidarRays = config.rl?.observation?.lidar?.rays ?? 0;
+  if (!Number.isInteger(lidarRays) || lidarRays < 0) {
+    errors.push('Lidar ray count must be a non-negative integer');
+  }
+  const raster = config.rl?.observation?.raster;
+  if (raster?.enabled) {
+    if (!Number.isInteger(raster.width) || !Number.isInteger(raster.height) || raster.width < 1 || raster.height < 1) {
+      errors.push('Occupancy grid width and height must be positive integers');
+    }
+    if (!Array.isArray(raster.channels) || raster.channels.length === 0) {
+      errors.push('Occupancy grid needs at least one channel');
+    }
+  }
+  if (config.arena.storm?.enabled) {
+    if (!['damage', 'eliminate'].includes(config.arena.storm.mode)) {
+      errors.push("Storm mode must be 'damage' or 'eliminate'");
+    }
+    if (!Array.isArray(config.arena.storm.schedule) || config.arena.storm.schedule.length === 0) {
+      errors.push('Storm schedule needs at least one keyframe');
+    }
+  }
+
   // Validate game configuration
   if (config.game.playerSpeed <= 0) {
     errors.push('Player speed must be positive');
@@ -27,6 +55,32 @@ export function validateConfig(config = GameConfig) {
   if (config.game.aiSpeed <= 0) {
     errors.push('AI speed must be positive');
   }
+  if (config.game.numPlayers !== undefined &&
+      (!Number.isInteger(config.game.numPlayers) || config.game.numPlayers < 2 || config.game.numPlayers > 8)) {
+    errors.push('Number of players must be an integer between 2 and 8');
+  }
+  if (config.saber.controls?.enabled && config.saber.controls.boostMultiplier <= 0) {
+    errors.push('Saber boost multiplier must be positive');
+  }
+  if (config.game.actions && !['discrete', 'continuous'].includes(config.game.actions.mode)) {
+    errors.push("Action mode must be 'discrete' or 'continuous'");
+  }
+  if (config.game.health?.enabled) {
+    if (config.game.health.maxHealth <= 0 || config.game.health.damagePerHit <= 0) {
+      errors.push('Max health and damage per hit must be positive');
+    }
+  }
+  if (config.game.teams?.enabled) {
+    const teamPlayers = config.game.teams.count * config.game.teams.size;
+    if (!Number.isInteger(teamPlayers) || config.game.teams.count < 2 || teamPlayers > 8) {
+      errors.push('Team mode needs at least 2 teams and at most 8 players in total');
+    }
+  }
+
+  // Validate physics configuration
+  if (config.physics && (!Number.isInteger(config.physics.subSteps) || config.physics.subSteps < 1)) {
+    errors.push('Physics sub-steps must be a positive integer');
+  }
 
   // Validate RL configuration
   if (config.rl.learningRate <= 0 || config.rl.learningRate > 1) {
@@ -56,9 +110,17 @@ export function validateConfig(config = GameConfig) {
   if (config.rl.rewards.loss >= 0) {
     warnings.push('Loss reward should be negative');
   }
-  if (config.rl.rewards.timePenalty > 0) {
+  if (resolveRewardTerms(config.rl.rewards).time > 0) {
     warnings.push('Time penalty should be negative');
   }
+  for (const [key, [name]] of Object.entries(LEGACY_REWARD_TERMS)) {
+    if (config.rl.rewards[key] != null) {
+      warnings.push(`rl.rewards.${key} is deprecated: use rl.rewards.terms.${name}`);
+    }
+  }
+  if (config.rl.rewards.timePenaltyThreshold) {
+    warnings.push('rl.rewards.timePenaltyThreshold is not supported and is ignored');
+  }
 
   // Validate performance settings
   if (config.rl.maxMemoryUsage <= 0) {
@@ -75,6 +137,27 @@ export function validateConfig(config = GameConfig) {
   };
 }
 
+// Reward keys from before rl.rewards.terms: key -> [term, weight per unit of the old value]
+const LEGACY_REWARD_TERMS = {
+  timePenalty: ['time', 1],                  // Per second
+  distancePenaltyFactor: ['distance', -1],   // Applied as -factor * distance per second
+  deltaDistanceRewardFactor: ['approach', 1] // Per unit of distance closed
+};
+
+/**
+ * Get the reward term weights for RewardShaper, mapping legacy reward keys onto their terms
+ * A legacy key overrides its term, so older configs keep their values over the defaults.
+ * @param {Object} rewards - Reward settings (config.rl.rewards)
+ * @returns {Object} Term weights by name
+ */
+export function resolveRewardTerms(rewards = {}) {
+  const terms = { ...rewards.terms };
+  for (const [key, [name, scale]] of Object.entries(LEGACY_REWARD_TERMS)) {
+    if (rewards[key] != null) terms[name] = scale * rewards[key];
+  }
+  return terms;
+}
+
 /**
  * Apply default values to configuration
  * @param {Object} config - Configuration object
@@ -107,8 +190,10 @@ export function applyDefaults(config) {
       rewards: {
         win: 1.0,
         loss: -1.0,
-        timePenalty: -0.01,
-        maxGameLength: 60
+        maxGameLength: 60,
+        terms: {
+          time: -0.01
+        }
       }
     }
   };
@@ -143,7 +228,55 @@ export const GameConfig = {
     height: 12,       // Arena height in units
     backgroundColor: '#1a1a1a',
     borderColor: '#ffffff',
-    borderWidth: 2
+    borderWidth: 2,
+    // Playable shape inside width x height: { type: 'rectangle' },
+    // { type: 'circle', x, y, radius } (defaults: centered, largest fitting circle) or
+    // { type: 'polygon', points: [{x, y}, ...] } (convex)
+    shape: { type: 'rectangle' },
+    // Static obstacles: { type: 'circle', x, y, radius }, { type: 'rect', x, y, width, height }
+    // (x, y = top-left) or { type: 'polygon', points: [{x, y}, ...] }
+    obstacles: [],
+    obstaclesBlockSabers: false, // Whether blades are cut off where they touch an obstacle
+    obstacleRays: 0,            // Ray-cast obstacle/wall distances in observations (0 = off)
+    // Shrinking safe zone ("storm") centered on the arena, starting around the whole arena
+    storm: {
+      enabled: false,
+      mode: 'damage',           // 'damage' (damagePerSecond outside) or 'eliminate' (instant loss outside)
+      damagePerSecond: 1,       // Health lost per second outside the safe zone
+      // Safe radius keyframes over simulated time, as a fraction of the starting radius
+      schedule: [
+        { time: 15, radius: 1 },
+        { time: 45, radius: 0.15 }
+      ]
+    },
+    // Timed hazards (map hazards are always active; these settings add random spawns)
+    hazards: {
+      enabled: false,
+      spawnInterval: 6,         // Seconds between spawns
+      maxActive: 3,             // Spawned hazards alive at once
+      lifetime: 8,              // Seconds a spawned hazard lasts
+      types: ['damage', 'slow', 'blade'],
+      radius: 1.2,              // Damage zone and slow field radius
+      damagePerSecond: 1,       // Damage zone health drain
+      slowFactor: 0.5,          // Slow field movement speed multiplier
+      bladeLength: 1.5,         // Spinning blade reach from its hub
+      bladeRotationSpeed: 3,    // Spinning blade radians per second
+      bladeDamage: 1            // Spinning blade damage per hit
+    },
+    // Power-up pickups, applied as temporary modifiers to whoever touches them first
+    pickups: {
+      enabled: false,
+      spawnInterval: 5,         // Seconds between spawns
+      maxActive: 2,             // Pickups lying in the arena at once
+      lifetime: 10,             // Seconds an uncollected pickup lasts (null = until collected)
+      radius: 0.4,
+      types: ['speed', 'saber', 'shield', 'spin'],
+      duration: 5,              // Seconds a collected modifier lasts
+      speedMultiplier: 1.5,     // Movement speed while 'speed' is active
+      saberMultiplier: 1.5,     // Saber length while 'saber' is active
+      spinMultiplier: 1.5,      // Saber rotation speed while 'spin' is active
+      observed: 2               // Nearest pickups included in observations
+    }
   },
 
   // Player settings
@@ -167,7 +300,23 @@ export const GameConfig = {
     length: 2,        // Saber length in units
     rotationSpeed: 2 * Math.PI, // 1 full rotation per second (radians per second)
     color: '#ffff00', // Yellow color for sabers
-    width: 3          // Saber line width in pixels
+    width: 3,         // Saber line width in pixels
+    // Player-driven saber actions: extra [reverse, boost, retract] action bits
+    controls: {
+      enabled: false,
+      reverseCooldown: 1.0,      // Seconds between spin reversals
+      boostMultiplier: 2.0,      // Spin speed multiplier while boosted
+      boostDuration: 0.5,        // Seconds a boost lasts
+      boostCooldown: 3.0,        // Seconds between boosts (from activation)
+      boostMovementFactor: 0.5,  // Movement speed multiplier while boosted (the cost of boosting)
+      retractDuration: 0.75,     // Seconds the saber stays retracted (it cannot hit)
+      retractCooldown: 3.0       // Seconds between retractions (from activation)
+    },
+    // Blade-on-blade clashes: crossing blades bounce back and reverse spin
+    clash: {
+      enabled: false,
+      stunTime: 0.25             // Seconds both owners cannot move or use saber controls
+    }
   },
 
   // Rendering settings
@@ -202,7 +351,39 @@ export const GameConfig = {
       GAME_OVER: 'gameOver',
       TIE: 'tie'
     },
-    spawnMinDistance: 3 // Minimum distance between spawned entities (units)
+    numPlayers: 2,      // 2 = duel, 3-8 = free-for-all (last saber standing)
+    // Movement action schema: 'discrete' = [W, A, S, D] bits (8 directions),
+    // 'continuous' = [vx, vy] in [-1, 1] (clipped, magnitude capped at 1)
+    actions: {
+      mode: 'discrete',
+      throttle: false     // Continuous only: extra [throttle] in [-1, 1] scaling speed from 0 to full
+    },
+    // Health system: when disabled, a single saber contact eliminates a player
+    health: {
+      enabled: false,
+      maxHealth: 3,             // Hit points per player
+      damagePerHit: 1,          // Hit points removed per saber contact
+      invulnerabilityTime: 0.5, // Seconds a player cannot be hit again after a hit
+      knockbackSpeed: 8,        // Units per second pushed away from the attacker on hit
+      knockbackDamping: 6       // Exponential knockback decay rate per second
+    },
+    // Team mode: consecutive player indices form a team (team = floor(index / size)).
+    // When enabled, the player count is count * size and numPlayers is ignored.
+    teams: {
+      enabled: false,
+      count: 2,           // Number of teams
+      size: 2,            // Players per team (2 = 2v2, 3 = 3v3)
+      friendlyFire: false // Whether sabers can hit teammates
+    },
+    spawnMinDistance: 3, // Minimum distance between spawned entities (units)
+    map: null,           // Map id to play on (null = arena from the arena section)
+    mapPool: [],         // Map ids sampled per episode (overrides map when non-empty)
+    seed: null // Master seed for episode seeds (null = random). reset(seed) overrides per episode
+  },
+
+  // Physics settings
+  physics: {
+    subSteps: 1 // Integration and collision passes per step() (agents still act once per step)
   },
 
   // Performance settings
@@ -251,13 +432,47 @@ export const GameConfig = {
       win: 1.0,
       loss: -1.0,
       tie: 0.0,
-      timePenalty: -0.05, // Per second penalty
-      // timePenalty: 0.0, // Per second penalty
-      timePenaltyThreshold: 0, // Start applying time penalty after this many seconds
       maxGameLength: 60,   // Max game length in seconds
-      // distancePenaltyFactor: -1.0 // Per second penalty proportional to distance (distance * factor)
-      distancePenaltyFactor: 0.0, // Per second penalty proportional to distance (distance * factor)
-      deltaDistanceRewardFactor: 0.1 // Per second reward for getting closer (deltaDistance * factor * deltaTime)
+      // Per-step shaping terms (see RewardShaper), computed for every player still in the
+      // episode: weight, or { weight, ...params }; 0 = off. Negative weights are penalties
+      terms: {
+        time: -0.05,       // Per second in the episode
+        survival: 0.0,     // Per second alive, scaled by remaining health
+        distance: 0.0,     // Distance to the nearest opponent, per second
+        approach: 0.1,     // Decrease in distance to the nearest opponent since the last step
+        proximity: 0.0,    // Closeness to the nearest opponent (1 = same spot), per second
+        nearMiss: { weight: 0.0, range: 1.0 },    // Opponent blades passing close, per second
+        wallHugging: { weight: 0.0, range: 1.0 }, // Closeness to the arena boundary, per second
+        facing: 0.0,       // Cosine between own blade and the nearest opponent, per second
+        clash: 0.0         // Clashes taken part in this step
+      }
+    },
+
+    // Observation layout: a list of features, each a name or { name, normalizer, ...params }
+    // (see ObservationBuilder). null = the layout implied by the enabled game systems
+    observation: {
+      // 'world' = arena coordinates; 'egocentric' = other players, their sabers and the walls
+      // relative to the observing player, rotated so its facing (last movement direction)
+      // points along +x. Movement actions stay in world coordinates: add 'heading' to a custom
+      // feature list if a policy needs the frame's world orientation
+      frame: 'world',
+      // Ray sensor: rays evenly spaced around each player reporting the distance and type
+      // (wall, body, blade) of the first hit; included in the default layout when rays > 0
+      lidar: {
+        rays: 0,
+        range: null // Sensing distance in units (null = arena diagonal)
+      },
+      // Top-down occupancy grid per player (see OccupancyGrid), appended after the vector
+      // features as [height, width, channels] values; see SaberGameCore.getObservationShape()
+      raster: {
+        enabled: false,
+        width: 64,
+        height: 64,
+        channels: ['self', 'opponents', 'blades', 'walls'] // Also: teammates, hazards, pickups
+      },
+      features: null
+      // features: ['position', 'velocity', 'saberAngle', 'saberSpeed', 'saberTip',
+      //            { name: 'relativeAngle' }, { name: 'wallDistance', normalizer: 'tanh' }, 'time']
     },
 
     // Rollout configuration
@@ -8,6 +8,14 @@ import { Renderer } from './Renderer.js';
 import { HumanController } from './controllers/HumanController.js';
 import { RandomController } from './controllers/RandomController.js';
 import { DemonstrationCollector } from '../MimicRL/bc/DemonstrationCollector.js';
+import { ReplayRecorder } from './replay/ReplayRecorder.js';
+import { mathRandom } from '../utils/SeededRandom.js';
+
+// Simulation speeds offered by the UI: slow motion, real time, fast-forward and 'max'
+export const TIME_SCALES = [0.25, 0.5, 1, 2, 4, 'max'];
+const MAX_TIME_SCALE = 16;
+// In 'max' mode the loop steps for this many ms per frame, leaving the rest for rendering
+const MAX_MODE_STEP_BUDGET = 12;
 
 export class GameLoop {
   /**
@@ -22,7 +30,9 @@ export class GameLoop {
     const actionSpaces = (core && typeof core.getActionSpaces === 'function') 
       ? core.getActionSpaces() 
       : null;
-    this.opponentController = new RandomController(actionSpaces);
+    // Random opponents are reseeded from every episode's seed (see seedControllers)
+    this.opponentRandom = mathRandom;
+    this.opponentController = new RandomController(actionSpaces, this.opponentRandom);
     this.renderer = renderer instanceof Renderer ? renderer : null;
     this.lastState = null;  // Store full GameState
     this.playerActionInterval = (GameConfig?.rl?.rollout?.actionIntervalSeconds ?? 0.2);
@@ -30,11 +40,17 @@ export class GameLoop {
     this.opponentDecisionTimer = this.playerActionInterval; // allow immediate first decision
     this._lastAction = null;  // Store last action (number array)
     this._lastOpponentAction = null;  // Will be set on first decision
+    // Controllers for players 2..N-1 in free-for-all games (RandomController unless assigned)
+    this.additionalControllers = [];
+    this.additionalDecisionTimers = [];
+    this._lastAdditionalActions = [];
     this._isRunning = false;
     this.lastTime = 0;
     this.accumulator = 0;
     this.frameTime = 1000 / GameConfig.rendering.targetFPS; // Target frame time in ms
     this.maxFrameTime = this.frameTime * 2; // Maximum frame time to prevent spiral of death
+    this.stepTime = this.frameTime; // Simulation step in ms, independent of the render rate
+    this.timeScale = 1; // Simulated time per real time, or 'max' to step as fast as possible
     
     // Performance monitoring
     this.frameCount = 0;
@@ -64,6 +80,10 @@ export class GameLoop {
     this.lastRecordedAction = null;  // Last action that was recorded
     this.lastRecordedTime = 0;      // Timestamp of last recording
     this.bcActionInterval = this.playerActionInterval;  // Use same interval as action decisions
+
+    // Replay recording: every player's actions, episode by episode
+    this.replayRecorder = null;
+    this.onReplayComplete = null;  // Callback with the replay when a recorded episode ends
   }
 
   /**
@@ -102,8 +122,66 @@ export class GameLoop {
         outcome: null
       };
     }
+    // The core was reset: a replay in progress restarts with the new episode
+    if (this.replayRecorder) this.replayRecorder.start(this.core);
+    this.seedControllers();
     // ensure first frame decides immediately after reset
     this.playerDecisionTimer = this.playerActionInterval;
+    this.additionalDecisionTimers = [];
+    this._lastAdditionalActions = [];
+  }
+
+  /**
+   * Create a random source for a player's controller from the core's episode seed
+   * @param {number} playerIndex - Player the controller drives
+   * @returns {Object} Random source with next() (Math.random when the core cannot derive one)
+   */
+  createControllerRandom(playerIndex) {
+    return typeof this.core?.createControllerRandom === 'function'
+      ? this.core.createControllerRandom(playerIndex)
+      : mathRandom;
+  }
+
+  /**
+   * Reseed the random opponents from the new episode's seed, so an episode played through
+   * the loop can be replayed bit-for-bit from its seed (call after every core reset)
+   */
+  seedControllers() {
+    this.opponentRandom = this.createControllerRandom(1);
+    if (typeof this.opponentController?.setRandom === 'function') {
+      this.opponentController.setRandom(this.opponentRandom);
+    }
+    this.additionalControllers.forEach((controller, i) => {
+      if (typeof controller?.setRandom === 'function') controller.setRandom(this.createControllerRandom(i));
+    });
+  }
+
+  /**
+   * Decide actions for players beyond the first opponent (free-for-all games)
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {Array} Actions for players 2..N-1
+   */
+  decideAdditionalActions(deltaTime) {
+    const numPlayers = typeof this.core.getNumPlayers === 'function' ? this.core.getNumPlayers() : 2;
+    const actions = [];
+    for (let i = 2; i < numPlayers; i++) {
+      if (!this.additionalControllers[i]) {
+        this.additionalControllers[i] = new RandomController(this.core.getActionSpaces(), this.createControllerRandom(i));
+      }
+      // Throttle decisions like the first opponent
+      const timer = (this.additionalDecisionTimers[i] ?? this.playerActionInterval) + deltaTime;
+      let action = this._lastAdditionalActions[i];
+      if (timer >= this.playerActionInterval || !action) {
+        const observation = this.lastState?.observations?.[i] || new Array(this.core.getObservationSize()).fill(0);
+        action = this.additionalControllers[i].decide(observation) || new Array(this.core.getActionSize()).fill(0);
+        this._lastAdditionalActions[i] = action;
+        this.additionalDecisionTimers[i] = 0;
+      } else {
+        this.additionalDecisionTimers[i] = timer;
+      }
+      actions.push(action);
+    }
+    return actions;
   }
 
   /**
@@ -133,6 +211,32 @@ export class GameLoop {
     return this.isRecordingDemonstration;
   }
 
+  /**
+   * Enable replay recording, starting with the current episode
+   * @param {Object} options - ReplayRecorder options ({includeConfig})
+   */
+  startReplayRecording(options = {}) {
+    this.replayRecorder = new ReplayRecorder(GameConfig, options);
+  }
+
+  /**
+   * Disable replay recording
+   * @returns {Object|null} Replay of the unfinished episode, or null if nothing was recorded
+   */
+  stopReplayRecording() {
+    const replay = this.replayRecorder ? this.replayRecorder.finish() : null;
+    this.replayRecorder = null;
+    return replay;
+  }
+
+  /**
+   * Check if replays are being recorded
+   * @returns {boolean} True while replay recording is enabled
+   */
+  getRecordingReplay() {
+    return this.replayRecorder !== null;
+  }
+
   /**
    * Helper method to compare two arrays for equality
    * @param {Array} a - First array
@@ -187,21 +291,18 @@ export class GameLoop {
       deltaTime = this.maxFrameTime;
     }
     
-    // Add delta time to accumulator
-    this.accumulator += deltaTime;
-    
-    // Update game logic at fixed timestep
-    while (this.accumulator >= this.frameTime) {
-      try {
-        this.update(this.frameTime / 1000); // Convert to seconds
-        this.accumulator -= this.frameTime;
-      } catch (error) {
-        console.error('Error in game update:', error);
-        if (this.onError) {
-          this.onError(error);
-        }
-        this.stop();
-        return;
+    // Update game logic at fixed timestep (several steps per frame when fast-forwarding)
+    if (this.timeScale === 'max') {
+      const stepDeadline = currentTime + MAX_MODE_STEP_BUDGET;
+      do {
+        if (!this.runStep()) return;
+      } while (this._isRunning && performance.now() < stepDeadline);
+      this.accumulator = 0;
+    } else {
+      this.accumulator += deltaTime * this.timeScale;
+      while (this._isRunning && this.accumulator >= this.stepTime) {
+        if (!this.runStep()) return;
+        this.accumulator -= this.stepTime;
       }
     }
     
@@ -224,6 +325,43 @@ export class GameLoop {
     this.animationFrameId = requestAnimationFrame(() => this.loop());
   }
 
+  /**
+   * Run one fixed simulation step, stopping the loop if it fails
+   * @returns {boolean} True if the step succeeded
+   */
+  runStep() {
+    try {
+      this.update(this.stepTime / 1000); // Convert to seconds
+      return true;
+    } catch (error) {
+      console.error('Error in game update:', error);
+      if (this.onError) {
+        this.onError(error);
+      }
+      if (this._isRunning) this.stop();
+      return false;
+    }
+  }
+
+  /**
+   * Advance a paused game by a single simulation step and render it
+   * @returns {boolean} True if a step was taken
+   */
+  stepOnce() {
+    if (!this.canStep()) return false;
+    const stepped = this.runStep();
+    if (stepped) this.render();
+    return stepped;
+  }
+
+  /**
+   * Check if the game can be single-stepped (paused with an episode in progress)
+   * @returns {boolean} True if stepOnce() would take a step
+   */
+  canStep() {
+    return !this._isRunning && this.core !== null && this.lastState !== null && !this.lastState.done;
+  }
+
   /**
    * Update game logic
    * @param {number} deltaTime - Time since last update in seconds
@@ -234,6 +372,7 @@ export class GameLoop {
       // Initialize state if needed
       if (!this.lastState) {
         this.lastState = this.core.reset();
+        this.seedControllers();
         
         // If recording is active, start a new episode
         if (this.isRecordingDemonstration) {
@@ -280,7 +419,7 @@ export class GameLoop {
             // Fallback: generate random action if controller didn't return valid action
             console.warn('Opponent controller returned invalid action, using random fallback');
             for (let i = 0; i < this.core.getActionSize(); i++) {
-              opponentAction[i] = Math.random() < 0.5 ? 1 : 0;
+              opponentAction[i] = this.opponentRandom.next() < 0.5 ? 1 : 0;
             }
             this._lastOpponentAction = opponentAction;
           }
@@ -302,9 +441,15 @@ export class GameLoop {
       
       const actions = [
         action,  // Player 0 action
-        opponentAction  // Player 1 action
+        opponentAction,  // Player 1 action
+        ...this.decideAdditionalActions(deltaTime)  // Players 2..N-1 (free-for-all)
       ];
       
+      // A recording starts with the first step it sees (mid-episode recordings begin with a snapshot)
+      if (this.replayRecorder) {
+        if (!this.replayRecorder.isRecording()) this.replayRecorder.start(this.core);
+        this.replayRecorder.record(actions, deltaTime);
+      }
       const result = this.core.step(actions, deltaTime);
       this.lastState = result || this.lastState;
       
@@ -330,6 +475,12 @@ export class GameLoop {
       }
       
       if (result && result.done) {
+        // Hand over the finished replay; recording continues with the next episode
+        if (this.replayRecorder) {
+          const replay = this.replayRecorder.finish(result.outcome);
+          if (this.onReplayComplete && replay) this.onReplayComplete(replay);
+        }
+
         // End demonstration recording if active
         if (this.isRecordingDemonstration) {
           const episode = this.demonstrationCollector.endEpisode({
@@ -347,13 +498,14 @@ export class GameLoop {
         
         if (this.onGameEnd) {
           // Convert outcome array to legacy format for compatibility
+          const winnerIndex = result.outcome ? result.outcome.indexOf('win') : -1;
           const legacyOutcome = result.outcome ? {
-            isTie: result.outcome[0] === 'tie',
-            winnerId: result.outcome[0] === 'win' ? 'player-1' : (result.outcome[0] === 'loss' ? 'ai-1' : null)
+            isTie: winnerIndex === -1,
+            winnerId: winnerIndex === 0 ? 'player-1' : (winnerIndex > 0 ? `ai-${winnerIndex}` : null)
           } : null;
           this.onGameEnd(legacyOutcome);
         }
-        this.stop();
+        if (this._isRunning) this.stop();
         return;
       }
     }
@@ -429,7 +581,7 @@ export class GameLoop {
   }
 
   /**
-   * Set target FPS
+   * Set target FPS (the simulation step stays the same, see setTimeScale)
    * @param {number} fps - New target FPS
    */
   setTargetFPS(fps) {
@@ -441,6 +593,28 @@ export class GameLoop {
     this.maxFrameTime = this.frameTime * 2;
   }
 
+  /**
+   * Get the simulation time scale
+   * @returns {number|string} Simulated seconds per real second, or 'max'
+   */
+  getTimeScale() {
+    return this.timeScale;
+  }
+
+  /**
+   * Set the simulation time scale: below 1 is slow motion, above 1 runs several steps per
+   * frame, 'max' steps for most of every frame. The step size never changes, so episodes
+   * play out the same at any speed.
+   * @param {number|string} scale - Simulated seconds per real second (0 < scale <= 16), or 'max'
+   */
+  setTimeScale(scale) {
+    if (scale !== 'max' && !(scale > 0 && scale <= MAX_TIME_SCALE)) {
+      throw new Error(`Invalid time scale: ${scale}. Must be in (0, ${MAX_TIME_SCALE}] or 'max'`);
+    }
+    this.timeScale = scale;
+    this.accumulator = 0;
+  }
+
   /**
    * Check if game loop is running
    * @returns {boolean} True if running
@@ -484,6 +658,8 @@ export class GameLoop {
       averageFrameTime: this.averageFrameTime,
       frameTime: this.frameTime,
       maxFrameTime: this.maxFrameTime,
+      stepTime: this.stepTime,
+      timeScale: this.timeScale,
       isRunning: this._isRunning
     };
   }
@@ -508,6 +684,8 @@ export class GameLoop {
       isRunning: this._isRunning,
       frameTime: this.frameTime,
       maxFrameTime: this.maxFrameTime,
+      stepTime: this.stepTime,
+      timeScale: this.timeScale,
       currentFPS: this.currentFPS,
       averageFrameTime: this.averageFrameTime
     };
@@ -521,6 +699,8 @@ export class GameLoop {
     this._isRunning = state.isRunning;
     this.frameTime = state.frameTime;
     this.maxFrameTime = state.maxFrameTime;
+    this.stepTime = state.stepTime ?? state.frameTime;
+    this.timeScale = state.timeScale ?? 1;
     this.currentFPS = state.currentFPS;
     this.averageFrameTime = state.averageFrameTime;
   }
@@ -530,6 +710,6 @@ export class GameLoop {
    * @returns {string} String representation
    */
   toString() {
-    return `GameLoop(running: ${this._isRunning}, fps: ${this.currentFPS}, target: ${this.getTargetFPS()})`;
+    return `GameLoop(running: ${this._isRunning}, fps: ${this.currentFPS}, target: ${this.getTargetFPS()}, speed: ${this.timeScale})`;
   }
 }
@@ -3,7 +3,13 @@ export class Renderer {
     this.canvas = canvas || null;
     this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
     this.theme = {
-      colors: { bg: '#111', player: '#2196F3', ai: '#f44336' }
+      colors: {
+        bg: '#111',
+        player: '#2196F3',
+        ai: '#f44336',
+        // Additional opponents in free-for-all games
+        extra: ['#4CAF50', '#FF9800', '#9C27B0', '#00BCD4', '#FFEB3B', '#E91E63']
+      }
     };
     this.scale = 1;
     this.offset = { x: 0, y: 0 };
@@ -18,8 +24,9 @@ export class Renderer {
     ctx.fillRect(0, 0, width, height);
 
     // Compute world->screen scale and offset (match legacy RenderSystem)
-    const arenaWidth = core.arena?.width || width;
-    const arenaHeight = core.arena?.height || height;
+    const bounds = core.arena?.bounds || { minX: 0, minY: 0, maxX: width, maxY: height };
+    const arenaWidth = bounds.maxX - bounds.minX;
+    const arenaHeight = bounds.maxY - bounds.minY;
     const padding = 50;
     const scaleX = (width - padding * 2) / arenaWidth;
     const scaleY = (height - padding * 2) / arenaHeight;
@@ -30,13 +37,13 @@ export class Renderer {
     };
 
     const gameToCanvas = (pos) => ({
-      x: pos.x * this.scale + this.offset.x,
-      y: pos.y * this.scale + this.offset.y
+      x: (pos.x - bounds.minX) * this.scale + this.offset.x,
+      y: (pos.y - bounds.minY) * this.scale + this.offset.y
     });
 
     // Draw arena rect
-    const topLeft = gameToCanvas({ x: 0, y: 0 });
-    const bottomRight = gameToCanvas({ x: arenaWidth, y: arenaHeight });
+    const topLeft = gameToCanvas({ x: bounds.minX, y: bounds.minY });
+    const bottomRight = gameToCanvas({ x: bounds.maxX, y: bounds.maxY });
     const arenaRect = {
       x: topLeft.x,
       y: topLeft.y,
@@ -45,109 +52,348 @@ export class Renderer {
     };
     
     // Fill arena background
-    ctx.fillStyle = '#222';
-    ctx.fillRect(arenaRect.x, arenaRect.y, arenaRect.width, arenaRect.height);
-    
-    // Draw arena edges with glow effect
-    this.renderGlowingRect(ctx, arenaRect, '#888', 1);
+    const arenaTheme = core.arena?.theme || {};
+    const shape = core.arena?.getShape?.() || { type: 'rectangle' };
+    ctx.fillStyle = arenaTheme.background || '#222';
+    if (shape.type === 'rectangle') {
+      ctx.fillRect(arenaRect.x, arenaRect.y, arenaRect.width, arenaRect.height);
+      
+      // Draw arena edges with glow effect
+      this.renderGlowingRect(ctx, arenaRect, arenaTheme.border || '#888', 1);
+    } else {
+      const traceShape = () => this.traceArenaShape(ctx, shape, gameToCanvas);
+      traceShape();
+      ctx.fill();
+      this.renderGlowingPath(ctx, traceShape, arenaTheme.border || '#888', 1);
+    }
+
+    // Draw obstacles
+    for (const obstacle of core.arena?.getObstacles?.() || []) {
+      this.renderObstacle(ctx, obstacle, gameToCanvas, arenaTheme.obstacle);
+    }
+
+    // Draw hazards and pickups
+    for (const hazard of core.arena?.getHazards?.() || []) {
+      this.renderHazard(ctx, hazard, gameToCanvas);
+    }
+    for (const pickup of core.arena?.getPickups?.() || []) {
+      this.renderPickup(ctx, pickup, gameToCanvas);
+    }
+
+    // Draw the storm's closing boundary
+    const safeZone = core.getSafeZone?.();
+    if (safeZone) {
+      this.renderSafeZone(ctx, safeZone, gameToCanvas, () => {
+        if (shape.type === 'rectangle') {
+          ctx.beginPath();
+          ctx.rect(arenaRect.x, arenaRect.y, arenaRect.width, arenaRect.height);
+        } else {
+          this.traceArenaShape(ctx, shape, gameToCanvas);
+        }
+      });
+    }
 
     // Draw sabers first (behind players)
-    const p = core.players?.[0];
-    const a = core.ais?.[0];
-
-    // Draw player's saber with glow effect
-    if (p && p.saber) {
-      const ends = p.saber.getEndpoints(p.position);
-      // Offset base to start from player's edge instead of center
-      const direction = {
-        x: ends.tip.x - ends.base.x,
-        y: ends.tip.y - ends.base.y
-      };
-      const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
-      if (length > 0) {
-        const normalized = { x: direction.x / length, y: direction.y / length };
-        const playerRadius = (p.radius || 10);
-        const gapSize = 0.2; // Small gap between player edge and saber base
-        const offsetBase = {
-          x: ends.base.x + normalized.x * (playerRadius + gapSize),
-          y: ends.base.y + normalized.y * (playerRadius + gapSize)
-        };
-        const base = gameToCanvas(offsetBase);
-        const tip = gameToCanvas(ends.tip);
-        this.renderLightsaber(ctx, base, tip, this.theme.colors.player, 4);
+    // Entity i is player index i: player-1, ai-1, ai-2, ...
+    const entities = [...(core.players || []), ...(core.ais || [])];
+    // In team modes, teammates share their team's color
+    const colorOf = (entity, index) => this.getEntityColor(entity.team ?? index);
+    entities.forEach((entity, index) => {
+      if (entity.isAlive && entity.saber && entity.saber.isActive()) {
+        this.renderEntitySaber(ctx, entity, colorOf(entity, index), gameToCanvas, core.arena);
       }
+    });
+
+    // Draw players on top of sabers
+    entities.forEach((entity, index) => {
+      this.renderEntityBody(ctx, entity, colorOf(entity, index), entities, gameToCanvas);
+    });
+
+    // Draw sparks where blades recently clashed
+    for (const clash of core.getRecentClashes?.() || []) {
+      this.renderClashSpark(ctx, gameToCanvas(clash.point), clash.age);
     }
+  }
 
-    // Draw AI's saber with glow effect
-    if (a && a.saber) {
-      const ends = a.saber.getEndpoints(a.position);
-      // Offset base to start from AI's edge instead of center
-      const direction = {
-        x: ends.tip.x - ends.base.x,
-        y: ends.tip.y - ends.base.y
-      };
-      const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
-      if (length > 0) {
-        const normalized = { x: direction.x / length, y: direction.y / length };
-        const aiRadius = (a.radius || 10);
-        const gapSize = 0.2; // Small gap between AI edge and saber base
-        const offsetBase = {
-          x: ends.base.x + normalized.x * (aiRadius + gapSize),
-          y: ends.base.y + normalized.y * (aiRadius + gapSize)
-        };
-        const base = gameToCanvas(offsetBase);
-        const tip = gameToCanvas(ends.tip);
-        this.renderLightsaber(ctx, base, tip, this.theme.colors.ai, 4);
-      }
+  /**
+   * Render a fading spark burst at a clash point
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} point - Clash point in canvas coordinates {x, y}
+   * @param {number} age - Spark age from 0 (fresh) to 1 (gone)
+   */
+  renderClashSpark(ctx, point, age) {
+    if (age < 0 || age >= 1) return;
+    const radius = (0.2 + age * 0.4) * this.scale;
+
+    ctx.save();
+    ctx.globalAlpha = 1 - age;
+    ctx.strokeStyle = '#fff';
+    ctx.shadowColor = '#fff';
+    ctx.shadowBlur = 12;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let k = 0; k < 8; k++) {
+      const angle = (k * Math.PI) / 4;
+      ctx.moveTo(point.x + Math.cos(angle) * radius * 0.4, point.y + Math.sin(angle) * radius * 0.4);
+      ctx.lineTo(point.x + Math.cos(angle) * radius, point.y + Math.sin(angle) * radius);
     }
+    ctx.stroke();
+    ctx.restore();
+  }
 
-    // Draw players on top of sabers
-    if (p) {
-      const pp = gameToCanvas(p.position);
-      const playerRadius = (p.radius || 10) * this.scale;
-      
-      // Draw player circle with gradient
-      const playerGradient = ctx.createRadialGradient(
-        pp.x - playerRadius * 0.3, pp.y - playerRadius * 0.3, 0,
-        pp.x, pp.y, playerRadius
-      );
-      playerGradient.addColorStop(0, this.lightenColor(this.theme.colors.player, 60));
-      playerGradient.addColorStop(1, this.theme.colors.player);
-      ctx.fillStyle = playerGradient;
-      ctx.beginPath();
-      ctx.arc(pp.x, pp.y, playerRadius, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Draw player eyes looking at opponent
-      if (a) {
-        const ap = gameToCanvas(a.position);
-        this.renderEyes(ctx, pp, playerRadius, ap, '#000');
-      }
+  /**
+   * Begin a path outlining a non-rectangular arena shape
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} shape - Arena shape ({type: 'circle', x, y, radius} or {type: 'polygon', points})
+   * @param {Function} gameToCanvas - World to canvas transform
+   */
+  traceArenaShape(ctx, shape, gameToCanvas) {
+    ctx.beginPath();
+    if (shape.type === 'circle') {
+      const center = gameToCanvas(shape);
+      ctx.arc(center.x, center.y, shape.radius * this.scale, 0, Math.PI * 2);
+    } else {
+      shape.points.forEach((point, i) => {
+        const p = gameToCanvas(point);
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.closePath();
     }
+  }
 
-    // Draw AI on top of sabers
-    if (a) {
-      const ap = gameToCanvas(a.position);
-      const aiRadius = (a.radius || 10) * this.scale;
-      
-      // Draw AI circle with gradient
-      const aiGradient = ctx.createRadialGradient(
-        ap.x - aiRadius * 0.3, ap.y - aiRadius * 0.3, 0,
-        ap.x, ap.y, aiRadius
-      );
-      aiGradient.addColorStop(0, this.lightenColor(this.theme.colors.ai, 60));
-      aiGradient.addColorStop(1, this.theme.colors.ai);
-      ctx.fillStyle = aiGradient;
+  /**
+   * Render the storm: tint the arena outside the safe zone and outline the zone
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} safeZone - Safe zone {x, y, radius}
+   * @param {Function} gameToCanvas - World to canvas transform
+   * @param {Function} traceArena - Begins a path outlining the arena
+   */
+  renderSafeZone(ctx, safeZone, gameToCanvas, traceArena) {
+    const center = gameToCanvas(safeZone);
+    const radius = safeZone.radius * this.scale;
+    const traceZone = () => {
       ctx.beginPath();
-      ctx.arc(ap.x, ap.y, aiRadius, 0, Math.PI * 2);
+      ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    };
+
+    ctx.save();
+    traceArena();
+    ctx.clip();
+    // Arena path plus the zone circle, filled even-odd, covers only the outside of the zone
+    traceArena();
+    ctx.moveTo(center.x + radius, center.y);
+    ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 80, 40, 0.18)';
+    ctx.fill('evenodd');
+    this.renderGlowingPath(ctx, traceZone, '#ff5a28', 1);
+    ctx.restore();
+  }
+
+  /**
+   * Render a hazard: damage zones and slow fields as tinted discs, blades as spinning bars
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} hazard - Hazard entity
+   * @param {Function} gameToCanvas - World to canvas transform
+   */
+  renderHazard(ctx, hazard, gameToCanvas) {
+    const center = gameToCanvas(hazard.position);
+    if (hazard.type === 'blade') {
+      const { start, end } = hazard.getBlade();
+      this.renderLightsaber(ctx, center, gameToCanvas(start), '#ff9a3c', 3);
+      this.renderLightsaber(ctx, center, gameToCanvas(end), '#ff9a3c', 3);
+      ctx.save();
+      ctx.fillStyle = '#555';
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, 0.15 * this.scale, 0, Math.PI * 2);
       ctx.fill();
-      
-      // Draw AI eyes looking at player
-      if (p) {
-        const pp = gameToCanvas(p.position);
-        this.renderEyes(ctx, ap, aiRadius, pp, '#000');
+      ctx.restore();
+      return;
+    }
+
+    const color = hazard.type === 'damage' ? '255, 60, 60' : '80, 140, 255';
+    ctx.save();
+    ctx.fillStyle = `rgba(${color}, 0.2)`;
+    ctx.strokeStyle = `rgba(${color}, 0.6)`;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, hazard.radius * this.scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Render a power-up pickup as a glowing orb colored by type
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} pickup - Pickup entity
+   * @param {Function} gameToCanvas - World to canvas transform
+   */
+  renderPickup(ctx, pickup, gameToCanvas) {
+    const colors = { speed: '#ffe14a', saber: '#4aff9e', shield: '#4ad2ff', spin: '#d04aff' };
+    const center = gameToCanvas(pickup.position);
+    ctx.save();
+    ctx.fillStyle = colors[pickup.type] || '#fff';
+    ctx.shadowColor = ctx.fillStyle;
+    ctx.shadowBlur = 10;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, pickup.radius * this.scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Render a static obstacle
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} obstacle - Obstacle entity
+   * @param {Function} gameToCanvas - World to canvas transform
+   * @param {string} fill - Fill color (hex)
+   */
+  renderObstacle(ctx, obstacle, gameToCanvas, fill = '#3a3a3a') {
+    ctx.save();
+    ctx.fillStyle = fill;
+    ctx.strokeStyle = '#888';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    if (obstacle.type === 'circle') {
+      const center = gameToCanvas(obstacle.center);
+      ctx.arc(center.x, center.y, obstacle.radius * this.scale, 0, Math.PI * 2);
+    } else {
+      obstacle.vertices.forEach((vertex, i) => {
+        const p = gameToCanvas(vertex);
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.closePath();
+    }
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Get the color for a player index (or team index in team modes)
+   * @param {number} index - Player index (0 = player, 1+ = opponents) or team index
+   * @returns {string} Hex color
+   */
+  getEntityColor(index) {
+    if (index === 0) return this.theme.colors.player;
+    if (index === 1) return this.theme.colors.ai;
+    const extra = this.theme.colors.extra;
+    return extra[(index - 2) % extra.length];
+  }
+
+  /**
+   * Render an entity's saber with glow effect
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} entity - Player or AI entity
+   * @param {string} color - Saber color (hex)
+   * @param {Function} gameToCanvas - World to canvas transform
+   * @param {Object} arena - Arena (blades are cut off at blocking obstacles)
+   */
+  renderEntitySaber(ctx, entity, color, gameToCanvas, arena = null) {
+    const ends = entity.saber.getEndpoints(entity.position);
+    if (arena?.clipBlade) {
+      ends.tip = arena.clipBlade(ends.base, ends.tip);
+    }
+    // Offset base to start from entity's edge instead of center
+    const direction = {
+      x: ends.tip.x - ends.base.x,
+      y: ends.tip.y - ends.base.y
+    };
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (length > 0) {
+      const normalized = { x: direction.x / length, y: direction.y / length };
+      const entityRadius = (entity.radius || 10);
+      const gapSize = 0.2; // Small gap between entity edge and saber base
+      const offsetBase = {
+        x: ends.base.x + normalized.x * (entityRadius + gapSize),
+        y: ends.base.y + normalized.y * (entityRadius + gapSize)
+      };
+      const base = gameToCanvas(offsetBase);
+      const tip = gameToCanvas(ends.tip);
+      // Boosted sabers are drawn thicker
+      this.renderLightsaber(ctx, base, tip, color, entity.saber.isBoosted?.() ? 6 : 4);
+    }
+  }
+
+  /**
+   * Render an entity's body with eyes looking at the nearest other entity
+   * Eliminated entities are drawn faded.
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} entity - Player or AI entity
+   * @param {string} color - Body color (hex)
+   * @param {Array} entities - All entities (for eye targeting)
+   * @param {Function} gameToCanvas - World to canvas transform
+   */
+  renderEntityBody(ctx, entity, color, entities, gameToCanvas) {
+    const ep = gameToCanvas(entity.position);
+    const entityRadius = (entity.radius || 10) * this.scale;
+
+    ctx.save();
+    if (!entity.isAlive) {
+      ctx.globalAlpha = 0.3;
+    } else if (entity.isInvulnerable?.()) {
+      // Blink during invulnerability frames
+      ctx.globalAlpha = Math.floor(entity.invulnerableTime * 10) % 2 === 0 ? 0.4 : 0.8;
+    }
+
+    // Draw entity circle with gradient
+    const gradient = ctx.createRadialGradient(
+      ep.x - entityRadius * 0.3, ep.y - entityRadius * 0.3, 0,
+      ep.x, ep.y, entityRadius
+    );
+    gradient.addColorStop(0, this.lightenColor(color, 60));
+    gradient.addColorStop(1, color);
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(ep.x, ep.y, entityRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Draw eyes looking at the nearest other entity (prefer living opponents)
+    let target = null;
+    let targetDistance = Infinity;
+    for (const other of entities) {
+      if (other === entity) continue;
+      const isTeammate = entity.team != null && other.team === entity.team;
+      const dist = Math.hypot(other.position.x - entity.position.x, other.position.y - entity.position.y)
+        + (other.isAlive ? 0 : 1e6) + (isTeammate ? 1e3 : 0);
+      if (dist < targetDistance) {
+        target = other;
+        targetDistance = dist;
       }
     }
+    if (target) {
+      this.renderEyes(ctx, ep, entityRadius, gameToCanvas(target.position), '#000');
+    }
+
+    ctx.restore();
+
+    if (entity.isAlive && entity.maxHealth > 1) {
+      this.renderHealthBar(ctx, ep, entityRadius, entity.health / entity.maxHealth, color);
+    }
+  }
+
+  /**
+   * Render a health bar above an entity
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} center - Entity center in canvas coordinates {x, y}
+   * @param {number} radius - Entity radius in pixels
+   * @param {number} fraction - Remaining health fraction [0, 1]
+   * @param {string} color - Fill color (hex)
+   */
+  renderHealthBar(ctx, center, radius, fraction, color) {
+    const width = radius * 2;
+    const height = Math.max(3, radius * 0.2);
+    const x = center.x - radius;
+    const y = center.y - radius - height - 4;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, width * Math.max(0, Math.min(1, fraction)), height);
+    ctx.restore();
   }
 
   /**
@@ -241,6 +487,20 @@ export class Renderer {
    * @param {number} lineWidth - Core line width in pixels
    */
   renderGlowingRect(ctx, rect, color, lineWidth = 2) {
+    this.renderGlowingPath(ctx, () => {
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    }, color, lineWidth);
+  }
+
+  /**
+   * Render an outline with glowing edges
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Function} tracePath - Begins the path to stroke
+   * @param {string} color - Edge color (hex)
+   * @param {number} lineWidth - Core line width in pixels
+   */
+  renderGlowingPath(ctx, tracePath, color, lineWidth = 2) {
     // Save context state
     ctx.save();
 
@@ -257,7 +517,8 @@ export class Renderer {
       ctx.lineWidth = layer.width;
       ctx.shadowBlur = layer.width * 2;
       ctx.shadowColor = color;
-      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      tracePath();
+      ctx.stroke();
     }
 
     // Reset shadow for core
@@ -268,7 +529,8 @@ export class Renderer {
     ctx.strokeStyle = color;
     ctx.globalAlpha = 1.0;
     ctx.lineWidth = lineWidth;
-    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    tracePath();
+    ctx.stroke();
 
     // Restore context state
     ctx.restore();
@@ -1,12 +1,36 @@
-import { GameConfig } from '../config/config.js';
+import { GameConfig, resolveRewardTerms } from '../config/config.js';
 import { Arena } from './entities/Arena.js';
 import { Player } from './entities/Player.js';
 import { AI } from './entities/AI.js';
 import { MovementSystem } from './systems/MovementSystem.js';
 import { CollisionSystem } from './systems/CollisionSystem.js';
+import { StormSystem } from './systems/StormSystem.js';
+import { HazardSystem } from './systems/HazardSystem.js';
+import { PickupSystem } from './systems/PickupSystem.js';
+import { ObservationBuilder } from './observations/ObservationBuilder.js';
+import { RewardShaper } from './rewards/RewardShaper.js';
 import { Vector2 } from '../utils/Vector2.js';
+import { SeededRandom, randomSeed } from '../utils/SeededRandom.js';
+import { closestPointOnSegment } from '../utils/Geometry.js';
+import { MapLoader } from './maps/MapLoader.js';
 import { GameCore, GameState, Action, ActionSpace } from '../MimicRL/core/GameCore.js';
 
+/**
+ * Game event reported in step() info.events (player indices, times in episode seconds):
+ *   hit         - {attacker, victim, point, blocked} saber contact (blocked = victim invulnerable)
+ *   near-miss   - {attacker, victim, distance} blade came within NEAR_MISS_DISTANCE of the body
+ *   wall-bump   - {player, position} movement started pressing against the arena boundary
+ *   clash       - {players, point} blades crossed
+ *   pickup      - {player, pickup} power-up collected (pickup = type)
+ *   elimination - {player} player was knocked out of the episode
+ *   timeout     - {} the episode ran out of time
+ */
+export type SaberGameEvent = {
+  type: 'hit' | 'near-miss' | 'wall-bump' | 'clash' | 'pickup' | 'elimination' | 'timeout';
+  time: number;
+  [key: string]: any;
+};
+
 /**
  * SaberGameCore - Game-specific implementation of the GameCore interface
  * 
@@ -17,61 +41,322 @@ import { GameCore, GameState, Action, ActionSpace } from '../MimicRL/core/GameCo
 export class SaberGameCore implements GameCore {
   private config: any;
   private arena: Arena | null;
+  private map: any;
   private entities: any[];
   private players: Player[];
   private ais: AI[];
   private movementSystem: MovementSystem | null;
   private collisionSystem: CollisionSystem | null;
+  private stormSystem: StormSystem | null;
+  private hazardSystem: HazardSystem | null;
+  private pickupSystem: PickupSystem | null;
+
+  private numPlayers: number;
+  private teamSize: number | null;
+  private friendlyFire: boolean;
+  private healthConfig: any;
+  private actionMode: 'discrete' | 'continuous';
+  private throttle: boolean;
+  private saberControls: any;
+  private physicsSubSteps: number;
+  private obstacleRays: number;
+  private stormConfig: any;
+  private hazardsConfig: any;
+  private pickupsConfig: any;
+  private observationFrame: 'world' | 'egocentric';
+  private observationBuilder: ObservationBuilder;
+  private rewardShaper: RewardShaper;
+  private eliminatedAtStep: (number | null)[];
+  private outcome: ('win' | 'loss' | 'tie')[] | null;
+  private recentClashes: { players: number[]; point: { x: number; y: number }; time: number }[];
+  // Edge-triggered events: players pressing against the boundary, and attacker>victim pairs
+  // within near-miss distance, as of the last step
+  private wallContact: boolean[];
+  private nearMisses: Set<string>;
+  // Facing angle per player: the direction of its last movement (stays put while standing still)
+  private facing: number[];
 
   private episodeState: 'waiting' | 'playing' | 'tie' | 'gameOver';
   private stepCount: number;
-  private startTimeMs: number;
-  private endTimeMs: number;
-  private previousDistance: number | null;
+  private elapsedTime: number;
+
+  // Randomness: every stochastic decision in an episode draws from rng,
+  // which is seeded in reset() so episodes can be replayed exactly
+  private seed: number | null;
+  private rng: SeededRandom;
+  private seedSource: SeededRandom | null;
 
   // Constants for normalization
   private readonly MAX_ANGULAR_VELOCITY: number;
   private readonly MAX_STEPS: number;
+  // Seconds a clash stays in recentClashes (for rendering)
+  private static readonly CLASH_MEMORY = 0.3;
+  // Gap in units between a blade and a body that counts as a near miss
+  private static readonly NEAR_MISS_DISTANCE = 0.3;
+  // Wall-distance rays in the default egocentric layout when arena.obstacleRays is 0
+  private static readonly EGOCENTRIC_WALL_RAYS = 8;
+  // Format version of getSnapshot(); bump when the snapshot layout changes
+  private static readonly SNAPSHOT_VERSION = 1;
 
   constructor(config: any = GameConfig) {
     this.config = config;
     this.arena = null;
+    this.map = null;
     this.entities = [];
     this.players = [];
     this.ais = [];
     this.movementSystem = null;
     this.collisionSystem = null;
+    this.stormSystem = null;
+    this.hazardSystem = null;
+    this.pickupSystem = null;
+
+    // Player 0 is the Player entity; players 1..N-1 are AI bodies driven by actions.
+    // In team mode, teams are consecutive player indices: team = floor(index / size)
+    const teams = this.config?.game?.teams;
+    this.teamSize = teams?.enabled ? (teams.size ?? 2) : null;
+    this.friendlyFire = !!teams?.friendlyFire;
+    this.numPlayers = teams?.enabled
+      ? (teams.count ?? 2) * this.teamSize!
+      : (this.config?.game?.numPlayers ?? 2);
+    if (!Number.isInteger(this.numPlayers) || this.numPlayers < 2 || this.numPlayers > 8) {
+      throw new Error(`Invalid number of players: ${this.numPlayers}. Must be an integer between 2 and 8`);
+    }
+    this.eliminatedAtStep = [];
+    this.outcome = null;
+    this.recentClashes = [];
+    this.wallContact = [];
+    this.nearMisses = new Set();
+    this.facing = [];
+
+    // Health system: when disabled, one saber contact eliminates (1 hit point, no knockback)
+    this.healthConfig = this.config?.game?.health?.enabled ? this.config.game.health : null;
+
+    // Movement action schema: discrete WASD bits or a continuous velocity (plus optional throttle)
+    this.actionMode = this.config?.game?.actions?.mode ?? 'discrete';
+    if (this.actionMode !== 'discrete' && this.actionMode !== 'continuous') {
+      throw new Error(`Invalid action mode: ${this.actionMode}. Must be 'discrete' or 'continuous'`);
+    }
+    this.throttle = this.actionMode === 'continuous' && !!this.config?.game?.actions?.throttle;
+
+    // Player-driven saber actions: extra [reverse, boost, retract] bits after the movement dimensions
+    this.saberControls = this.config?.saber?.controls?.enabled ? this.config.saber.controls : null;
+
+    // Ray-cast distances to obstacles and walls in observations (0 = off)
+    this.obstacleRays = this.config?.arena?.obstacleRays ?? 0;
+
+    // Shrinking safe zone (storm): damage or instant loss outside it
+    this.stormConfig = this.config?.arena?.storm?.enabled ? this.config.arena.storm : null;
+
+    // Randomly spawned hazards and power-up pickups
+    this.hazardsConfig = this.config?.arena?.hazards?.enabled ? this.config.arena.hazards : null;
+    this.pickupsConfig = this.config?.arena?.pickups?.enabled ? this.config.arena.pickups : null;
+
+    // Physics integration passes per step() (1 = integrate once per step)
+    this.physicsSubSteps = this.config?.physics?.subSteps ?? 1;
+    if (!Number.isInteger(this.physicsSubSteps) || this.physicsSubSteps < 1) {
+      throw new Error(`Invalid physics sub-step count: ${this.physicsSubSteps}. Must be a positive integer`);
+    }
 
     this.episodeState = 'waiting';
     this.stepCount = 0;
-    this.startTimeMs = 0;
-    this.endTimeMs = 0;
-    this.previousDistance = null;
+    this.elapsedTime = 0;
+
+    // A configured master seed makes the whole sequence of episode seeds reproducible
+    const masterSeed = this.config?.game?.seed;
+    this.seedSource = masterSeed != null ? new SeededRandom(masterSeed) : null;
+    this.seed = null;
+    this.rng = new SeededRandom(0);
+
+    // Per-step shaping: weighted reward terms, computed the same way for every player
+    // (legacy timePenalty / distancePenaltyFactor / deltaDistanceRewardFactor map onto terms)
+    this.rewardShaper = new RewardShaper(resolveRewardTerms(this.config?.rl?.rewards));
 
     // Constants for normalization
     this.MAX_ANGULAR_VELOCITY = this.config?.arena?.saberRotationSpeed ?? (2 * Math.PI);
     this.MAX_STEPS = Math.floor((this.config?.rl?.rewards?.maxGameLength ?? 60) / 0.05); // maxGameLength / deltaTime
+
+    // Observation frame: world coordinates, or centered on the observing player and rotated
+    // so its facing points along +x
+    this.observationFrame = this.config?.rl?.observation?.frame ?? 'world';
+    if (this.observationFrame !== 'world' && this.observationFrame !== 'egocentric') {
+      throw new Error(`Invalid observation frame: ${this.observationFrame}. Must be 'world' or 'egocentric'`);
+    }
+
+    // Observation layout: the configured feature spec, or the layout implied by enabled systems
+    this.observationBuilder = new ObservationBuilder(
+      this.config?.rl?.observation?.features || this.getDefaultObservationSpec(),
+      {
+        numPlayers: this.numPlayers,
+        maxSteps: this.MAX_STEPS,
+        maxAngularVelocity: this.MAX_ANGULAR_VELOCITY,
+        movementSpeed: this.config?.player?.movementSpeed ?? 5,
+        saberControls: this.saberControls || this.config?.saber?.controls || null,
+        obstacleRays: this.obstacleRays,
+        lidar: this.config?.rl?.observation?.lidar || null,
+        raster: this.config?.rl?.observation?.raster || null,
+        pickups: this.pickupsConfig
+      }
+    );
+  }
+
+  /**
+   * Observation features used when config.rl.observation.features is not set
+   * In the world frame, for two players with everything optional disabled, this is the
+   * original layout: [px, py, ox, oy, pAngle, oAngle, pSpeed, oSpeed, time]. The egocentric
+   * layout only has features that turn with the frame (walls are sensed by rays), so rotated
+   * arenas give the same inputs.
+   * @returns {Array} Feature names or {name, ...params} entries
+   */
+  private getDefaultObservationSpec(): (string | { name: string; count: number })[] {
+    const spec: (string | { name: string; count: number })[] = this.observationFrame === 'egocentric'
+      ? ['relativePosition', 'distance', 'relativeAngle', 'relativeSaberAngle',
+         'relativeSaberTip', 'frameVelocity', 'saberSpeed']
+      : ['position', 'saberAngle', 'saberSpeed'];
+    if (this.observationFrame === 'egocentric' && this.obstacleRays === 0) {
+      spec.push({ name: 'obstacleRays', count: SaberGameCore.EGOCENTRIC_WALL_RAYS });
+    }
+    if (this.numPlayers > 2) spec.push('alive');
+    if (this.healthConfig) spec.push('health');
+    if (this.saberControls) spec.push('saberState', 'saberCooldowns');
+    if (this.obstacleRays > 0) spec.push('obstacleRays');
+    if ((this.config?.rl?.observation?.lidar?.rays ?? 0) > 0) spec.push('lidar');
+    if (this.stormConfig) spec.push('safeRadius');
+    if (this.pickupsConfig) spec.push('pickups', 'modifiers');
+    spec.push('time');
+    // The grid goes last so the vector part keeps its layout and the grid is one trailing block
+    if (this.config?.rl?.observation?.raster?.enabled) spec.push('occupancy');
+    return spec;
   }
 
   /**
    * Reset the game to initial state
+   * @param {number} [seed] - Episode seed; the same seed and actions reproduce the same episode.
+   *   When omitted, a seed is drawn from config.game.seed's sequence (or randomly if unset).
+   * @param {string} [mapId] - Map to play on. When omitted, a map is sampled from
+   *   config.game.mapPool, or config.game.map is used (null = arena from config.arena)
    * @returns {GameState} Initial game state with observations and rewards for all players
    */
-  reset(): GameState {
+  reset(seed?: number | null, mapId?: string): GameState {
+    this.seed = seed != null
+      ? seed >>> 0
+      : (this.seedSource ? this.seedSource.nextSeed() : randomSeed());
+    this.rng = new SeededRandom(this.seed);
+
     // Initialize arena and entities
-    // Arena constructor: (id, width?, height?) - width and height are optional
-    this.arena = new (Arena as any)('arena-1');
+    // Arena constructor: (id, width?, height?, rng?) - width and height are optional
+    this.map = this.selectMap(mapId);
+    if (this.map) {
+      this.arena = MapLoader.createArena(this.map, this.rng);
+    } else {
+      this.arena = new (Arena as any)('arena-1', undefined, undefined, this.rng);
+      this.arena!.setShape(this.config?.arena?.shape || { type: 'rectangle' });
+      this.arena!.setObstacles(this.config?.arena?.obstacles || []);
+    }
+    this.arena!.setObstaclesBlockSabers(!!this.config?.arena?.obstaclesBlockSabers);
     const playerRadius = this.config?.player?.radius ?? 0.5;
+    const positions = this.computeSpawnPositions(playerRadius);
+    this.players = [new Player('player-1', positions[0])];
+    this.ais = [];
+    for (let i = 1; i < this.numPlayers; i++) {
+      this.ais.push(new AI(`ai-${i}`, positions[i], this.rng));
+    }
+    // entities[i] is the body controlled by actions[i]
+    this.entities = [...this.players, ...this.ais];
+    if (this.teamSize !== null) {
+      this.entities.forEach((entity, i) => { entity.team = this.teamOf(i); });
+    }
+    if (this.healthConfig) {
+      for (const entity of this.entities) entity.setMaxHealth(this.healthConfig.maxHealth ?? 3);
+    }
+
+    // Systems
+    this.movementSystem = new MovementSystem(this.arena!);
+    this.collisionSystem = new CollisionSystem(this.arena!);
+    this.collisionSystem.setFriendlyFire(this.friendlyFire);
+    this.collisionSystem.setClashModel({
+      enabled: !!this.config?.saber?.clash?.enabled,
+      stunTime: this.config?.saber?.clash?.stunTime ?? 0
+    });
+    if (this.healthConfig) {
+      this.collisionSystem.setDamageModel({
+        damagePerHit: this.healthConfig.damagePerHit ?? 1,
+        invulnerabilityTime: this.healthConfig.invulnerabilityTime ?? 0,
+        knockbackSpeed: this.healthConfig.knockbackSpeed ?? 0
+      });
+    }
+    this.stormSystem = this.stormConfig ? new StormSystem(this.arena!, this.stormConfig) : null;
+    // Spawns draw from their own seeded streams, so enabling them leaves the rest of the
+    // episode's randomness untouched
+    const invulnerabilityTime = this.healthConfig?.invulnerabilityTime ?? 0;
+    this.hazardSystem = this.hazardsConfig || this.arena!.getHazards().length > 0
+      ? new HazardSystem(this.arena!, this.hazardsConfig || { spawnInterval: 0 },
+        new SeededRandom((this.seed ^ 0x68617a64) >>> 0), invulnerabilityTime)
+      : null;
+    this.pickupSystem = this.pickupsConfig
+      ? new PickupSystem(this.arena!, this.pickupsConfig, new SeededRandom((this.seed ^ 0x7069636b) >>> 0))
+      : null;
+
+    // Episode
+    this.episodeState = 'playing';
+    this.stepCount = 0;
+    this.elapsedTime = 0;
+    this.eliminatedAtStep = new Array(this.numPlayers).fill(null);
+    this.recentClashes = [];
+    this.wallContact = new Array(this.numPlayers).fill(false);
+    this.nearMisses = new Set();
+    // Bodies start facing the arena center
+    const center = this.arena!.getCenter() as { x: number; y: number };
+    this.facing = this.entities.map(e => Math.atan2(center.y - e.position.y, center.x - e.position.x));
+    this.outcome = null;
+    this.rewardShaper.reset(this.entities.map((_, i) => this.getRewardContext(i, 0, [])));
+
+    // Return GameState with observations for all players
+    return {
+      observations: this.buildObservations(),
+      rewards: new Array(this.numPlayers).fill(0),
+      done: false,
+      outcome: null
+    };
+  }
+
+  /**
+   * Compute spawn positions for all players
+   * Duels use random positions at least game.spawnMinDistance apart; larger games use
+   * the arena's circle pattern with a random rotation, which keeps teammates adjacent.
+   * @param {number} playerRadius - Player radius for boundary spacing
+   * @returns {Vector2[]} Spawn position for each player index
+   */
+  private computeSpawnPositions(playerRadius: number): Vector2[] {
+    // Maps with enough spawn points: sample distinct points (partial Fisher-Yates shuffle)
+    const spawns = this.map?.spawns || [];
+    if (spawns.length >= this.numPlayers) {
+      const pool = spawns.slice();
+      const positions: Vector2[] = [];
+      for (let i = 0; i < this.numPlayers; i++) {
+        const j = i + this.rng.int(0, pool.length - i);
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+        const p = this.arena!.constrainPosition(pool[i].x, pool[i].y, playerRadius) as { x: number; y: number };
+        positions.push(new Vector2(p.x, p.y));
+      }
+      return positions;
+    }
+
+    if (this.numPlayers > 2) {
+      const angleOffset = this.rng.next() * 2 * Math.PI;
+      return this.arena!.getSpawnPositions(this.numPlayers, playerRadius, angleOffset);
+    }
+
     const minDistance = this.config?.game?.spawnMinDistance ?? 3;
     const maxAttempts = 100;
     const positions: Vector2[] = [];
-    for (let i = 0; i < 2; i++) {
+    for (let i = 0; i < this.numPlayers; i++) {
       let attempts = 0;
       let pos: Vector2 | null = null;
       let valid = false;
       while (!valid && attempts < maxAttempts) {
         pos = this.arena!.getRandomPosition(playerRadius);
-        valid = true;
+        valid = this.arena!.isPositionValid(pos.x, pos.y, playerRadius);
         for (const existing of positions) {
           const dx = pos.x - existing.x;
           const dy = pos.y - existing.y;
@@ -83,149 +368,491 @@ export class SaberGameCore implements GameCore {
       if (!valid || !pos) {
         // Fallback to opposite sides
         const center = this.arena!.getCenter() as { x: number; y: number };
-        pos = i === 0 
-          ? new Vector2(playerRadius + 1, center.y) 
-          : new Vector2(this.arena!.width - (playerRadius + 1), center.y);
+        const fallback = this.arena!.constrainPosition(
+          i === 0 ? playerRadius + 1 : this.arena!.width - (playerRadius + 1), center.y, playerRadius
+        ) as { x: number; y: number };
+        pos = new Vector2(fallback.x, fallback.y);
       }
       positions.push(pos);
     }
-    this.players = [new Player('player-1', positions[0])];
-    this.ais = [new AI('ai-1', positions[1])];
-    this.entities = [...this.players, ...this.ais];
+    return positions;
+  }
 
-    // Systems
-    this.movementSystem = new MovementSystem(this.arena!);
-    this.collisionSystem = new CollisionSystem(this.arena!);
+  /**
+   * Choose the map for an episode
+   * @param {string} [mapId] - Explicit map id
+   * @returns {Object|null} Map, or null to build the arena from config.arena
+   */
+  private selectMap(mapId?: string): any {
+    if (mapId) return MapLoader.get(mapId);
+    const pool: string[] = this.config?.game?.mapPool || [];
+    if (pool.length > 0) return MapLoader.get(pool[this.rng.int(0, pool.length)]);
+    return this.config?.game?.map ? MapLoader.get(this.config.game.map) : null;
+  }
 
-    // Episode
-    this.episodeState = 'playing';
-    this.stepCount = 0;
-    this.startTimeMs = Date.now();
-    this.endTimeMs = 0;
-    this.previousDistance = this.computePlayersDistance();
+  private isDone(): boolean {
+    return this.episodeState === 'tie' || this.episodeState === 'gameOver';
+  }
+
+  /**
+   * Capture the full episode state (JSON-serializable)
+   * Restoring it with restoreSnapshot() and stepping with the same actions reproduces the
+   * episode exactly, so it can be used for save states, rewinds and branching rollouts.
+   * @returns {Object} Snapshot
+   */
+  getSnapshot(): any {
+    if (!this.arena) {
+      throw new Error('SaberGameCore.getSnapshot() called before reset()');
+    }
+    return JSON.parse(JSON.stringify({
+      version: SaberGameCore.SNAPSHOT_VERSION,
+      numPlayers: this.numPlayers,
+      seed: this.seed,
+      mapId: this.getMapId(),
+      rng: this.rng.getState(),
+      seedSource: this.seedSource ? this.seedSource.getState() : null,
+      arena: this.arena.getState(),
+      entities: this.entities.map(entity => entity.getState()),
+      hazardSystem: this.hazardSystem ? this.hazardSystem.getState() : null,
+      pickupSystem: this.pickupSystem ? this.pickupSystem.getState() : null,
+      rewardShaper: this.rewardShaper.getState(),
+      episodeState: this.episodeState,
+      stepCount: this.stepCount,
+      elapsedTime: this.elapsedTime,
+      eliminatedAtStep: this.eliminatedAtStep,
+      outcome: this.outcome,
+      recentClashes: this.recentClashes,
+      wallContact: this.wallContact,
+      facing: this.facing,
+      nearMisses: [...this.nearMisses]
+    }));
+  }
+
+  /**
+   * Restore an episode captured by getSnapshot()
+   * The core must have the same configuration as the one the snapshot was taken from.
+   * @param {Object} snapshot - Snapshot
+   * @returns {GameState} Game state at the snapshot (rewards are zero)
+   */
+  restoreSnapshot(snapshot: any): GameState {
+    if (snapshot?.version !== SaberGameCore.SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot?.version}. Expected ${SaberGameCore.SNAPSHOT_VERSION}`);
+    }
+    if (snapshot.numPlayers !== this.numPlayers) {
+      throw new Error(`Snapshot has ${snapshot.numPlayers} players, but this game has ${this.numPlayers}`);
+    }
+
+    // Rebuild the episode's arena, bodies and systems, then overwrite their state
+    this.reset(snapshot.seed, snapshot.mapId ?? undefined);
+    this.rng.setState(snapshot.rng);
+    if (this.seedSource && snapshot.seedSource) this.seedSource.setState(snapshot.seedSource);
+    this.arena!.setState(snapshot.arena);
+    this.entities.forEach((entity, i) => entity.setState(snapshot.entities[i]));
+    if (this.hazardSystem && snapshot.hazardSystem) this.hazardSystem.setState(snapshot.hazardSystem);
+    if (this.pickupSystem && snapshot.pickupSystem) this.pickupSystem.setState(snapshot.pickupSystem);
+    this.rewardShaper.setState(snapshot.rewardShaper);
+
+    this.episodeState = snapshot.episodeState;
+    this.stepCount = snapshot.stepCount;
+    this.elapsedTime = snapshot.elapsedTime;
+    this.eliminatedAtStep = [...snapshot.eliminatedAtStep];
+    this.outcome = snapshot.outcome ? [...snapshot.outcome] : null;
+    this.recentClashes = snapshot.recentClashes.map((clash: any) => ({ ...clash }));
+    this.wallContact = [...snapshot.wallContact];
+    if (snapshot.facing) this.facing = [...snapshot.facing];
+    this.nearMisses = new Set(snapshot.nearMisses);
+    if (this.stormSystem) this.stormSystem.update(this.elapsedTime);
 
-    // Return GameState with observations for all players
     return {
-      observations: [
-        this.buildObservationFor(0),  // Player 0 (player-1)
-        this.buildObservationFor(1)   // Player 1 (ai-1)
-      ],
-      rewards: [0, 0],
-      done: false,
-      outcome: null
+      observations: this.buildObservations(),
+      rewards: new Array(this.numPlayers).fill(0),
+      done: this.isDone(),
+      outcome: this.getOutcome()
     };
   }
 
-  private isDone(): boolean {
-    return this.episodeState === 'tie' || this.episodeState === 'gameOver';
+  /**
+   * Create an independent copy of this game at its current state
+   * @returns {SaberGameCore} Copy with the same configuration and episode state
+   */
+  clone(): SaberGameCore {
+    const copy = new SaberGameCore(this.config);
+    if (this.arena) copy.restoreSnapshot(this.getSnapshot());
+    return copy;
   }
 
   /**
    * Advance game by one step with actions from all players
    * @param {Action[]} actions - Array of actions, index = player index
    * @param {number} deltaTime - Time step in seconds
-   * @returns {GameState} New game state after step
+   * @returns {GameState} New game state after step; info holds this step's clashes, typed
+   *   events (see SaberGameEvent, in time order) and per-player reward term breakdowns
    */
   step(actions: Action[], deltaTime: number): GameState {
     if (this.isDone() || this.episodeState !== 'playing') {
-      const obs = this.buildObservationFor(0);
       return {
-        observations: [obs, obs], // Return current state
-        rewards: [0, 0],
+        observations: this.buildObservations(), // Return current state
+        rewards: new Array(this.numPlayers).fill(0),
         done: true,
         outcome: this.getOutcome()
       };
     }
 
     this.stepCount++;
+    this.elapsedTime += deltaTime;
 
-    // Apply actions to all players uniformly
-    // actions[0] is for player-1, actions[1] is for ai-1
-    if (this.players[0] && actions && actions[0] && Array.isArray(actions[0])) {
-      this.applyActionToPlayer(this.players[0], actions[0], deltaTime);
-    }
-    if (this.ais[0] && actions && actions[1] && Array.isArray(actions[1])) {
-      this.applyActionToPlayer(this.ais[0], actions[1], deltaTime);
+    // The timeout is decided by elapsed time alone; when it hits, it takes precedence
+    // over eliminations in the same step
+    const timedOut = this.shouldTimeout();
+
+    // Physics runs in sub-steps: actions are held for the whole step, but movement,
+    // saber rotation and collisions are integrated subSteps times with a smaller dt
+    const subDeltaTime = deltaTime / this.physicsSubSteps;
+    const clashes: { players: number[]; point: { x: number; y: number } }[] = [];
+    const events: SaberGameEvent[] = [];
+    const wallContactBefore = this.wallContact;
+    this.wallContact = new Array(this.numPlayers).fill(false);
+    let eliminatedNow: number[] = [];
+    for (let subStep = 0; subStep < this.physicsSubSteps; subStep++) {
+      const collisionResults = this.simulateSubStep(actions, subDeltaTime, subStep === 0);
+      const victims = [...(collisionResults?.eliminated || [])];
+      const time = this.elapsedTime - deltaTime + (subStep + 1) * subDeltaTime;
+      for (const hit of (collisionResults?.saberCollisions || [])) {
+        if (hit.preempted) continue;
+        events.push({
+          type: 'hit',
+          time: time - subDeltaTime + (hit.timeOfImpact ?? 0),
+          attacker: this.entities.indexOf(hit.attacker),
+          victim: this.entities.indexOf(hit.victim),
+          point: { x: hit.collisionPoint.x, y: hit.collisionPoint.y },
+          blocked: !!hit.blocked
+        });
+      }
+      if (this.hazardSystem) {
+        this.hazardSystem.update(time, subDeltaTime, this.entities);
+        if (!timedOut) victims.push(...this.hazardSystem.applyEffects(this.entities, subDeltaTime));
+      }
+      if (this.stormSystem) {
+        this.stormSystem.update(time);
+        if (!timedOut) victims.push(...this.stormSystem.applyDamage(this.entities, subDeltaTime));
+      }
+      if (this.pickupSystem) {
+        this.pickupSystem.update(time, subDeltaTime);
+        for (const { entity, pickup } of this.pickupSystem.collect(this.entities)) {
+          events.push({ type: 'pickup', time, player: this.entities.indexOf(entity), pickup: pickup.type });
+        }
+      }
+
+      for (const clash of (collisionResults?.clashes || [])) {
+        const players = clash.entities.map((e: any) => this.entities.indexOf(e));
+        const point = { x: clash.clashPoint.x, y: clash.clashPoint.y };
+        clashes.push({ players, point });
+        events.push({ type: 'clash', time, players, point });
+      }
+      if (timedOut) continue;
+
+      // Every body struck down, worn down by hazards or caught by the storm in this sub-step is eliminated
+      eliminatedNow = [];
+      for (const victim of victims) {
+        const index = this.entities.indexOf(victim);
+        if (index >= 0 && victim.isAlive) {
+          victim.kill();
+          this.eliminatedAtStep[index] = this.stepCount;
+          eliminatedNow.push(index);
+          events.push({ type: 'elimination', time, player: index });
+        }
+      }
+      if (this.getStandingTeams().size <= 1) break;
     }
 
-    // Update sabers
-    if (this.players[0]?.saber) this.players[0].saber.update(deltaTime);
-    if (this.ais[0]?.saber) this.ais[0].saber.update(deltaTime);
+    // Clashes are reported in step info and kept briefly for rendering
+    this.recentClashes = this.recentClashes
+      .filter(clash => this.elapsedTime - clash.time < SaberGameCore.CLASH_MEMORY)
+      .concat(clashes.map(clash => ({ ...clash, time: this.elapsedTime })));
 
-    // Collisions
-    const collisionResults: any = this.collisionSystem!.checkCollisions(this.players, this.ais, deltaTime);
+    // Events judged on the step as a whole: new wall contacts, new near misses, timeout
+    this.wallContact.forEach((touching, i) => {
+      if (touching && !wallContactBefore[i] && this.entities[i].isAlive) {
+        const { x, y } = this.entities[i].position;
+        events.push({ type: 'wall-bump', time: this.elapsedTime, player: i, position: { x, y } });
+      }
+    });
+    events.push(...this.detectNearMisses(events));
+    if (timedOut) events.push({ type: 'timeout', time: this.elapsedTime });
+    events.sort((a, b) => a.time - b.time);
 
     // Terminal conditions
     let done = false;
     let outcome: ('win' | 'loss' | 'tie')[] | null = null;
 
-    if (this.shouldTimeout(deltaTime)) {
+    if (timedOut) {
+      // Every side still standing ties; sides wiped out earlier lost
       done = true;
-      this.episodeState = 'tie';
-      this.endTimeMs = Date.now();
-      outcome = ['tie', 'tie'];
-      this.killAll();
-    } else if (collisionResults && (collisionResults.gameOver || collisionResults.tie)) {
-      done = true;
-      const winner = collisionResults.winner || null;
-      const isTie = !!collisionResults.tie;
-      this.episodeState = isTie ? 'tie' : 'gameOver';
-      this.endTimeMs = Date.now();
-      if (isTie) {
-        outcome = ['tie', 'tie'];
-      } else {
-        const winnerId = winner ? winner.id : null;
-        if (winnerId === 'player-1') {
-          outcome = ['win', 'loss'];
+      const standing = this.getStandingTeams();
+      outcome = this.entities.map((_, i) => (standing.has(this.teamOf(i)) ? 'tie' : 'loss'));
+    } else {
+      // Last side standing
+      const standing = this.getStandingTeams();
+      if (standing.size <= 1) {
+        done = true;
+        if (standing.size === 1) {
+          outcome = this.entities.map((_, i) => (standing.has(this.teamOf(i)) ? 'win' : 'loss'));
         } else {
-          outcome = ['loss', 'win'];
+          // The last sides fell together: they tie, earlier eliminations lost
+          const fellTogether = new Set(eliminatedNow.map(i => this.teamOf(i)));
+          outcome = this.entities.map((_, i) => (fellTogether.has(this.teamOf(i)) ? 'tie' : 'loss'));
         }
       }
-      this.killAll();
     }
 
-    // Calculate rewards for each player
-    const rewards = [
-      this.calculateReward(0, done, outcome),
-      this.calculateReward(1, done, outcome)
-    ];
+    if (done) {
+      this.outcome = outcome;
+      this.episodeState = outcome && outcome.includes('win') ? 'gameOver' : 'tie';
+    }
+
+    // Calculate rewards for each player; the per-term breakdown goes in step info
+    const rewards = this.entities.map((_, i) => this.calculateReward(i, done, outcome, deltaTime, clashes));
 
     return {
-      observations: [
-        this.buildObservationFor(0),
-        this.buildObservationFor(1)
-      ],
-      rewards: rewards,
+      observations: this.buildObservations(),
+      rewards: rewards.map(reward => reward.total),
       done: done,
-      outcome: outcome
+      outcome: outcome,
+      info: {
+        stepCount: this.stepCount,
+        elapsedTime: this.elapsedTime,
+        clashes,
+        events,
+        rewardTerms: rewards.map(reward => reward.terms)
+      }
     };
   }
 
+  /**
+   * Find blades that came close to an opponent's body this step without hitting it
+   * Only new near misses are reported: a pair stays quiet until the blade moves away again.
+   * @param {SaberGameEvent[]} events - This step's events so far (hits are not near misses)
+   * @returns {SaberGameEvent[]} Near-miss events
+   */
+  private detectNearMisses(events: SaberGameEvent[]): SaberGameEvent[] {
+    const near = new Set<string>();
+    const nearMisses: SaberGameEvent[] = [];
+    this.entities.forEach((attacker, a) => {
+      if (!attacker.isAlive || !attacker.saber?.isActive()) return;
+      const { base, tip } = attacker.saber.getEndpoints(attacker.position);
+      const blade = this.arena!.clipBlade(base, tip);
+      this.entities.forEach((victim, v) => {
+        if (v === a || !victim.isAlive) return;
+        if (this.teamOf(v) === this.teamOf(a) && !this.friendlyFire) return;
+        const closest = closestPointOnSegment(base, blade, victim.position) as { x: number; y: number };
+        const distance = Math.hypot(closest.x - victim.position.x, closest.y - victim.position.y) - victim.radius;
+        if (distance > SaberGameCore.NEAR_MISS_DISTANCE) return;
+        const key = `${a}>${v}`;
+        near.add(key);
+        const hit = events.some(event => event.type === 'hit' && event.attacker === a && event.victim === v);
+        if (!hit && distance > 0 && !this.nearMisses.has(key)) {
+          nearMisses.push({ type: 'near-miss', time: this.elapsedTime, attacker: a, victim: v, distance });
+        }
+      });
+    });
+    this.nearMisses = near;
+    return nearMisses;
+  }
+
+  /**
+   * Advance physics by one sub-step: status timers, movement, saber rotation and collisions
+   * @param {Action[]} actions - Actions held for the whole step, index = player index
+   * @param {number} deltaTime - Sub-step duration in seconds
+   * @param {boolean} applyControls - Whether to trigger saber controls (first sub-step only)
+   * @returns {Object} Collision results of the sub-step
+   */
+  private simulateSubStep(actions: Action[], deltaTime: number, applyControls: boolean): any {
+    // Tick invulnerability frames and knockback decay; remember start-of-step poses
+    // so collisions can be swept over the sub-step
+    const knockbackDamping = this.healthConfig?.knockbackDamping ?? 0;
+    for (const entity of this.entities) {
+      if (!entity.isAlive) continue;
+      entity.updateStatus(deltaTime, knockbackDamping);
+      entity.beginStep();
+    }
+
+    // Apply actions to all players uniformly
+    // actions[i] is for entities[i] (player-1, ai-1, ai-2, ...)
+    for (let i = 0; i < this.entities.length; i++) {
+      const action = actions ? actions[i] : null;
+      if (action && Array.isArray(action)) {
+        this.applyActionToPlayer(this.entities[i], action, deltaTime);
+        if (this.saberControls && applyControls) this.applySaberAction(this.entities[i], action);
+      }
+    }
+
+    // Update sabers
+    for (const entity of this.entities) {
+      if (entity.isAlive && entity.saber) entity.saber.update(deltaTime);
+    }
+
+    return this.collisionSystem!.checkCollisions(this.players, this.ais, deltaTime);
+  }
+
+  /**
+   * Get the number of physics sub-steps per step()
+   * @returns {number} Sub-step count
+   */
+  getPhysicsSubSteps(): number {
+    return this.physicsSubSteps;
+  }
+
+  /**
+   * Get the seed of the current episode
+   * @returns {number|null} Seed passed to (or drawn by) the last reset(), null before the first reset
+   */
+  getSeed(): number | null {
+    return this.seed;
+  }
+
+  /**
+   * Create a random source for a player's controller (e.g. RandomController)
+   * It is derived from the episode seed and the player index, so opponents driven by it
+   * replay bit-for-bit with the episode. Call it after reset(); before the first reset the
+   * stream is seeded non-deterministically.
+   * @param {number} playerIndex - Player the controller drives
+   * @returns {SeededRandom} Random source for that player's controller
+   */
+  createControllerRandom(playerIndex: number): SeededRandom {
+    if (this.seed === null) return new SeededRandom();
+    return new SeededRandom(((this.seed ^ 0x63746c72) + Math.imul(playerIndex + 1, 0x9e3779b1)) >>> 0);
+  }
+
+  /**
+   * Get the id of the current episode's map
+   * @returns {string|null} Map id, or null when the arena comes from config.arena
+   */
+  getMapId(): string | null {
+    return this.map ? this.map.id : null;
+  }
+
+  /**
+   * Get simulated time elapsed in the current episode
+   * @returns {number} Elapsed time in seconds (sum of step deltaTimes)
+   */
+  getElapsedTime(): number {
+    return this.elapsedTime;
+  }
+
+  /**
+   * Get clashes from the last CLASH_MEMORY seconds, for rendering fading sparks
+   * @returns {Array} [{players, point, age}] where age runs from 0 (this step) to 1 (faded out)
+   */
+  getRecentClashes(): { players: number[]; point: { x: number; y: number }; age: number }[] {
+    return this.recentClashes
+      .map(({ players, point, time }) => ({
+        players: [...players],
+        point: { ...point },
+        age: (this.elapsedTime - time) / SaberGameCore.CLASH_MEMORY
+      }))
+      .filter(clash => clash.age < 1);
+  }
+
+  /**
+   * Get the storm's current safe zone
+   * @returns {Object|null} Safe zone {x, y, radius, startRadius}, or null when the storm is disabled
+   */
+  getSafeZone(): { x: number; y: number; radius: number; startRadius: number } | null {
+    return this.stormSystem ? (this.stormSystem.getSafeZone() as { x: number; y: number; radius: number; startRadius: number }) : null;
+  }
+
+  /**
+   * Get team assignment of every player
+   * @returns {number[]|null} Team index per player index, or null when not in team mode
+   */
+  getTeams(): number[] | null {
+    if (this.teamSize === null) return null;
+    const teams: number[] = [];
+    for (let i = 0; i < this.numPlayers; i++) teams.push(this.teamOf(i));
+    return teams;
+  }
+
   /**
    * Get number of players in the game
    */
   getNumPlayers(): number {
-    return 2;
+    return this.numPlayers;
   }
 
   /**
    * Get observation size (same for all players)
    */
   getObservationSize(): number {
-    return 9; // Size of normalized observation array
+    return this.observationBuilder.getSize();
+  }
+
+  /**
+   * Get the name of every observation value, as "feature.label" (e.g. "position.self.x")
+   * @returns {string[]} Value names in observation order
+   */
+  getObservationNames(): string[] {
+    return this.observationBuilder.getNames();
+  }
+
+  /**
+   * Describe the observation layout feature by feature
+   * @returns {Array} [{name, normalizer, offset, size, shape, names}]
+   */
+  getObservationSpec(): { name: string; normalizer: string; offset: number; size: number; shape: number[]; names: string[] }[] {
+    return this.observationBuilder.describe();
+  }
+
+  /**
+   * Get the observation shape: the flat vector part and any grids (e.g. the occupancy grid,
+   * [height, width, channels]) flattened into the observation at their offsets
+   * @returns {Object} {size, vectorSize, grids: [{name, offset, shape}]}
+   */
+  getObservationShape(): { size: number; vectorSize: number; grids: { name: string; offset: number; shape: number[] }[] } {
+    const spec = this.getObservationSpec();
+    const grids = spec
+      .filter(feature => feature.shape.length > 1)
+      .map(({ name, offset, shape }) => ({ name, offset, shape }));
+    return {
+      size: this.getObservationSize(),
+      vectorSize: spec.filter(feature => feature.shape.length <= 1).reduce((sum, feature) => sum + feature.size, 0),
+      grids
+    };
   }
 
   /**
    * Get action size (same for all players)
    */
   getActionSize(): number {
-    return 4; // [W, A, S, D] - discrete actions
+    return this.getActionSpaces().length;
   }
 
   /**
    * Get action space for each action index
    */
   getActionSpaces(): ActionSpace[] {
+    const spaces: ActionSpace[] = this.getMovementActionSpaces();
+    if (this.saberControls) {
+      spaces.push(
+        { type: 'discrete' },  // Reverse spin
+        { type: 'discrete' },  // Boost spin
+        { type: 'discrete' }   // Retract saber
+      );
+    }
+    return spaces;
+  }
+
+  /**
+   * Get the action spaces of the movement dimensions (the first entries of every action)
+   */
+  private getMovementActionSpaces(): ActionSpace[] {
+    if (this.actionMode === 'continuous') {
+      const spaces: ActionSpace[] = [
+        { type: 'continuous' },  // Velocity x in [-1, 1]
+        { type: 'continuous' }   // Velocity y in [-1, 1]
+      ];
+      if (this.throttle) spaces.push({ type: 'continuous' });  // Throttle in [-1, 1] -> [0, 1] speed
+      return spaces;
+    }
     return [
       { type: 'discrete' },  // W
       { type: 'discrete' },  // A
@@ -234,6 +861,14 @@ export class SaberGameCore implements GameCore {
     ];
   }
 
+  /**
+   * Get the movement action schema
+   * @returns {'discrete'|'continuous'} Action mode
+   */
+  getActionMode(): 'discrete' | 'continuous' {
+    return this.actionMode;
+  }
+
   /**
    * Get episode outcome
    * @returns {('win'|'loss'|'tie')[]|null} Outcome array or null if not done
@@ -242,164 +877,237 @@ export class SaberGameCore implements GameCore {
     if (!this.isDone()) {
       return null;
     }
-    if (this.episodeState === 'tie') {
-      return ['tie', 'tie'];
-    }
-    // Determine winner from collision results or game state
-    const alivePlayers = this.players.filter(p => p.isAlive);
-    const aliveAIs = this.ais.filter(a => a.isAlive);
-    if (alivePlayers.length === 1 && aliveAIs.length === 0) {
-      return ['win', 'loss'];
-    } else if (aliveAIs.length === 1 && alivePlayers.length === 0) {
-      return ['loss', 'win'];
-    } else {
-      return ['tie', 'tie'];
-    }
+    return this.outcome ? [...this.outcome] : null;
   }
 
   // Internal methods
-  private shouldTimeout(deltaTime: number): boolean {
+  private shouldTimeout(): boolean {
     const maxGameLengthSec = this.config?.rl?.rewards?.maxGameLength ?? 60;
-    const elapsedSec = this.stepCount * deltaTime;
-    return elapsedSec >= maxGameLengthSec;
+    // Tolerance absorbs rounding in the summed step times (1200 x 0.05 s sums to 59.999...)
+    return this.elapsedTime >= maxGameLengthSec - 1e-6;
   }
 
   /**
    * Calculate reward for a specific player
-   * @param {number} playerIndex - Player index (0 or 1)
+   * In free-for-all, players eliminated before the end of the episode receive the loss
+   * reward on the step they fall and nothing afterwards. In team mode, eliminated players
+   * still share their team's terminal reward. Other steps are shaped by the reward terms.
+   * @param {number} playerIndex - Player index (0..N-1)
    * @param {boolean} done - Whether episode is done
    * @param {('win'|'loss'|'tie')[]|null} outcome - Episode outcome array
-   * @returns {number} Reward for the player
+   * @param {number} deltaTime - Step length in seconds
+   * @param {Array} clashes - This step's clashes
+   * @returns {Object} {total, terms: {name: value}} where the terms sum to the total
    */
-  private calculateReward(playerIndex: number, done: boolean, outcome: ('win' | 'loss' | 'tie')[] | null): number {
+  private calculateReward(
+    playerIndex: number,
+    done: boolean,
+    outcome: ('win' | 'loss' | 'tie')[] | null,
+    deltaTime: number,
+    clashes: { players: number[] }[]
+  ): { total: number; terms: Record<string, number> } {
     const rewards = this.config?.rl?.rewards || {};
+    const eliminatedAt = this.eliminatedAtStep[playerIndex];
+    const terminal = (total: number) => ({ total, terms: { terminal: total } });
+
+    const isTeamMode = this.teamSize !== null;
+
+    if (eliminatedAt != null && eliminatedAt < this.stepCount && !(isTeamMode && done)) {
+      // Already out of the episode
+      return { total: 0, terms: {} };
+    }
     
     if (done && outcome) {
       // Terminal reward
       const playerOutcome = outcome[playerIndex];
       if (playerOutcome === 'win') {
-        return rewards.win ?? 1.0;
+        return terminal(rewards.win ?? 1.0);
       } else if (playerOutcome === 'loss') {
-        return rewards.loss ?? -1.0;
+        return terminal(rewards.loss ?? -1.0);
       } else {
-        return rewards.tie ?? 0;
+        return terminal(rewards.tie ?? 0);
       }
+    } else if (eliminatedAt === this.stepCount) {
+      // Eliminated this step while the rest play on
+      return terminal(isTeamMode ? 0 : (rewards.loss ?? -1.0));
     } else {
       // Step reward (shaping)
-      const timePenaltyPerSec = rewards.timePenalty ?? 0;
-      const distFactor = rewards.distancePenaltyFactor ?? 0;
-      const deltaDistFactor = rewards.deltaDistanceRewardFactor ?? 0;
-
-      let r = 0;
-
-      // Time penalty
-      r += timePenaltyPerSec * 0.05; // deltaTime is typically 0.05
-
-      // Distance shaping (only for player 0, can be extended)
-      if (playerIndex === 0) {
-        const currentDistance = this.computePlayersDistance();
-        if (currentDistance != null) {
-          r += -distFactor * currentDistance * 0.05;
-          if (this.previousDistance != null) {
-            const delta = this.previousDistance - currentDistance;
-            r += deltaDistFactor * delta;
-          }
-          this.previousDistance = currentDistance;
-        }
-      }
-
-      return r;
+      return this.rewardShaper.compute(this.getRewardContext(playerIndex, deltaTime, clashes)) as
+        { total: number; terms: Record<string, number> };
     }
   }
 
   /**
-   * Apply action to a player entity
-   * Converts Action (number array) to player movement
-   * @param {Player|AI} player - Player entity
-   * @param {Action} action - Action array [W, A, S, D] where each is 0 or 1
-   * @param {number} deltaTime - Time step
+   * Convert an action to a movement direction scaled to at most unit length
+   * @param {Action} action - [W, A, S, D] bits, or [vx, vy] (+ throttle) in continuous mode
+   * @returns {{dx: number, dy: number}} Movement direction
    */
-  private applyActionToPlayer(player: Player | AI, action: Action, deltaTime: number): void {
-    if (!player || !player.isAlive) return;
-    
+  private decodeMovement(action: Action): { dx: number; dy: number } {
+    if (this.actionMode === 'continuous') {
+      // Policies emit unbounded samples: clip each axis to [-1, 1], then cap the
+      // magnitude at 1 so diagonals are not faster than straight lines
+      const clip = (v: number) => Math.max(-1, Math.min(1, Number.isFinite(v) ? v : 0));
+      let dx = clip(action[0]);
+      let dy = clip(action[1]);
+      const len = Math.hypot(dx, dy);
+      if (len > 1) {
+        dx /= len;
+        dy /= len;
+      }
+      if (this.throttle) {
+        const throttle = (clip(action[2]) + 1) / 2;
+        dx *= throttle;
+        dy *= throttle;
+      }
+      return { dx, dy };
+    }
+
     // action is number[]: [W, A, S, D] where each is 0 or 1
     // Convert to movement direction
     const up = action[0] ? -1 : 0;
     const left = action[1] ? -1 : 0;
     const down = action[2] ? 1 : 0;
     const right = action[3] ? 1 : 0;
-    
+
     let dx = left + right;
     let dy = up + down;
     const len = Math.hypot(dx, dy) || 1;
-    dx /= len;
-    dy /= len;
+    return { dx: dx / len, dy: dy / len };
+  }
+
+  /**
+   * Trigger saber controls from the action bits after the movement dimensions
+   * Each control fires while its bit is set and is off cooldown.
+   * @param {Player|AI} player - Acting player
+   * @param {Action} action - Full action vector
+   */
+  private applySaberAction(player: Player | AI, action: Action): void {
+    if (!player || !player.isAlive || !player.saber || player.isStunned()) return;
+    const c = this.saberControls;
+    const offset = this.getMovementActionSpaces().length;
+    if (action[offset] > 0.5) player.saber.reverse(c.reverseCooldown ?? 0);
+    if (action[offset + 1] > 0.5) player.saber.boost(c.boostDuration ?? 0.5, c.boostMultiplier ?? 2, c.boostCooldown ?? 0);
+    if (action[offset + 2] > 0.5) player.saber.retract(c.retractDuration ?? 0.5, c.retractCooldown ?? 0);
+  }
+
+  /**
+   * Apply action to a player entity
+   * Converts the movement part of the action (see decodeMovement) to player movement
+   * @param {Player|AI} player - Player entity
+   * @param {Action} action - Full action vector
+   * @param {number} deltaTime - Time step
+   */
+  private applyActionToPlayer(player: Player | AI, action: Action, deltaTime: number): void {
+    if (!player || !player.isAlive) return;
     
-    const speed = player.movementSpeed ?? (this.config?.player?.movementSpeed ?? 50);
-    const vx = dx * speed;
-    const vy = dy * speed;
-    player.velocity.x = vx;
-    player.velocity.y = vy;
+    // Stunned players cannot move (knockback still applies)
+    const { dx, dy } = player.isStunned() ? { dx: 0, dy: 0 } : this.decodeMovement(action);
+    const index = this.entities.indexOf(player);
+    if (dx !== 0 || dy !== 0) this.facing[index] = Math.atan2(dy, dx);
     
-    const newX = player.position.x + vx * deltaTime;
-    const newY = player.position.y + vy * deltaTime;
-    const constrained = this.arena!.constrainPosition(newX, newY, player.radius) as { x: number; y: number };
-    player.position.x = constrained.x;
-    player.position.y = constrained.y;
+    let speed = player.movementSpeed ?? (this.config?.player?.movementSpeed ?? 50);
+    // Boosting the saber costs movement speed
+    if (this.saberControls && player.saber?.isBoosted()) speed *= this.saberControls.boostMovementFactor ?? 1;
+    // Slow fields
+    if (this.hazardSystem) speed *= this.hazardSystem.getSpeedFactor(player);
+    // Knockback from recent hits rides on top of the chosen movement
+    const knockback = player.knockbackVelocity || { x: 0, y: 0 };
+    const velocity = { x: dx * speed + knockback.x, y: dy * speed + knockback.y };
+    if (this.movementSystem!.moveEntity(player, velocity, deltaTime)) {
+      this.wallContact[index] = true;
+    }
   }
 
-  private currentOutcome(): null { return null; }
+  /**
+   * Context for a player's reward terms (see builtinRewardTerms)
+   * @param {number} playerIndex - Player index
+   * @param {number} deltaTime - Step length in seconds
+   * @param {Array} clashes - This step's clashes
+   * @returns {Object} {index, self, opponents, arena, deltaTime, clashes}
+   */
+  private getRewardContext(playerIndex: number, deltaTime: number, clashes: { players: number[] }[]): any {
+    const team = this.teamOf(playerIndex);
+    return {
+      index: playerIndex,
+      self: this.entities[playerIndex],
+      opponents: this.entities.filter((other, i) => this.teamOf(i) !== team && other.isAlive),
+      arena: this.arena,
+      deltaTime,
+      clashes
+    };
+  }
+
+  /**
+   * Team of a player
+   * @param {number} playerIndex - Player index
+   * @returns {number} Team index; in free-for-all every player is its own team
+   */
+  private teamOf(playerIndex: number): number {
+    return this.teamSize === null ? playerIndex : Math.floor(playerIndex / this.teamSize);
+  }
 
-  private detectWinner(): Player | null {
-    // Prefer collision system knowledge if available
-    const alivePlayers = this.players.filter(p => p.isAlive);
-    if (alivePlayers.length === 1) return alivePlayers[0];
-    return null;
+  /**
+   * Teams that still have at least one living member
+   * @returns {Set<number>} Standing team indices
+   */
+  private getStandingTeams(): Set<number> {
+    const standing = new Set<number>();
+    this.entities.forEach((entity, i) => {
+      if (entity.isAlive) standing.add(this.teamOf(i));
+    });
+    return standing;
   }
 
-  private killAll(): void {
-    for (const p of this.players) p.kill();
-    for (const a of this.ais) a.kill();
+  /**
+   * Order in which a player sees the other players in its observation
+   * Players are listed by increasing index offset so every player gets a consistent view;
+   * in team mode teammates come first, then opponents.
+   * @param {number} playerIndex - Observing player index
+   * @returns {number[]} Indices of the other players
+   */
+  private getObservationOrder(playerIndex: number): number[] {
+    const order: number[] = [];
+    for (let offset = 1; offset < this.numPlayers; offset++) {
+      order.push((playerIndex + offset) % this.numPlayers);
+    }
+    const team = this.teamOf(playerIndex);
+    const teammates = order.filter(i => this.teamOf(i) === team);
+    const opponents = order.filter(i => this.teamOf(i) !== team);
+    return [...teammates, ...opponents];
   }
 
-  private computePlayersDistance(): number | null {
-    if (!this.players[0] || !this.ais[0]) return null;
-    const p = this.players[0].position;
-    const a = this.ais[0].position;
-    if (!p || !a) return null;
-    const dx = p.x - a.x;
-    const dy = p.y - a.y;
-    return Math.hypot(dx, dy);
+  /**
+   * Build observations for every player
+   * @returns {number[][]} Observation per player index
+   */
+  private buildObservations(): number[][] {
+    const observations: number[][] = [];
+    for (let i = 0; i < this.numPlayers; i++) {
+      observations.push(this.buildObservationFor(i));
+    }
+    return observations;
   }
 
   /**
    * Build normalized observation for a specific player
-   * This replaces the old #buildObservation() method
-   * Returns normalized number array (game-agnostic)
-   * @param {number} playerIndex - Player index (0 or 1)
+   * @param {number} playerIndex - Player index (0..N-1)
    * @returns {number[]} Normalized observation array
    */
   private buildObservationFor(playerIndex: number): number[] {
-    const p = playerIndex === 0 ? this.players[0] : this.ais[0];
-    const o = playerIndex === 0 ? this.ais[0] : this.players[0];
-    
-    const playerPos = p?.position || { x: 0, y: 0 };
-    const opponentPos = o?.position || { x: 0, y: 0 };
-    const playerSaber = p?.saber || null;
-    const opponentSaber = o?.saber || null;
-    
-    // Normalize to [0, 1] or [-1, 1] range
-    return [
-      playerPos.x / this.arena!.width,      // normalized x
-      playerPos.y / this.arena!.height,     // normalized y
-      opponentPos.x / this.arena!.width,
-      opponentPos.y / this.arena!.height,
-      ((playerSaber?.getAngle ? playerSaber.getAngle() : 0) + Math.PI) / (2 * Math.PI),  // normalized angle [0, 1]
-      ((opponentSaber?.getAngle ? opponentSaber.getAngle() : 0) + Math.PI) / (2 * Math.PI),
-      (playerSaber?.getRotationSpeed ? playerSaber.getRotationSpeed() : 0) / this.MAX_ANGULAR_VELOCITY,
-      (opponentSaber?.getRotationSpeed ? opponentSaber.getRotationSpeed() : 0) / this.MAX_ANGULAR_VELOCITY,
-      this.stepCount / this.MAX_STEPS  // normalized time
-    ];
+    const self = this.entities[playerIndex];
+    const order = this.getObservationOrder(playerIndex);
+    const others = order.map(i => this.entities[i]);
+    const team = this.teamOf(playerIndex);
+    return this.observationBuilder.build({
+      self,
+      others,
+      group: [self, ...others],
+      teammates: order.filter(i => this.teamOf(i) === team).map(i => this.entities[i]),
+      arena: this.arena,
+      stepCount: this.stepCount,
+      stormSystem: this.stormSystem,
+      facing: this.facing[playerIndex],
+      frameAngle: this.observationFrame === 'egocentric' ? this.facing[playerIndex] : 0
+    });
   }
 }
-
@@ -5,10 +5,14 @@
  * @implements {PlayerController} - Implements the PlayerController interface from src/MimicRL/controllers/PlayerController.ts
  */
 export class HumanController {
-  constructor(id = 'human', bindings = { up: 'KeyW', left: 'KeyA', down: 'KeyS', right: 'KeyD' }) {
+  constructor(id = 'human', bindings = {
+    up: 'KeyW', left: 'KeyA', down: 'KeyS', right: 'KeyD',
+    reverse: 'KeyQ', boost: 'ShiftLeft', retract: 'KeyE'
+  }) {
     this.id = id;
     this.bindings = bindings;
     this.keyState = new Map();
+    this.actionSpaces = null;
 
     // Bind keyboard listeners (no-ops in headless)
     if (typeof window !== 'undefined') {
@@ -28,16 +32,44 @@ export class HumanController {
    */
   decide(observation) {
     // Convert boolean mask to number array (Action type)
-    const action = [
+    const mask = [
       this.keyState.get(this.bindings.up) ? 1 : 0,
       this.keyState.get(this.bindings.left) ? 1 : 0,
       this.keyState.get(this.bindings.down) ? 1 : 0,
       this.keyState.get(this.bindings.right) ? 1 : 0
     ];
-    this.lastActionMask = action; // Keep for backward compatibility
+    this.lastActionMask = mask; // Keep for backward compatibility
+    if (!this.actionSpaces) return mask;
+
+    let action = [...mask];
+    let movementSize = 4;
+    if (this.actionSpaces[0]?.type === 'continuous') {
+      // Continuous schema: unit velocity toward the held keys, full throttle
+      movementSize = this.actionSpaces.findIndex(space => space.type !== 'continuous');
+      if (movementSize === -1) movementSize = this.actionSpaces.length;
+      let dx = mask[3] - mask[1];
+      let dy = mask[2] - mask[0];
+      const len = Math.hypot(dx, dy) || 1;
+      action = [dx / len, dy / len];
+      if (movementSize > 2) action.push(1);
+    }
+
+    // Saber control bits follow the movement dimensions
+    const saberKeys = [this.bindings.reverse, this.bindings.boost, this.bindings.retract];
+    for (let i = movementSize; i < this.actionSpaces.length; i++) {
+      action.push(this.keyState.get(saberKeys[i - movementSize]) ? 1 : 0);
+    }
     return action;
   }
 
+  /**
+   * Set the action schema to emit (defaults to [W, A, S, D] bits)
+   * @param {ActionSpace[]|null} actionSpaces - Action spaces from the game core
+   */
+  setActionSpaces(actionSpaces) {
+    this.actionSpaces = actionSpaces;
+  }
+
   /**
    * Clear all key states (useful when game resets)
    */
@@ -1,3 +1,5 @@
+import { mathRandom } from '../../utils/SeededRandom.js';
+
 /**
  * RandomController - Controller that samples random actions
  * Game-agnostic controller that implements PlayerController interface
@@ -5,8 +7,22 @@
  * @implements {PlayerController} - Implements the PlayerController interface from src/MimicRL/controllers/PlayerController.ts
  */
 export class RandomController {
-  constructor(actionSpaces = null) {
+  /**
+   * Create a new RandomController
+   * @param {ActionSpace[]|null} actionSpaces - Action spaces to sample from
+   * @param {Object} rng - Optional random source with next() (e.g. SeededRandom)
+   */
+  constructor(actionSpaces = null, rng = null) {
     this.actionSpaces = actionSpaces;
+    this.rng = rng || mathRandom;
+  }
+
+  /**
+   * Set random source used for sampling
+   * @param {Object} rng - Random source with next() (e.g. SeededRandom)
+   */
+  setRandom(rng) {
+    this.rng = rng || mathRandom;
   }
 
   /**
@@ -22,10 +38,10 @@ export class RandomController {
     if (!actionSpaces || actionSpaces.length === 0) {
       // Fallback: assume 4 discrete actions if actionSpaces not provided
       return [
-        Math.random() < 0.5 ? 1 : 0,
-        Math.random() < 0.5 ? 1 : 0,
-        Math.random() < 0.5 ? 1 : 0,
-        Math.random() < 0.5 ? 1 : 0
+        this.rng.next() < 0.5 ? 1 : 0,
+        this.rng.next() < 0.5 ? 1 : 0,
+        this.rng.next() < 0.5 ? 1 : 0,
+        this.rng.next() < 0.5 ? 1 : 0
       ];
     }
 
@@ -35,12 +51,12 @@ export class RandomController {
       
       if (actionSpace.type === 'discrete') {
         // Discrete: sample 0 or 1 with 50% probability
-        action[i] = Math.random() < 0.5 ? 1 : 0;
+        action[i] = this.rng.next() < 0.5 ? 1 : 0;
       } else if (actionSpace.type === 'continuous') {
         // Continuous: sample from standard normal distribution (unbounded)
         // Using Box-Muller transform for better distribution
-        const u1 = Math.random();
-        const u2 = Math.random();
+        const u1 = this.rng.next();
+        const u2 = this.rng.next();
         const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
         action[i] = z; // Standard normal (mean=0, std=1)
       } else {
@@ -6,24 +6,31 @@
 import { Saber } from './Saber.js';
 import { GameConfig } from '../../config/config.js';
 import { Vector2 } from '../../utils/Vector2.js';
+import { Combatant } from './Combatant.js';
+import { mathRandom } from '../../utils/SeededRandom.js';
 
-export class AI {
+export class AI extends Combatant {
   /**
    * Create a new AI
    * @param {string} id - Unique identifier
    * @param {Vector2} position - Initial position
+   * @param {Object} rng - Optional random source with next() (default: Math.random)
    */
-  constructor(id, position) {
+  constructor(id, position, rng = null) {
+    super();
     this.id = id;
+    this.rng = rng || mathRandom;
     this.position = position || new Vector2(0, 0);
+    this.previousPosition = this.position.clone(); // Position at the start of the current step
     this.velocity = new Vector2(0, 0);
     this.radius = GameConfig.ai.radius;
     this.color = GameConfig.ai.color;
     this.isAlive = true;
+    this.team = null; // Team index in team modes (null = free-for-all)
     
     // AI-specific properties
     this.direction = new Vector2(1, 0); // Initial direction
-    this.lastDirectionChange = Date.now();
+    this.timeSinceDirectionChange = 0; // Simulated seconds since last direction change
     this.directionChangeInterval = this.getRandomDirectionChangeInterval();
     
     // Create saber for this AI
@@ -40,6 +47,7 @@ export class AI {
    */
   update(deltaTime) {
     if (!this.isAlive) return;
+    this.beginStep();
 
     // Update direction if needed
     this.updateDirection(deltaTime);
@@ -64,23 +72,31 @@ export class AI {
    * @param {number} deltaTime - Time since last update in seconds
    */
   updateDirection(deltaTime) {
-    const currentTime = Date.now();
-    const timeSinceLastChange = (currentTime - this.lastDirectionChange) / 1000;
+    // Use simulated time so behaviour is reproducible for a given seed
+    this.timeSinceDirectionChange += deltaTime;
     
     // Check if it's time to change direction
-    if (timeSinceLastChange >= this.directionChangeInterval) {
+    if (this.timeSinceDirectionChange >= this.directionChangeInterval) {
       this.changeDirection();
-      this.lastDirectionChange = currentTime;
+      this.timeSinceDirectionChange = 0;
       this.directionChangeInterval = this.getRandomDirectionChangeInterval();
     }
   }
 
+  /**
+   * Set random source used for direction changes
+   * @param {Object} rng - Random source with next() (e.g. SeededRandom)
+   */
+  setRandom(rng) {
+    this.rng = rng || mathRandom;
+  }
+
   /**
    * Change AI direction to a random direction
    */
   changeDirection() {
     // Generate random direction
-    const angle = Math.random() * 2 * Math.PI;
+    const angle = this.rng.next() * 2 * Math.PI;
     this.direction = new Vector2(Math.cos(angle), Math.sin(angle));
   }
 
@@ -91,7 +107,7 @@ export class AI {
   getRandomDirectionChangeInterval() {
     const min = GameConfig.ai.directionChangeMin;
     const max = GameConfig.ai.directionChangeMax;
-    return Math.random() * (max - min) + min;
+    return this.rng.next() * (max - min) + min;
   }
 
   /**
@@ -158,12 +174,14 @@ export class AI {
   resurrect(position) {
     this.isAlive = true;
     this.position = position.clone();
+    this.previousPosition = position.clone();
     this.velocity = new Vector2(0, 0);
     // this.saber.setActive(true);
     this.saber.setAngle(0); // Reset saber angle
+    this.resetCombatState();
     
     // Reset direction change timing
-    this.lastDirectionChange = Date.now();
+    this.timeSinceDirectionChange = 0;
     this.directionChangeInterval = this.getRandomDirectionChangeInterval();
   }
 
@@ -228,6 +246,9 @@ export class AI {
    */
   isValidPosition(position, arena) {
     if (!arena || !arena.bounds) return true;
+    if (typeof arena.isPositionValid === 'function') {
+      return arena.isPositionValid(position.x, position.y, this.radius);
+    }
     
     const bounds = arena.bounds;
     return position.x >= bounds.minX + this.radius &&
@@ -242,6 +263,11 @@ export class AI {
    */
   constrainToBounds(arena) {
     if (!arena || !arena.bounds) return;
+    if (typeof arena.constrainPosition === 'function') {
+      const constrained = arena.constrainPosition(this.position.x, this.position.y, this.radius);
+      this.position = new Vector2(constrained.x, constrained.y);
+      return;
+    }
     
     const bounds = arena.bounds;
     const newX = Math.max(bounds.minX + this.radius, 
@@ -262,9 +288,11 @@ export class AI {
       position: { x: this.position.x, y: this.position.y },
       velocity: { x: this.velocity.x, y: this.velocity.y },
       isAlive: this.isAlive,
+      team: this.team,
+      ...this.getCombatState(),
       saber: this.saber.getState(),
       direction: { x: this.direction.x, y: this.direction.y },
-      lastDirectionChange: this.lastDirectionChange,
+      timeSinceDirectionChange: this.timeSinceDirectionChange,
       directionChangeInterval: this.directionChangeInterval
     };
   }
@@ -278,9 +306,11 @@ export class AI {
     this.position = new Vector2(state.position.x, state.position.y);
     this.velocity = new Vector2(state.velocity.x, state.velocity.y);
     this.isAlive = state.isAlive;
+    this.team = state.team ?? null;
+    this.setCombatState(state);
     this.saber.setState(state.saber);
     this.direction = new Vector2(state.direction.x, state.direction.y);
-    this.lastDirectionChange = state.lastDirectionChange;
+    this.timeSinceDirectionChange = state.timeSinceDirectionChange ?? 0;
     this.directionChangeInterval = state.directionChangeInterval;
   }
 
@@ -5,6 +5,11 @@
 
 import { GameConfig } from '../../config/config.js';
 import { Vector2 } from '../../utils/Vector2.js';
+import { mathRandom } from '../../utils/SeededRandom.js';
+import { Obstacle } from './Obstacle.js';
+import { Hazard } from './Hazard.js';
+import { Pickup } from './Pickup.js';
+import { raySegment } from '../../utils/Geometry.js';
 
 export class Arena {
   /**
@@ -12,14 +17,17 @@ export class Arena {
    * @param {string} id - Unique identifier
    * @param {number} width - Arena width in units
    * @param {number} height - Arena height in units
+   * @param {Object} rng - Optional random source with next() (default: Math.random)
    */
-  constructor(id, width, height) {
+  constructor(id, width, height, rng = null) {
     this.id = id;
+    this.rng = rng || mathRandom;
     this.width = width || GameConfig.arena.width;
     this.height = height || GameConfig.arena.height;
     this.backgroundColor = GameConfig.arena.backgroundColor;
     this.borderColor = GameConfig.arena.borderColor;
     this.borderWidth = GameConfig.arena.borderWidth;
+    this.theme = null; // Map theme colors {background, border, obstacle}
     
     // Calculate bounds
     this.bounds = {
@@ -34,6 +42,193 @@ export class Arena {
       x: this.width / 2,
       y: this.height / 2
     };
+    
+    // Playable shape inside the bounds (rectangle = the bounds themselves)
+    this.shape = { type: 'rectangle' };
+    this.edges = null; // Polygon edges with inward normals
+    
+    // Static obstacles
+    this.obstacles = [];
+    this.obstaclesBlockSabers = false;
+    
+    // Timed spawnables (see HazardSystem and PickupSystem)
+    this.hazards = [];
+    this.pickups = [];
+    this.spawnCount = 0; // Ids of spawned hazards and pickups
+  }
+
+  /**
+   * Set the playable shape
+   * Circle: { type: 'circle', x, y, radius } (defaults to the largest circle centered in the bounds).
+   * Polygon: { type: 'polygon', points: [{x, y}, ...] } (convex, inside the bounds).
+   * @param {Object} shape - Shape definition (default: rectangle filling the bounds)
+   */
+  setShape(shape = { type: 'rectangle' }) {
+    const type = shape?.type || 'rectangle';
+    const inBounds = (x, y) => x >= this.bounds.minX - 1e-9 && x <= this.bounds.maxX + 1e-9 &&
+                               y >= this.bounds.minY - 1e-9 && y <= this.bounds.maxY + 1e-9;
+    
+    if (type === 'rectangle') {
+      this.shape = { type };
+      this.edges = null;
+    } else if (type === 'circle') {
+      const x = shape.x ?? this.center.x;
+      const y = shape.y ?? this.center.y;
+      const radius = shape.radius ?? Math.min(this.width, this.height) / 2;
+      if (!(radius > 0) || !inBounds(x - radius, y - radius) || !inBounds(x + radius, y + radius)) {
+        throw new Error('Circular arena must have a positive radius and fit inside the bounds');
+      }
+      this.shape = { type, x, y, radius };
+      this.edges = null;
+    } else if (type === 'polygon') {
+      const points = (shape.points || []).map(p => ({ x: p.x, y: p.y }));
+      if (points.length < 3 || !points.every(p => inBounds(p.x, p.y))) {
+        throw new Error('Polygonal arena needs at least 3 points inside the bounds');
+      }
+      this.shape = { type, points };
+      this.edges = this.buildEdges(points);
+    } else {
+      throw new Error(`Invalid arena shape: ${type}. Must be 'rectangle', 'circle' or 'polygon'`);
+    }
+  }
+
+  /**
+   * Precompute polygon edges with unit inward normals
+   * @param {Array} points - Convex polygon vertices
+   * @returns {Array} Edges [{a, b, nx, ny}]
+   */
+  buildEdges(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      area += points[j].x * points[i].y - points[i].x * points[j].y;
+    }
+    const orientation = Math.sign(area);
+    
+    const edges = [];
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      if (length === 0) {
+        throw new Error('Polygonal arena has duplicate consecutive points');
+      }
+      edges.push({
+        a,
+        b,
+        nx: (orientation * -(b.y - a.y)) / length,
+        ny: (orientation * (b.x - a.x)) / length
+      });
+    }
+    
+    // Convex: every vertex is on the inner side of every edge
+    for (const edge of edges) {
+      for (const p of points) {
+        if ((p.x - edge.a.x) * edge.nx + (p.y - edge.a.y) * edge.ny < -1e-9) {
+          throw new Error('Polygonal arena must be convex');
+        }
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * Get the playable shape
+   * @returns {Object} Shape definition
+   */
+  getShape() {
+    return this.shape;
+  }
+
+  /**
+   * Replace the arena's obstacles
+   * @param {Array} definitions - Obstacle definitions (see Obstacle) or Obstacle instances
+   */
+  setObstacles(definitions = []) {
+    this.obstacles = definitions.map((definition, i) => (
+      definition instanceof Obstacle ? definition : new Obstacle(`${this.id}-obstacle-${i}`, definition)
+    ));
+  }
+
+  /**
+   * Get the arena's obstacles
+   * @returns {Obstacle[]} Obstacles
+   */
+  getObstacles() {
+    return this.obstacles;
+  }
+
+  /**
+   * Replace the arena's hazards
+   * @param {Array} definitions - Hazard definitions (see Hazard)
+   */
+  setHazards(definitions = []) {
+    this.hazards = [];
+    definitions.forEach(definition => this.addHazard(definition));
+  }
+
+  /**
+   * Add a hazard
+   * @param {Object} definition - Hazard definition (see Hazard)
+   * @returns {Hazard} Added hazard
+   */
+  addHazard(definition) {
+    const hazard = new Hazard(`${this.id}-hazard-${this.spawnCount++}`, definition);
+    this.hazards.push(hazard);
+    return hazard;
+  }
+
+  /**
+   * Remove a hazard
+   * @param {Hazard} hazard - Hazard to remove
+   */
+  removeHazard(hazard) {
+    this.hazards = this.hazards.filter(h => h !== hazard);
+  }
+
+  /**
+   * Get the arena's hazards
+   * @returns {Hazard[]} Hazards
+   */
+  getHazards() {
+    return this.hazards;
+  }
+
+  /**
+   * Add a pickup
+   * @param {string} type - Pickup type (see Pickup)
+   * @param {Object} position - Position {x, y}
+   * @param {number} radius - Touch radius
+   * @param {number|null} lifetime - Seconds until it disappears (null = until picked up)
+   * @returns {Pickup} Added pickup
+   */
+  addPickup(type, position, radius, lifetime = null) {
+    const pickup = new Pickup(`${this.id}-pickup-${this.spawnCount++}`, type, position, radius, lifetime);
+    this.pickups.push(pickup);
+    return pickup;
+  }
+
+  /**
+   * Remove a pickup
+   * @param {Pickup} pickup - Pickup to remove
+   */
+  removePickup(pickup) {
+    this.pickups = this.pickups.filter(p => p !== pickup);
+  }
+
+  /**
+   * Get the pickups lying in the arena
+   * @returns {Pickup[]} Pickups
+   */
+  getPickups() {
+    return this.pickups;
+  }
+
+  /**
+   * Set whether obstacles stop saber blades
+   * @param {boolean} blocks - True if blades are cut off at obstacles
+   */
+  setObstaclesBlockSabers(blocks) {
+    this.obstaclesBlockSabers = !!blocks;
   }
 
   /**
@@ -52,6 +247,14 @@ export class Arena {
     return this.height;
   }
 
+  /**
+   * Set random source used for spawning
+   * @param {Object} rng - Random source with next() (e.g. SeededRandom)
+   */
+  setRandom(rng) {
+    this.rng = rng || mathRandom;
+  }
+
   /**
    * Get arena bounds
    * @returns {Object} Bounds object {minX, maxX, minY, maxY}
@@ -76,10 +279,13 @@ export class Arena {
    * @returns {boolean} True if position is within bounds
    */
   isPositionValid(x, y, radius = 0) {
-    return x >= this.bounds.minX + radius &&
-           x <= this.bounds.maxX - radius &&
-           y >= this.bounds.minY + radius &&
-           y <= this.bounds.maxY - radius;
+    const insideShape = this.shape.type === 'rectangle'
+      ? x >= this.bounds.minX + radius &&
+        x <= this.bounds.maxX - radius &&
+        y >= this.bounds.minY + radius &&
+        y <= this.bounds.maxY - radius
+      : this.getDistanceToBoundary(x, y) >= radius;
+    return insideShape && !this.obstacles.some(obstacle => obstacle.overlapsCircle(x, y, radius));
   }
 
   /**
@@ -100,6 +306,59 @@ export class Arena {
    * @returns {Object} Constrained position {x, y}
    */
   constrainPosition(x, y, radius = 0) {
+    const clamp = (p) => this.projectInside(p.x, p.y, radius);
+    let position = clamp({ x, y });
+    
+    // Push out of obstacles; a few passes settle bodies wedged between obstacles and walls
+    for (let pass = 0; pass < 3 && this.obstacles.length > 0; pass++) {
+      let moved = false;
+      for (const obstacle of this.obstacles) {
+        const resolved = obstacle.resolveCircle(position.x, position.y, radius);
+        if (resolved.x !== position.x || resolved.y !== position.y) {
+          position = clamp(resolved);
+          moved = true;
+        }
+      }
+      if (!moved) break;
+    }
+    return position;
+  }
+
+  /**
+   * Project a circle back inside the arena shape (ignores obstacles)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} radius - Circle radius
+   * @returns {Object} Projected position {x, y}
+   */
+  projectInside(x, y, radius = 0) {
+    if (this.shape.type === 'circle') {
+      const { x: cx, y: cy } = this.shape;
+      const maxDistance = Math.max(0, this.shape.radius - radius);
+      const dx = x - cx;
+      const dy = y - cy;
+      const distance = Math.hypot(dx, dy);
+      if (distance <= maxDistance) return { x, y };
+      return { x: cx + (dx / distance) * maxDistance, y: cy + (dy / distance) * maxDistance };
+    }
+    
+    if (this.shape.type === 'polygon') {
+      // Push inward along every violated edge; a few passes settle corners
+      let p = { x, y };
+      for (let pass = 0; pass < 4; pass++) {
+        let moved = false;
+        for (const edge of this.edges) {
+          const d = (p.x - edge.a.x) * edge.nx + (p.y - edge.a.y) * edge.ny;
+          if (d < radius) {
+            p = { x: p.x + edge.nx * (radius - d), y: p.y + edge.ny * (radius - d) };
+            moved = true;
+          }
+        }
+        if (!moved) break;
+      }
+      return p;
+    }
+    
     return {
       x: Math.max(this.bounds.minX + radius, 
           Math.min(this.bounds.maxX - radius, x)),
@@ -126,6 +385,17 @@ export class Arena {
    * @returns {number} Distance to nearest boundary
    */
   getDistanceToBoundary(x, y) {
+    if (this.shape.type === 'circle') {
+      return this.shape.radius - Math.hypot(x - this.shape.x, y - this.shape.y);
+    }
+    if (this.shape.type === 'polygon') {
+      let nearest = Infinity;
+      for (const edge of this.edges) {
+        nearest = Math.min(nearest, (x - edge.a.x) * edge.nx + (y - edge.a.y) * edge.ny);
+      }
+      return nearest;
+    }
+    
     const distances = [
       x - this.bounds.minX,           // Distance to left boundary
       this.bounds.maxX - x,           // Distance to right boundary
@@ -145,6 +415,66 @@ export class Arena {
     return this.getDistanceToBoundary(position.x, position.y);
   }
 
+  /**
+   * Cast a ray from a point until it hits an obstacle or the arena boundary
+   * @param {number} x - Ray origin X coordinate
+   * @param {number} y - Ray origin Y coordinate
+   * @param {number} angle - Ray angle in radians
+   * @returns {Object} Hit {distance, obstacle} where obstacle is null for the boundary
+   */
+  raycast(x, y, angle) {
+    const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+    
+    // Distance to the boundary (the origin is assumed inside the arena)
+    let distance = Infinity;
+    if (this.shape.type === 'circle') {
+      const fx = x - this.shape.x;
+      const fy = y - this.shape.y;
+      const b = fx * direction.x + fy * direction.y;
+      const c = fx * fx + fy * fy - this.shape.radius * this.shape.radius;
+      distance = -b + Math.sqrt(Math.max(0, b * b - c));
+    } else if (this.shape.type === 'polygon') {
+      for (const edge of this.edges) {
+        distance = Math.min(distance, raySegment({ x, y }, direction, edge.a, edge.b));
+      }
+    } else {
+      if (direction.x > 0) distance = Math.min(distance, (this.bounds.maxX - x) / direction.x);
+      if (direction.x < 0) distance = Math.min(distance, (this.bounds.minX - x) / direction.x);
+      if (direction.y > 0) distance = Math.min(distance, (this.bounds.maxY - y) / direction.y);
+      if (direction.y < 0) distance = Math.min(distance, (this.bounds.minY - y) / direction.y);
+    }
+    distance = Math.max(0, Number.isFinite(distance) ? distance : 0);
+    
+    let hitObstacle = null;
+    for (const obstacle of this.obstacles) {
+      const d = obstacle.raycast({ x, y }, direction);
+      if (d < distance) {
+        distance = d;
+        hitObstacle = obstacle;
+      }
+    }
+    return { distance, obstacle: hitObstacle };
+  }
+
+  /**
+   * Cut a saber blade off at the first obstacle it touches (when obstacles block sabers)
+   * @param {Object} base - Blade base {x, y}
+   * @param {Object} tip - Blade tip {x, y}
+   * @returns {Object} Effective tip {x, y}
+   */
+  clipBlade(base, tip) {
+    if (!this.obstaclesBlockSabers || this.obstacles.length === 0) return tip;
+    const length = Math.hypot(tip.x - base.x, tip.y - base.y);
+    if (length === 0) return tip;
+    const direction = { x: (tip.x - base.x) / length, y: (tip.y - base.y) / length };
+    let reach = length;
+    for (const obstacle of this.obstacles) {
+      reach = Math.min(reach, obstacle.raycast(base, direction));
+    }
+    if (reach >= length) return tip;
+    return { x: base.x + direction.x * reach, y: base.y + direction.y * reach };
+  }
+
   /**
    * Check if a circle is completely within arena bounds
    * @param {number} x - Circle center X coordinate
@@ -169,12 +499,24 @@ export class Arena {
   /**
    * Get random position within arena bounds
    * @param {number} radius - Optional radius to keep away from boundaries
+   * @param {Object} rng - Random source with next() (default: the arena's)
    * @returns {Vector2} Random position vector
    */
-  getRandomPosition(radius = 0) {
-    const x = Math.random() * (this.bounds.maxX - this.bounds.minX - 2 * radius) + 
+  getRandomPosition(radius = 0, rng = this.rng) {
+    if (this.shape.type !== 'rectangle') {
+      // Rejection sampling inside the bounding box
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const x = rng.next() * (this.bounds.maxX - this.bounds.minX) + this.bounds.minX;
+        const y = rng.next() * (this.bounds.maxY - this.bounds.minY) + this.bounds.minY;
+        if (this.getDistanceToBoundary(x, y) >= radius) return new Vector2(x, y);
+      }
+      const inside = this.projectInside(this.center.x, this.center.y, radius);
+      return new Vector2(inside.x, inside.y);
+    }
+    
+    const x = rng.next() * (this.bounds.maxX - this.bounds.minX - 2 * radius) + 
               this.bounds.minX + radius;
-    const y = Math.random() * (this.bounds.maxY - this.bounds.minY - 2 * radius) + 
+    const y = rng.next() * (this.bounds.maxY - this.bounds.minY - 2 * radius) + 
               this.bounds.minY + radius;
     return new Vector2(x, y);
   }
@@ -183,9 +525,10 @@ export class Arena {
    * Get spawn positions for players
    * @param {number} playerCount - Number of players
    * @param {number} playerRadius - Player radius for spacing
+   * @param {number} angleOffset - Rotation of the circle pattern in radians (default: 0)
    * @returns {Array} Array of spawn position vectors
    */
-  getSpawnPositions(playerCount, playerRadius) {
+  getSpawnPositions(playerCount, playerRadius, angleOffset = 0) {
     const positions = [];
     const margin = playerRadius + 1; // Keep players away from boundaries
     
@@ -194,15 +537,17 @@ export class Arena {
       positions.push(new Vector2(this.center.x, this.center.y));
     } else if (playerCount === 2) {
       // Two players spawn on opposite sides
-      positions.push(new Vector2(margin, this.center.y));
-      positions.push(new Vector2(this.bounds.maxX - margin, this.center.y));
+      const left = this.constrainPosition(margin, this.center.y, playerRadius);
+      const right = this.constrainPosition(this.bounds.maxX - margin, this.center.y, playerRadius);
+      positions.push(new Vector2(left.x, left.y));
+      positions.push(new Vector2(right.x, right.y));
     } else {
       // Multiple players spawn in a circle pattern
       const angleStep = (2 * Math.PI) / playerCount;
       const spawnRadius = Math.min(this.width, this.height) / 3;
       
       for (let i = 0; i < playerCount; i++) {
-        const angle = i * angleStep;
+        const angle = angleOffset + i * angleStep;
         const x = this.center.x + Math.cos(angle) * spawnRadius;
         const y = this.center.y + Math.sin(angle) * spawnRadius;
         
@@ -233,6 +578,16 @@ export class Arena {
    * @returns {number} Arena area in square units
    */
   getArea() {
+    if (this.shape.type === 'circle') {
+      return Math.PI * this.shape.radius * this.shape.radius;
+    }
+    if (this.shape.type === 'polygon') {
+      let area = 0;
+      for (const edge of this.edges) {
+        area += edge.a.x * edge.b.y - edge.b.x * edge.a.y;
+      }
+      return Math.abs(area) / 2;
+    }
     return this.width * this.height;
   }
 
@@ -241,6 +596,12 @@ export class Arena {
    * @returns {number} Arena perimeter in units
    */
   getPerimeter() {
+    if (this.shape.type === 'circle') {
+      return 2 * Math.PI * this.shape.radius;
+    }
+    if (this.shape.type === 'polygon') {
+      return this.edges.reduce((sum, edge) => sum + Math.hypot(edge.b.x - edge.a.x, edge.b.y - edge.a.y), 0);
+    }
     return 2 * (this.width + this.height);
   }
 
@@ -266,8 +627,15 @@ export class Arena {
       backgroundColor: this.backgroundColor,
       borderColor: this.borderColor,
       borderWidth: this.borderWidth,
+      theme: this.theme ? { ...this.theme } : null,
       bounds: { ...this.bounds },
-      center: { ...this.center }
+      center: { ...this.center },
+      shape: JSON.parse(JSON.stringify(this.shape)),
+      obstacles: this.obstacles.map(obstacle => obstacle.getState()),
+      obstaclesBlockSabers: this.obstaclesBlockSabers,
+      hazards: this.hazards.map(hazard => ({ id: hazard.id, ...hazard.getState() })),
+      pickups: this.pickups.map(pickup => pickup.getState()),
+      spawnCount: this.spawnCount
     };
   }
 
@@ -282,8 +650,17 @@ export class Arena {
     this.backgroundColor = state.backgroundColor;
     this.borderColor = state.borderColor;
     this.borderWidth = state.borderWidth;
+    this.theme = state.theme ? { ...state.theme } : null;
     this.bounds = { ...state.bounds };
     this.center = { ...state.center };
+    this.setShape(state.shape || { type: 'rectangle' });
+    this.setObstacles(state.obstacles || []);
+    this.obstaclesBlockSabers = !!state.obstaclesBlockSabers;
+    this.hazards = (state.hazards || []).map(hazard => new Hazard(hazard.id, hazard));
+    this.pickups = (state.pickups || []).map(pickup => (
+      new Pickup(pickup.id, pickup.type, pickup.position, pickup.radius, pickup.lifetime)
+    ));
+    this.spawnCount = state.spawnCount ?? 0;
   }
 
   /**
@@ -291,6 +668,6 @@ export class Arena {
    * @returns {string} String representation
    */
   toString() {
-    return `Arena(${this.id}, ${this.width}x${this.height})`;
+    return `Arena(${this.id}, ${this.width}x${this.height}, ${this.shape.type})`;
   }
 }
@@ -0,0 +1,226 @@
+/**
+ * Combatant - Combat state shared by every body in the arena (Player and AI)
+ * Health, invulnerability after hits, clash stuns, knockback and temporary pickup modifiers.
+ * Subclasses own the body itself (position, velocity, movementSpeed and saber) and call
+ * super() before setting it up.
+ */
+
+import { Vector2 } from '../../utils/Vector2.js';
+
+export class Combatant {
+  /**
+   * Create the combat state (one hit point = legacy one-hit kills)
+   */
+  constructor() {
+    this.maxHealth = 1;
+    this.health = 1;
+    this.invulnerableTime = 0; // Seconds of invulnerability left after a hit
+    this.stunTime = 0; // Seconds left unable to move or use saber controls (after a clash)
+    this.knockbackVelocity = new Vector2(0, 0);
+
+    // Temporary modifiers from pickups, by type: { remaining, original }
+    this.modifiers = {};
+  }
+
+  /**
+   * Restore full health and clear every hit reaction and modifier (e.g. on resurrection)
+   */
+  resetCombatState() {
+    this.health = this.maxHealth;
+    this.invulnerableTime = 0;
+    this.stunTime = 0;
+    this.knockbackVelocity = new Vector2(0, 0);
+    this.clearModifiers();
+  }
+
+  /**
+   * Get current health
+   * @returns {number} Current health
+   */
+  getHealth() {
+    return this.health;
+  }
+
+  /**
+   * Set maximum health and refill health to it
+   * @param {number} maxHealth - Maximum health (hit points)
+   */
+  setMaxHealth(maxHealth) {
+    if (maxHealth <= 0) {
+      throw new Error('Max health must be positive');
+    }
+    this.maxHealth = maxHealth;
+    this.health = maxHealth;
+  }
+
+  /**
+   * Apply damage
+   * @param {number} amount - Damage amount
+   * @returns {number} Remaining health
+   */
+  takeDamage(amount) {
+    this.health = Math.max(0, this.health - amount);
+    return this.health;
+  }
+
+  /**
+   * Check if the body is currently invulnerable (recently hit)
+   * @returns {boolean} True if invulnerable
+   */
+  isInvulnerable() {
+    return this.invulnerableTime > 0;
+  }
+
+  /**
+   * Make the body invulnerable for a duration
+   * @param {number} duration - Invulnerability duration in seconds
+   */
+  setInvulnerable(duration) {
+    this.invulnerableTime = Math.max(this.invulnerableTime, duration);
+  }
+
+  /**
+   * Mark the start of a physics step: remember the current position so collisions
+   * can be swept from it to the position at the end of the step
+   */
+  beginStep() {
+    this.previousPosition = this.position.clone();
+  }
+
+  /**
+   * Check if the body is stunned (cannot move or use saber controls)
+   * @returns {boolean} True if stunned
+   */
+  isStunned() {
+    return this.stunTime > 0;
+  }
+
+  /**
+   * Stun the body for a duration
+   * @param {number} duration - Stun duration in seconds
+   */
+  setStunned(duration) {
+    this.stunTime = Math.max(this.stunTime, duration);
+  }
+
+  /**
+   * Add a knockback impulse (added on top of movement velocity until it decays)
+   * @param {Vector2} impulse - Knockback velocity in units per second
+   */
+  applyKnockback(impulse) {
+    this.knockbackVelocity.add(impulse);
+  }
+
+  /**
+   * Advance hit-related timers and pickup modifiers
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {number} knockbackDamping - Exponential knockback decay rate per second
+   */
+  updateStatus(deltaTime, knockbackDamping = 0) {
+    this.invulnerableTime = Math.max(0, this.invulnerableTime - deltaTime);
+    this.stunTime = Math.max(0, this.stunTime - deltaTime);
+    this.knockbackVelocity.multiplyScalar(Math.exp(-knockbackDamping * deltaTime));
+    if (this.knockbackVelocity.lengthSq() < 1e-4) {
+      this.knockbackVelocity.set(0, 0);
+    }
+    for (const [type, modifier] of Object.entries(this.modifiers)) {
+      modifier.remaining -= deltaTime;
+      if (modifier.remaining <= 0) this.removeModifier(type);
+    }
+  }
+
+  /**
+   * Apply a temporary modifier (pickup effect); picking up an active type refreshes its duration
+   * @param {string} type - 'speed' (movement speed), 'saber' (saber length),
+   *   'spin' (saber rotation speed) or 'shield' (invulnerability)
+   * @param {number} duration - Duration in seconds
+   * @param {number} multiplier - Stat multiplier (unused by 'shield')
+   */
+  applyModifier(type, duration, multiplier = 1) {
+    if (type === 'shield') {
+      this.setInvulnerable(duration);
+    }
+    const active = this.modifiers[type];
+    if (active) {
+      active.remaining = Math.max(active.remaining, duration);
+      return;
+    }
+
+    let original = null;
+    if (type === 'speed') {
+      original = this.movementSpeed;
+      this.movementSpeed = original * multiplier;
+    } else if (type === 'saber') {
+      original = this.saber.getLength();
+      this.saber.setLength(original * multiplier);
+    } else if (type === 'spin') {
+      original = this.saber.getRotationSpeed();
+      this.saber.setRotationSpeed(original * multiplier);
+    } else if (type !== 'shield') {
+      throw new Error(`Invalid modifier type: ${type}. Must be 'speed', 'saber', 'spin' or 'shield'`);
+    }
+    this.modifiers[type] = { remaining: duration, original };
+  }
+
+  /**
+   * Remove a modifier and restore the stat it changed
+   * @param {string} type - Modifier type
+   */
+  removeModifier(type) {
+    const modifier = this.modifiers[type];
+    if (!modifier) return;
+    if (type === 'speed') this.movementSpeed = modifier.original;
+    if (type === 'saber') this.saber.setLength(modifier.original);
+    if (type === 'spin') this.saber.setRotationSpeed(modifier.original);
+    delete this.modifiers[type];
+  }
+
+  /**
+   * Remove every modifier
+   */
+  clearModifiers() {
+    for (const type of Object.keys(this.modifiers)) this.removeModifier(type);
+  }
+
+  /**
+   * Get the time left on a modifier
+   * @param {string} type - Modifier type
+   * @returns {number} Seconds left (0 when inactive)
+   */
+  getModifierTime(type) {
+    return this.modifiers[type]?.remaining ?? 0;
+  }
+
+  /**
+   * Get combat state for serialization (merged into the subclass's getState())
+   * Movement speed is included because speed modifiers change it.
+   * @returns {Object} Combat state
+   */
+  getCombatState() {
+    return {
+      health: this.health,
+      maxHealth: this.maxHealth,
+      invulnerableTime: this.invulnerableTime,
+      stunTime: this.stunTime,
+      knockbackVelocity: { x: this.knockbackVelocity.x, y: this.knockbackVelocity.y },
+      modifiers: JSON.parse(JSON.stringify(this.modifiers)),
+      movementSpeed: this.movementSpeed
+    };
+  }
+
+  /**
+   * Set combat state from serialization (missing fields fall back to a healthy body)
+   * @param {Object} state - Combat state
+   */
+  setCombatState(state) {
+    this.maxHealth = state.maxHealth ?? 1;
+    this.health = state.health ?? this.maxHealth;
+    this.invulnerableTime = state.invulnerableTime ?? 0;
+    this.stunTime = state.stunTime ?? 0;
+    this.knockbackVelocity = state.knockbackVelocity
+      ? new Vector2(state.knockbackVelocity.x, state.knockbackVelocity.y)
+      : new Vector2(0, 0);
+    this.modifiers = JSON.parse(JSON.stringify(state.modifiers || {}));
+    this.movementSpeed = state.movementSpeed ?? this.movementSpeed;
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Hazard Entity - Environmental danger inside the arena
+ * Hazards do not block movement; HazardSystem applies their effects to bodies.
+ *
+ * Definitions (config or JSON):
+ *   { type: 'damage', x, y, radius, damagePerSecond }     Bodies inside lose health over time
+ *   { type: 'slow', x, y, radius, factor }                Bodies inside move at factor x speed
+ *   { type: 'blade', x, y, length, rotationSpeed, damage } Bar spinning around (x, y); each end
+ *                                                         reaches length from the hub
+ * Any hazard may set lifetime (seconds until it disappears; omitted = permanent).
+ */
+
+import { closestPointOnSegment } from '../../utils/Geometry.js';
+
+export const HAZARD_TYPES = ['damage', 'slow', 'blade'];
+
+export class Hazard {
+  /**
+   * Create a new Hazard
+   * @param {string} id - Unique identifier
+   * @param {Object} definition - Hazard definition (see above)
+   */
+  constructor(id, definition) {
+    this.id = id;
+    this.type = definition?.type;
+    this.position = { x: definition?.x, y: definition?.y };
+    this.lifetime = definition?.lifetime ?? null; // Seconds left, null = permanent
+    if (!Number.isFinite(this.position.x) || !Number.isFinite(this.position.y)) {
+      throw new Error(`Hazard ${id}: x and y must be numbers`);
+    }
+
+    if (this.type === 'damage' || this.type === 'slow') {
+      if (!(definition.radius > 0)) {
+        throw new Error(`Hazard ${id}: radius must be positive`);
+      }
+      this.radius = definition.radius;
+      this.damagePerSecond = definition.damagePerSecond ?? 1;
+      this.factor = definition.factor ?? 0.5;
+    } else if (this.type === 'blade') {
+      if (!(definition.length > 0)) {
+        throw new Error(`Hazard ${id}: blade length must be positive`);
+      }
+      this.length = definition.length;
+      this.rotationSpeed = definition.rotationSpeed ?? 3;
+      this.damage = definition.damage ?? 1;
+      this.angle = definition.angle ?? 0;
+    } else {
+      throw new Error(`Invalid hazard type: ${this.type}. Must be 'damage', 'slow' or 'blade'`);
+    }
+  }
+
+  /**
+   * Advance the hazard: spin blades and count down the lifetime
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (this.type === 'blade') {
+      this.angle += this.rotationSpeed * deltaTime;
+    }
+    if (this.lifetime !== null) {
+      this.lifetime = Math.max(0, this.lifetime - deltaTime);
+    }
+  }
+
+  /**
+   * Check if the hazard's lifetime has run out
+   * @returns {boolean} True if expired
+   */
+  isExpired() {
+    return this.lifetime !== null && this.lifetime <= 0;
+  }
+
+  /**
+   * Get the blade as a segment through the hub
+   * @returns {Object} Blade {start, end}
+   */
+  getBlade() {
+    const dx = Math.cos(this.angle) * this.length;
+    const dy = Math.sin(this.angle) * this.length;
+    return {
+      start: { x: this.position.x - dx, y: this.position.y - dy },
+      end: { x: this.position.x + dx, y: this.position.y + dy }
+    };
+  }
+
+  /**
+   * Check if a body overlaps the hazard
+   * Zones affect bodies whose center is inside them; blades strike any body they touch.
+   * @param {number} x - Body center X coordinate
+   * @param {number} y - Body center Y coordinate
+   * @param {number} radius - Body radius
+   * @returns {boolean} True if the hazard affects the body
+   */
+  affects(x, y, radius) {
+    if (this.type === 'blade') {
+      const { start, end } = this.getBlade();
+      const closest = closestPointOnSegment(start, end, { x, y });
+      return Math.hypot(closest.x - x, closest.y - y) < radius;
+    }
+    return Math.hypot(x - this.position.x, y - this.position.y) <= this.radius;
+  }
+
+  /**
+   * Get the hazard definition for serialization (includes the current blade angle and lifetime)
+   * @returns {Object} Hazard definition
+   */
+  getState() {
+    const state = { type: this.type, x: this.position.x, y: this.position.y, lifetime: this.lifetime };
+    if (this.type === 'blade') {
+      return { ...state, length: this.length, rotationSpeed: this.rotationSpeed, damage: this.damage, angle: this.angle };
+    }
+    return { ...state, radius: this.radius, damagePerSecond: this.damagePerSecond, factor: this.factor };
+  }
+
+  /**
+   * Get string representation
+   * @returns {string} String representation
+   */
+  toString() {
+    return `Hazard(${this.id}, ${this.type})`;
+  }
+}
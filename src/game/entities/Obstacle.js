@@ -0,0 +1,162 @@
+/**
+ * Obstacle Entity - Static solid shape inside the arena
+ * Bodies cannot pass through obstacles; sabers optionally cannot either.
+ *
+ * Definitions (config or JSON):
+ *   { type: 'circle', x, y, radius }
+ *   { type: 'rect', x, y, width, height }   (x, y = top-left corner)
+ *   { type: 'polygon', points: [{x, y}, ...] }
+ */
+
+import {
+  rayCircle,
+  raySegment,
+  pointInPolygon,
+  closestPointOnPolygon
+} from '../../utils/Geometry.js';
+
+export class Obstacle {
+  /**
+   * Create a new Obstacle
+   * @param {string} id - Unique identifier
+   * @param {Object} definition - Shape definition (see above)
+   */
+  constructor(id, definition) {
+    this.id = id;
+    this.type = definition?.type;
+
+    if (this.type === 'circle') {
+      if (!(definition.radius > 0)) {
+        throw new Error(`Obstacle ${id}: circle radius must be positive`);
+      }
+      this.center = { x: definition.x, y: definition.y };
+      this.radius = definition.radius;
+      this.vertices = null;
+    } else if (this.type === 'rect') {
+      const { x, y, width, height } = definition;
+      if (!(width > 0) || !(height > 0)) {
+        throw new Error(`Obstacle ${id}: rect width and height must be positive`);
+      }
+      this.vertices = [
+        { x, y },
+        { x: x + width, y },
+        { x: x + width, y: y + height },
+        { x, y: y + height }
+      ];
+    } else if (this.type === 'polygon') {
+      if (!Array.isArray(definition.points) || definition.points.length < 3) {
+        throw new Error(`Obstacle ${id}: polygon needs at least 3 points`);
+      }
+      this.vertices = definition.points.map(p => ({ x: p.x, y: p.y }));
+    } else {
+      throw new Error(`Invalid obstacle type: ${this.type}. Must be 'circle', 'rect' or 'polygon'`);
+    }
+  }
+
+  /**
+   * Check if a point is inside the obstacle
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if inside
+   */
+  containsPoint(x, y) {
+    if (this.type === 'circle') {
+      return Math.hypot(x - this.center.x, y - this.center.y) <= this.radius;
+    }
+    return pointInPolygon({ x, y }, this.vertices);
+  }
+
+  /**
+   * Check if a circle overlaps the obstacle
+   * @param {number} x - Circle center X coordinate
+   * @param {number} y - Circle center Y coordinate
+   * @param {number} radius - Circle radius
+   * @returns {boolean} True if overlapping
+   */
+  overlapsCircle(x, y, radius) {
+    if (this.type === 'circle') {
+      return Math.hypot(x - this.center.x, y - this.center.y) < this.radius + radius;
+    }
+    return pointInPolygon({ x, y }, this.vertices) ||
+           closestPointOnPolygon({ x, y }, this.vertices).distance < radius;
+  }
+
+  /**
+   * Push a circle out of the obstacle along the shortest direction
+   * @param {number} x - Circle center X coordinate
+   * @param {number} y - Circle center Y coordinate
+   * @param {number} radius - Circle radius
+   * @returns {Object} Resolved center {x, y} (unchanged when not overlapping)
+   */
+  resolveCircle(x, y, radius) {
+    if (this.type === 'circle') {
+      const dx = x - this.center.x;
+      const dy = y - this.center.y;
+      const distance = Math.hypot(dx, dy);
+      const minDistance = this.radius + radius;
+      if (distance >= minDistance) return { x, y };
+      const nx = distance > 0 ? dx / distance : 1;
+      const ny = distance > 0 ? dy / distance : 0;
+      return { x: this.center.x + nx * minDistance, y: this.center.y + ny * minDistance };
+    }
+
+    const closest = closestPointOnPolygon({ x, y }, this.vertices);
+    const inside = pointInPolygon({ x, y }, this.vertices);
+    if (!inside && closest.distance >= radius) return { x, y };
+    if (closest.distance === 0) {
+      return { x: closest.x + radius, y: closest.y }; // Exactly on the boundary: nudge out
+    }
+    // Outward normal points from the center to the boundary when inside, away from it otherwise
+    const sign = inside ? 1 : -1;
+    const nx = sign * (closest.x - x) / closest.distance;
+    const ny = sign * (closest.y - y) / closest.distance;
+    return { x: closest.x + nx * radius, y: closest.y + ny * radius };
+  }
+
+  /**
+   * Cast a ray against the obstacle
+   * @param {Object} origin - Ray origin {x, y}
+   * @param {Object} direction - Unit ray direction {x, y}
+   * @returns {number} Distance to the first hit (0 if the origin is inside), or Infinity
+   */
+  raycast(origin, direction) {
+    if (this.type === 'circle') {
+      return rayCircle(origin, direction, this.center, this.radius);
+    }
+    if (pointInPolygon(origin, this.vertices)) return 0;
+    let nearest = Infinity;
+    for (let i = 0, j = this.vertices.length - 1; i < this.vertices.length; j = i++) {
+      nearest = Math.min(nearest, raySegment(origin, direction, this.vertices[j], this.vertices[i]));
+    }
+    return nearest;
+  }
+
+  /**
+   * Get the obstacle definition for serialization
+   * @returns {Object} Shape definition
+   */
+  getState() {
+    if (this.type === 'circle') {
+      return { type: 'circle', x: this.center.x, y: this.center.y, radius: this.radius };
+    }
+    if (this.type === 'rect') {
+      const [topLeft, , bottomRight] = this.vertices;
+      return {
+        type: 'rect',
+        x: topLeft.x,
+        y: topLeft.y,
+        width: bottomRight.x - topLeft.x,
+        height: bottomRight.y - topLeft.y
+      };
+    }
+    return { type: 'polygon', points: this.vertices.map(p => ({ ...p })) };
+  }
+
+  /**
+   * Get string representation
+   * @returns {string} String representation
+   */
+  toString() {
+    return `Obstacle(${this.id}, ${this.type})`;
+  }
+}
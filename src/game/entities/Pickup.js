@@ -0,0 +1,82 @@
+/**
+ * Pickup Entity - Power-up lying in the arena
+ * The first body to touch it gets a temporary modifier of its type:
+ *   speed  - faster movement
+ *   saber  - longer saber
+ *   shield - invulnerability to hits
+ *   spin   - faster saber rotation
+ */
+
+export const PICKUP_TYPES = ['speed', 'saber', 'shield', 'spin'];
+
+export class Pickup {
+  /**
+   * Create a new Pickup
+   * @param {string} id - Unique identifier
+   * @param {string} type - Pickup type (see PICKUP_TYPES)
+   * @param {Object} position - Position {x, y}
+   * @param {number} radius - Touch radius
+   * @param {number|null} lifetime - Seconds until it disappears (null = until picked up)
+   */
+  constructor(id, type, position, radius = 0.4, lifetime = null) {
+    if (!PICKUP_TYPES.includes(type)) {
+      throw new Error(`Invalid pickup type: ${type}. Must be one of ${PICKUP_TYPES.join(', ')}`);
+    }
+    this.id = id;
+    this.type = type;
+    this.position = { x: position.x, y: position.y };
+    this.radius = radius;
+    this.lifetime = lifetime;
+  }
+
+  /**
+   * Count down the lifetime
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    if (this.lifetime !== null) {
+      this.lifetime = Math.max(0, this.lifetime - deltaTime);
+    }
+  }
+
+  /**
+   * Check if the pickup's lifetime has run out
+   * @returns {boolean} True if expired
+   */
+  isExpired() {
+    return this.lifetime !== null && this.lifetime <= 0;
+  }
+
+  /**
+   * Check if a body touches the pickup
+   * @param {number} x - Body center X coordinate
+   * @param {number} y - Body center Y coordinate
+   * @param {number} radius - Body radius
+   * @returns {boolean} True if touching
+   */
+  isTouchedBy(x, y, radius) {
+    return Math.hypot(x - this.position.x, y - this.position.y) < this.radius + radius;
+  }
+
+  /**
+   * Get pickup state for serialization
+   * @returns {Object} Pickup state
+   */
+  getState() {
+    return {
+      id: this.id,
+      type: this.type,
+      position: { ...this.position },
+      radius: this.radius,
+      lifetime: this.lifetime
+    };
+  }
+
+  /**
+   * Get string representation
+   * @returns {string} String representation
+   */
+  toString() {
+    return `Pickup(${this.id}, ${this.type})`;
+  }
+}
@@ -6,22 +6,25 @@
 
 import { Saber } from './Saber.js';
 import { GameConfig } from '../../config/config.js';
-import { PolicyAgent } from '../../MimicRL/agents/PolicyAgent.js';
 import { Vector2 } from '../../utils/Vector2.js';
+import { Combatant } from './Combatant.js';
 
-export class Player {
+export class Player extends Combatant {
   /**
    * Create a new Player
    * @param {string} id - Unique identifier
    * @param {Vector2} position - Initial position
    */
   constructor(id, position) {
+    super();
     this.id = id;
     this.position = position || new Vector2(0, 0);
+    this.previousPosition = this.position.clone(); // Position at the start of the current step
     this.velocity = new Vector2(0, 0);
     this.radius = GameConfig.player.radius;
     this.color = GameConfig.player.color;
     this.isAlive = true;
+    this.team = null; // Team index in team modes (null = free-for-all)
     this.inputState = {
       up: false,
       left: false,
@@ -52,6 +55,7 @@ export class Player {
    */
   update(inputSystem, deltaTime, gameState = null) {
     if (!this.isAlive) return;
+    this.beginStep();
 
     if (this.controlMode === 'ai' && this.policyAgent) {
       this.updateAI(inputSystem, deltaTime, gameState);
@@ -311,9 +315,11 @@ export class Player {
   resurrect(position) {
     this.isAlive = true;
     this.position = position.clone();
+    this.previousPosition = position.clone();
     this.velocity = new Vector2(0, 0);
     this.saber.setActive(true);
     this.saber.setAngle(0); // Reset saber angle
+    this.resetCombatState();
   }
 
   /**
@@ -380,6 +386,9 @@ export class Player {
    */
   isValidPosition(position, arena) {
     if (!arena || !arena.bounds) return true;
+    if (typeof arena.isPositionValid === 'function') {
+      return arena.isPositionValid(position.x, position.y, this.radius);
+    }
     
     const bounds = arena.bounds;
     return position.x >= bounds.minX + this.radius &&
@@ -394,6 +403,11 @@ export class Player {
    */
   constrainToBounds(arena) {
     if (!arena || !arena.bounds) return;
+    if (typeof arena.constrainPosition === 'function') {
+      const constrained = arena.constrainPosition(this.position.x, this.position.y, this.radius);
+      this.position = new Vector2(constrained.x, constrained.y);
+      return;
+    }
     
     const bounds = arena.bounds;
     const newX = Math.max(bounds.minX + this.radius, 
@@ -414,6 +428,8 @@ export class Player {
       position: { x: this.position.x, y: this.position.y },
       velocity: { x: this.velocity.x, y: this.velocity.y },
       isAlive: this.isAlive,
+      team: this.team,
+      ...this.getCombatState(),
       saber: this.saber.getState(),
       inputState: { ...this.inputState }
     };
@@ -428,6 +444,8 @@ export class Player {
     this.position = new Vector2(state.position.x, state.position.y);
     this.velocity = new Vector2(state.velocity.x, state.velocity.y);
     this.isAlive = state.isAlive;
+    this.team = state.team ?? null;
+    this.setCombatState(state);
     this.saber.setState(state.saber);
     this.inputState = { ...state.inputState };
   }
@@ -18,10 +18,18 @@ export class Saber {
     this.owner = owner;
     this.length = length || GameConfig.saber.length;
     this.angle = 0; // Current rotation angle in radians
+    this.lastSweep = 0; // Signed rotation of the last update in radians (swept collisions)
     this.rotationSpeed = GameConfig.saber.rotationSpeed; // Radians per second
     this._isActive = true;
     this.color = GameConfig.saber.color;
     this.width = GameConfig.saber.width;
+
+    // Player-driven controls (reverse, boost, retract), each with its own cooldown
+    this.direction = 1;       // 1 = default spin direction, -1 = reversed
+    this.boostMultiplier = 1; // Spin speed multiplier while boosted
+    this.boostTime = 0;       // Seconds of boost remaining
+    this.retractTime = 0;     // Seconds until a retracted saber extends again
+    this.cooldowns = { reverse: 0, boost: 0, retract: 0 };
     
     // Animation state
     this.lastUpdateTime = 0;
@@ -35,13 +43,119 @@ export class Saber {
     // if (!this._isActive) return;
     
     // Update rotation angle
-    this.angle += this.rotationSpeed * deltaTime;
+    this.lastSweep = this.getAngularVelocity() * deltaTime;
+    this.angle += this.lastSweep;
     
     // Normalize angle to 0-2π range
     this.angle = this.normalizeAngle(this.angle);
+    this.updateControls(deltaTime);
     this.lastUpdateTime = Date.now();
   }
 
+  /**
+   * Tick control timers: boost expiry, retraction and cooldowns
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  updateControls(deltaTime) {
+    this.boostTime = Math.max(0, this.boostTime - deltaTime);
+    if (this.retractTime > 0) {
+      this.retractTime -= deltaTime;
+      if (this.retractTime <= 0) {
+        this.retractTime = 0;
+        this._isActive = true;
+      }
+    }
+    for (const key of Object.keys(this.cooldowns)) {
+      this.cooldowns[key] = Math.max(0, this.cooldowns[key] - deltaTime);
+    }
+  }
+
+  /**
+   * Get signed angular velocity including spin direction and boost
+   * @returns {number} Angular velocity in radians per second
+   */
+  getAngularVelocity() {
+    const multiplier = this.boostTime > 0 ? this.boostMultiplier : 1;
+    return this.rotationSpeed * this.direction * multiplier;
+  }
+
+  /**
+   * Reverse the spin direction
+   * @param {number} cooldown - Seconds before the saber can reverse again
+   * @returns {boolean} True if the saber reversed
+   */
+  reverse(cooldown = 0) {
+    if (this.cooldowns.reverse > 0) return false;
+    this.direction = -this.direction;
+    this.cooldowns.reverse = cooldown;
+    return true;
+  }
+
+  /**
+   * Temporarily multiply spin speed
+   * @param {number} duration - Boost duration in seconds
+   * @param {number} multiplier - Spin speed multiplier while boosted
+   * @param {number} cooldown - Seconds (from activation) before the next boost
+   * @returns {boolean} True if the boost started
+   */
+  boost(duration, multiplier, cooldown = 0) {
+    if (this.cooldowns.boost > 0) return false;
+    if (multiplier <= 0) {
+      throw new Error('Boost multiplier must be positive');
+    }
+    this.boostTime = duration;
+    this.boostMultiplier = multiplier;
+    this.cooldowns.boost = cooldown;
+    return true;
+  }
+
+  /**
+   * Temporarily retract the saber (it cannot hit while retracted)
+   * @param {number} duration - Seconds until the saber extends again
+   * @param {number} cooldown - Seconds (from activation) before the next retraction
+   * @returns {boolean} True if the saber retracted
+   */
+  retract(duration, cooldown = 0) {
+    if (this.cooldowns.retract > 0 || !this._isActive) return false;
+    this._isActive = false;
+    this.retractTime = duration;
+    this.cooldowns.retract = cooldown;
+    return true;
+  }
+
+  /**
+   * Bounce off another blade: undo the last rotation step and reverse spin direction
+   * (ignores the reverse cooldown)
+   */
+  bounce() {
+    this.setAngle(this.angle - this.lastSweep);
+    this.direction = -this.direction;
+  }
+
+  /**
+   * Check if the spin boost is active
+   * @returns {boolean} True if boosted
+   */
+  isBoosted() {
+    return this.boostTime > 0;
+  }
+
+  /**
+   * Check if the saber is retracted
+   * @returns {boolean} True if retracted
+   */
+  isRetracted() {
+    return this.retractTime > 0;
+  }
+
+  /**
+   * Get the angle at the start of the last update
+   * @returns {number} Angle in radians (not normalized)
+   */
+  getPreviousAngle() {
+    return this.angle - this.lastSweep;
+  }
+
   /**
    * Get current angle
    * @returns {number} Current angle in radians
@@ -56,6 +170,7 @@ export class Saber {
    */
   setAngle(angle) {
     this.angle = this.normalizeAngle(angle);
+    this.lastSweep = 0;
   }
 
   /**
@@ -283,10 +398,16 @@ export class Saber {
       owner: this.owner,
       length: this.length,
       angle: this.angle,
+      lastSweep: this.lastSweep,
       rotationSpeed: this.rotationSpeed,
       isActive: this._isActive,
       color: this.color,
-      width: this.width
+      width: this.width,
+      direction: this.direction,
+      boostMultiplier: this.boostMultiplier,
+      boostTime: this.boostTime,
+      retractTime: this.retractTime,
+      cooldowns: { ...this.cooldowns }
     };
   }
 
@@ -299,10 +420,17 @@ export class Saber {
     this.owner = state.owner;
     this.length = state.length;
     this.angle = this.normalizeAngle(state.angle);
+    this.lastSweep = state.lastSweep ?? 0;
     this.rotationSpeed = state.rotationSpeed;
-    // this._isActive = state.isActive;
+    this._isActive = state.isActive ?? true;
     this.color = state.color;
     this.width = state.width;
+    this.direction = state.direction ?? 1;
+    this.boostMultiplier = state.boostMultiplier ?? 1;
+    this.boostTime = state.boostTime ?? 0;
+    this.retractTime = state.retractTime ?? 0;
+    this.cooldowns = { reverse: 0, boost: 0, retract: 0, ...state.cooldowns };
+    if (this.retractTime > 0) this._isActive = false;
   }
 
   /**
@@ -310,7 +438,13 @@ export class Saber {
    */
   reset() {
     this.angle = 0;
+    this.lastSweep = 0;
     this._isActive = true;
+    this.direction = 1;
+    this.boostMultiplier = 1;
+    this.boostTime = 0;
+    this.retractTime = 0;
+    this.cooldowns = { reverse: 0, boost: 0, retract: 0 };
     this.lastUpdateTime = 0;
   }
 
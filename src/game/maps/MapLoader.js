@@ -0,0 +1,165 @@
+/**
+ * MapLoader - Parses, validates and registers arena maps, and builds Arenas from them
+ *
+ * Map format (JSON):
+ * {
+ *   "id": "pillars",                      // Unique map id
+ *   "name": "Pillars",                    // Display name (optional)
+ *   "bounds": { "width": 12, "height": 12 },
+ *   "shape": { "type": "rectangle" },     // Playable area inside the bounds:
+ *                                         //   { "type": "circle", "x", "y", "radius" } (all optional)
+ *                                         //   { "type": "polygon", "points": [ ... ] } (convex)
+ *   "obstacles": [ ... ],                 // Obstacle definitions (see Obstacle)
+ *   "spawns": [ { "x": 2, "y": 6 }, ... ],// Spawn points (optional, sampled per episode)
+ *   "hazards": [ ... ],                   // Hazard definitions (optional, see Hazard)
+ *   "theme": { "background": "#222", "border": "#888", "obstacle": "#3a3a3a" }
+ * }
+ */
+
+import { Arena } from '../entities/Arena.js';
+import { Obstacle } from '../entities/Obstacle.js';
+import { Hazard } from '../entities/Hazard.js';
+import { BUILTIN_MAPS } from './builtinMaps.js';
+
+const SHAPE_TYPES = ['rectangle', 'circle', 'polygon'];
+
+// Registered maps by id
+const registry = new Map();
+
+export class MapLoader {
+  /**
+   * Parse and validate a map from JSON text
+   * @param {string} json - Map JSON
+   * @returns {Object} Validated map
+   */
+  static parse(json) {
+    let definition;
+    try {
+      definition = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid map JSON: ${error.message}`);
+    }
+    return MapLoader.validate(definition);
+  }
+
+  /**
+   * Validate a map definition and fill in defaults
+   * @param {Object} definition - Map definition
+   * @returns {Object} Validated copy of the map
+   */
+  static validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Map definition must be an object');
+    }
+    const id = definition.id;
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new Error('Map id must be a non-empty string');
+    }
+
+    const width = definition.bounds?.width;
+    const height = definition.bounds?.height;
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error(`Map ${id}: bounds width and height must be positive`);
+    }
+
+    const shape = { type: 'rectangle', ...definition.shape };
+    if (!SHAPE_TYPES.includes(shape.type)) {
+      throw new Error(`Map ${id}: unsupported arena shape '${shape.type}'`);
+    }
+    // Setting the shape on a scratch arena validates it against the bounds
+    const arena = new Arena(id, width, height);
+    try {
+      arena.setShape(shape);
+    } catch (error) {
+      throw new Error(`Map ${id}: ${error.message}`);
+    }
+
+    const obstacles = definition.obstacles || [];
+    // Constructing each obstacle validates its definition
+    obstacles.forEach((obstacle, i) => new Obstacle(`${id}-obstacle-${i}`, obstacle));
+
+    const hazards = definition.hazards || [];
+    hazards.forEach((hazard, i) => new Hazard(`${id}-hazard-${i}`, hazard));
+
+    const spawns = definition.spawns || [];
+    for (const spawn of spawns) {
+      if (!(spawn.x >= 0 && spawn.x <= width && spawn.y >= 0 && spawn.y <= height) ||
+          arena.getDistanceToBoundary(spawn.x, spawn.y) < 0) {
+        throw new Error(`Map ${id}: spawn point (${spawn.x}, ${spawn.y}) is outside the arena`);
+      }
+    }
+
+    return {
+      id,
+      name: definition.name || id,
+      bounds: { width, height },
+      shape: JSON.parse(JSON.stringify(shape)),
+      obstacles: obstacles.map(obstacle => JSON.parse(JSON.stringify(obstacle))),
+      spawns: spawns.map(spawn => ({ x: spawn.x, y: spawn.y })),
+      hazards: hazards.map(hazard => JSON.parse(JSON.stringify(hazard))),
+      theme: { ...definition.theme }
+    };
+  }
+
+  /**
+   * Validate and register a map (replaces any map with the same id)
+   * @param {Object|string} definition - Map definition or JSON text
+   * @returns {Object} Registered map
+   */
+  static register(definition) {
+    const map = typeof definition === 'string' ? MapLoader.parse(definition) : MapLoader.validate(definition);
+    registry.set(map.id, map);
+    return map;
+  }
+
+  /**
+   * Get a registered map
+   * @param {string} id - Map id
+   * @returns {Object} Map
+   */
+  static get(id) {
+    const map = registry.get(id);
+    if (!map) {
+      throw new Error(`Unknown map: ${id}. Available maps: ${MapLoader.list().join(', ')}`);
+    }
+    return map;
+  }
+
+  /**
+   * Check if a map is registered
+   * @param {string} id - Map id
+   * @returns {boolean} True if registered
+   */
+  static has(id) {
+    return registry.has(id);
+  }
+
+  /**
+   * List registered map ids
+   * @returns {string[]} Map ids
+   */
+  static list() {
+    return [...registry.keys()];
+  }
+
+  /**
+   * Build an Arena from a map
+   * @param {Object} map - Validated map
+   * @param {Object} rng - Optional random source with next()
+   * @returns {Arena} Arena with the map's bounds, shape, obstacles, hazards and theme
+   */
+  static createArena(map, rng = null) {
+    const arena = new Arena(map.id, map.bounds.width, map.bounds.height, rng);
+    arena.setShape(map.shape);
+    arena.setObstacles(map.obstacles);
+    arena.setHazards(map.hazards);
+    arena.theme = { ...map.theme };
+    if (map.theme.background) arena.backgroundColor = map.theme.background;
+    if (map.theme.border) arena.borderColor = map.theme.border;
+    return arena;
+  }
+}
+
+for (const map of BUILTIN_MAPS) {
+  MapLoader.register(map);
+}
@@ -0,0 +1,123 @@
+/**
+ * Built-in arena maps (JSON-compatible objects, see MapLoader for the format)
+ */
+
+export const BUILTIN_MAPS = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    bounds: { width: 12, height: 12 },
+    shape: { type: 'rectangle' },
+    obstacles: [],
+    spawns: [],
+    hazards: [],
+    theme: {}
+  },
+  {
+    id: 'pillars',
+    name: 'Pillars',
+    bounds: { width: 12, height: 12 },
+    shape: { type: 'rectangle' },
+    obstacles: [
+      { type: 'circle', x: 4, y: 4, radius: 0.8 },
+      { type: 'circle', x: 8, y: 4, radius: 0.8 },
+      { type: 'circle', x: 4, y: 8, radius: 0.8 },
+      { type: 'circle', x: 8, y: 8, radius: 0.8 }
+    ],
+    spawns: [
+      { x: 1.5, y: 6 }, { x: 10.5, y: 6 }, { x: 6, y: 1.5 }, { x: 6, y: 10.5 },
+      { x: 1.5, y: 1.5 }, { x: 10.5, y: 10.5 }, { x: 1.5, y: 10.5 }, { x: 10.5, y: 1.5 }
+    ],
+    hazards: [],
+    theme: { background: '#1e2430', border: '#7a8ba8', obstacle: '#39465c' }
+  },
+  {
+    id: 'crossroads',
+    name: 'Crossroads',
+    bounds: { width: 14, height: 14 },
+    shape: { type: 'rectangle' },
+    obstacles: [
+      { type: 'rect', x: 2, y: 2, width: 3.5, height: 3.5 },
+      { type: 'rect', x: 8.5, y: 2, width: 3.5, height: 3.5 },
+      { type: 'rect', x: 2, y: 8.5, width: 3.5, height: 3.5 },
+      { type: 'rect', x: 8.5, y: 8.5, width: 3.5, height: 3.5 }
+    ],
+    spawns: [
+      { x: 1, y: 7 }, { x: 13, y: 7 }, { x: 7, y: 1 }, { x: 7, y: 13 },
+      { x: 1, y: 1 }, { x: 13, y: 13 }, { x: 1, y: 13 }, { x: 13, y: 1 }
+    ],
+    hazards: [],
+    theme: { background: '#242018', border: '#a89a7a', obstacle: '#4a4232' }
+  },
+  {
+    id: 'bunkers',
+    name: 'Bunkers',
+    bounds: { width: 16, height: 10 },
+    shape: { type: 'rectangle' },
+    obstacles: [
+      { type: 'polygon', points: [{ x: 4, y: 3 }, { x: 6, y: 4 }, { x: 5, y: 6 }, { x: 3, y: 5 }] },
+      { type: 'polygon', points: [{ x: 12, y: 7 }, { x: 10, y: 6 }, { x: 11, y: 4 }, { x: 13, y: 5 }] },
+      { type: 'polygon', points: [{ x: 7.5, y: 1 }, { x: 8.5, y: 1 }, { x: 8, y: 2.5 }] },
+      { type: 'polygon', points: [{ x: 7.5, y: 9 }, { x: 8.5, y: 9 }, { x: 8, y: 7.5 }] }
+    ],
+    spawns: [
+      { x: 1.5, y: 5 }, { x: 14.5, y: 5 }, { x: 8, y: 5 }, { x: 1.5, y: 1.5 },
+      { x: 14.5, y: 8.5 }, { x: 1.5, y: 8.5 }, { x: 14.5, y: 1.5 }, { x: 8, y: 3.5 }
+    ],
+    hazards: [],
+    theme: { background: '#1c2420', border: '#7aa88e', obstacle: '#32483c' }
+  },
+  {
+    id: 'long-hall',
+    name: 'Long Hall',
+    bounds: { width: 20, height: 8 },
+    shape: { type: 'rectangle' },
+    obstacles: [
+      { type: 'rect', x: 6, y: 1.5, width: 0.6, height: 2 },
+      { type: 'rect', x: 6, y: 4.5, width: 0.6, height: 2 },
+      { type: 'rect', x: 13.4, y: 1.5, width: 0.6, height: 2 },
+      { type: 'rect', x: 13.4, y: 4.5, width: 0.6, height: 2 },
+      { type: 'circle', x: 10, y: 4, radius: 1 }
+    ],
+    spawns: [
+      { x: 1.5, y: 4 }, { x: 18.5, y: 4 }, { x: 1.5, y: 1.5 }, { x: 18.5, y: 6.5 },
+      { x: 1.5, y: 6.5 }, { x: 18.5, y: 1.5 }, { x: 10, y: 1 }, { x: 10, y: 7 }
+    ],
+    hazards: [],
+    theme: { background: '#241c24', border: '#a87aa2', obstacle: '#483248' }
+  },
+  {
+    id: 'colosseum',
+    name: 'Colosseum',
+    bounds: { width: 14, height: 14 },
+    shape: { type: 'circle', x: 7, y: 7, radius: 7 },
+    obstacles: [
+      { type: 'circle', x: 7, y: 7, radius: 1.2 }
+    ],
+    spawns: [
+      { x: 2, y: 7 }, { x: 12, y: 7 }, { x: 7, y: 2 }, { x: 7, y: 12 },
+      { x: 3.5, y: 3.5 }, { x: 10.5, y: 10.5 }, { x: 3.5, y: 10.5 }, { x: 10.5, y: 3.5 }
+    ],
+    hazards: [],
+    theme: { background: '#2a2218', border: '#c8a46a', obstacle: '#4e3f2a' }
+  },
+  {
+    id: 'hexagon',
+    name: 'Hexagon',
+    bounds: { width: 14, height: 12.2 },
+    shape: {
+      type: 'polygon',
+      points: [
+        { x: 3.5, y: 0.04 }, { x: 10.5, y: 0.04 }, { x: 14, y: 6.1 },
+        { x: 10.5, y: 12.16 }, { x: 3.5, y: 12.16 }, { x: 0, y: 6.1 }
+      ]
+    },
+    obstacles: [],
+    spawns: [
+      { x: 2, y: 6.1 }, { x: 12, y: 6.1 }, { x: 5, y: 2 }, { x: 9, y: 10.2 },
+      { x: 9, y: 2 }, { x: 5, y: 10.2 }, { x: 7, y: 6.1 }, { x: 7, y: 3 }
+    ],
+    hazards: [],
+    theme: { background: '#18222a', border: '#6ab4c8', obstacle: '#2a404e' }
+  }
+];
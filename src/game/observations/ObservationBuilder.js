@@ -0,0 +1,179 @@
+/**
+ * ObservationBuilder - Builds observation vectors from a declarative list of named features
+ *
+ * Spec format (GameConfig.rl.observation.features):
+ * [
+ *   'position',                                  // Feature name with its default normalizer
+ *   { name: 'velocity', normalizer: 'clip' },    // Override the normalizer
+ *   { name: 'obstacleRays', count: 16 }          // Feature parameters
+ * ]
+ *
+ * A feature is { names(context, params), values(context, params), scales(context, params),
+ * normalizer, shape?(context, params) } where values are raw measurements and scales their
+ * natural ranges; the normalizer turns each (value, scale) pair into the observed number.
+ * names() must not depend on per-step state, so sizes are fixed for a given setup. Features
+ * that are not flat vectors (e.g. grids) report their shape; the values are still flattened.
+ */
+
+import { BUILTIN_FEATURES } from './builtinFeatures.js';
+
+// Registered features and normalizers by name
+const features = new Map();
+const normalizers = new Map();
+
+export class ObservationBuilder {
+  /**
+   * Create a builder for a spec
+   * @param {Array} spec - Feature names or {name, normalizer, ...params} entries
+   * @param {Object} context - Static setup shared by every build (player count, enabled systems, ...)
+   */
+  constructor(spec, context) {
+    if (!Array.isArray(spec) || spec.length === 0) {
+      throw new Error('Observation spec must be a non-empty array of features');
+    }
+    this.context = context;
+    this.entries = spec.map(item => {
+      const { name, normalizer, ...params } = typeof item === 'string' ? { name: item } : item;
+      const feature = ObservationBuilder.getFeature(name);
+      const normalizerName = normalizer ?? feature.normalizer ?? 'scale';
+      return {
+        name,
+        feature,
+        params,
+        normalizerName,
+        normalize: ObservationBuilder.getNormalizer(normalizerName),
+        names: feature.names(context, params).map(label => `${name}.${label}`)
+      };
+    });
+    this.size = this.entries.reduce((sum, entry) => sum + entry.names.length, 0);
+  }
+
+  /**
+   * Register a feature (replaces any feature with the same name)
+   * @param {string} name - Feature name used in specs
+   * @param {Object} feature - {names, values, scales, normalizer, shape?}
+   */
+  static registerFeature(name, feature) {
+    for (const key of ['names', 'values', 'scales']) {
+      if (typeof feature?.[key] !== 'function') {
+        throw new Error(`Observation feature ${name}: ${key} must be a function`);
+      }
+    }
+    features.set(name, feature);
+  }
+
+  /**
+   * Get a registered feature
+   * @param {string} name - Feature name
+   * @returns {Object} Feature
+   */
+  static getFeature(name) {
+    const feature = features.get(name);
+    if (!feature) {
+      throw new Error(`Unknown observation feature: ${name}. Available features: ${ObservationBuilder.listFeatures().join(', ')}`);
+    }
+    return feature;
+  }
+
+  /**
+   * List registered feature names
+   * @returns {string[]} Feature names
+   */
+  static listFeatures() {
+    return [...features.keys()];
+  }
+
+  /**
+   * Register a normalizer (replaces any normalizer with the same name)
+   * @param {string} name - Normalizer name used in specs
+   * @param {Function} normalize - (value, scale) => normalized value
+   */
+  static registerNormalizer(name, normalize) {
+    if (typeof normalize !== 'function') {
+      throw new Error(`Observation normalizer ${name} must be a function`);
+    }
+    normalizers.set(name, normalize);
+  }
+
+  /**
+   * Get a registered normalizer
+   * @param {string} name - Normalizer name
+   * @returns {Function} (value, scale) => normalized value
+   */
+  static getNormalizer(name) {
+    const normalize = normalizers.get(name);
+    if (!normalize) {
+      throw new Error(`Unknown observation normalizer: ${name}. Available normalizers: ${[...normalizers.keys()].join(', ')}`);
+    }
+    return normalize;
+  }
+
+  /**
+   * Get the observation size
+   * @returns {number} Number of values per observation
+   */
+  getSize() {
+    return this.size;
+  }
+
+  /**
+   * Get the name of every observation value, as "feature.label"
+   * @returns {string[]} Value names in observation order
+   */
+  getNames() {
+    return this.entries.flatMap(entry => entry.names);
+  }
+
+  /**
+   * Describe the spec: where each feature sits in the observation
+   * @returns {Array} [{name, normalizer, offset, size, shape, names}]
+   */
+  describe() {
+    let offset = 0;
+    return this.entries.map(entry => {
+      const description = {
+        name: entry.name,
+        normalizer: entry.normalizerName,
+        offset,
+        size: entry.names.length,
+        shape: entry.feature.shape ? entry.feature.shape(this.context, entry.params) : [entry.names.length],
+        names: [...entry.names]
+      };
+      offset += entry.names.length;
+      return description;
+    });
+  }
+
+  /**
+   * Build one observation
+   * @param {Object} state - Per-observation state, merged over the static context
+   *   (self, others, group, arena, ...)
+   * @returns {number[]} Observation
+   */
+  build(state) {
+    const context = { ...this.context, ...state };
+    const observation = [];
+    for (const entry of this.entries) {
+      const values = entry.feature.values(context, entry.params);
+      const scales = entry.feature.scales(context, entry.params);
+      if (values.length !== entry.names.length) {
+        throw new Error(`Observation feature ${entry.name} produced ${values.length} values, expected ${entry.names.length}`);
+      }
+      for (let i = 0; i < values.length; i++) {
+        observation.push(entry.normalize(values[i], Array.isArray(scales) ? scales[i] : scales));
+      }
+    }
+    return observation;
+  }
+}
+
+// Built-in normalizers
+ObservationBuilder.registerNormalizer('none', value => value);
+ObservationBuilder.registerNormalizer('scale', (value, scale) => (scale ? value / scale : 0));
+ObservationBuilder.registerNormalizer('unit', (value, scale) => (scale ? (value + scale) / (2 * scale) : 0));
+ObservationBuilder.registerNormalizer('clip', (value, scale) => (scale ? Math.max(-1, Math.min(1, value / scale)) : 0));
+ObservationBuilder.registerNormalizer('tanh', (value, scale) => (scale ? Math.tanh(value / scale) : 0));
+
+for (const [name, feature] of Object.entries(BUILTIN_FEATURES)) {
+  ObservationBuilder.registerFeature(name, feature);
+}
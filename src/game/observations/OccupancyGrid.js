@@ -0,0 +1,192 @@
+/**
+ * OccupancyGrid - Top-down raster of the arena for convolutional policies
+ * Rasterized in plain JS (no canvas), so it works in workers and in Node.
+ *
+ * The grid covers the arena bounds in world coordinates. Cells are 1 where their center is
+ * covered, 0 elsewhere. Layout is row-major, channels last: index = (row * width + col) *
+ * channels + channel, i.e. shape [height, width, channels].
+ *
+ * Channels:
+ *   self      - observing body
+ *   opponents - other bodies not on the observer's team
+ *   teammates - other bodies on the observer's team
+ *   blades    - every active saber blade
+ *   walls     - outside the arena shape or on its edge, or inside an obstacle
+ *   hazards   - hazard zones and spinning blades
+ *   pickups   - power-up pickups
+ */
+
+export const GRID_CHANNELS = ['self', 'opponents', 'teammates', 'blades', 'walls', 'hazards', 'pickups'];
+
+// Wall masks depend only on the arena layout: cache them per arena and grid size
+const wallMasks = new WeakMap();
+
+export class OccupancyGrid {
+  /**
+   * Create a new OccupancyGrid
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   * @param {string[]} channels - Channels to rasterize, in order (see GRID_CHANNELS)
+   */
+  constructor(width = 64, height = 64, channels = ['self', 'opponents', 'blades', 'walls']) {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+      throw new Error(`Invalid grid size: ${width}x${height}. Must be positive integers`);
+    }
+    const unknown = channels.filter(channel => !GRID_CHANNELS.includes(channel));
+    if (channels.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid grid channels: ${channels.join(', ')}. Must be from ${GRID_CHANNELS.join(', ')}`);
+    }
+    this.width = width;
+    this.height = height;
+    this.channels = channels;
+  }
+
+  /**
+   * Get the grid shape
+   * @returns {number[]} [height, width, channels]
+   */
+  getShape() {
+    return [this.height, this.width, this.channels.length];
+  }
+
+  /**
+   * Rasterize the arena as seen by one body
+   * @param {Object} scene - {arena, self, others, teammates (subset of others)}
+   * @returns {Float32Array} Grid values, length height * width * channels
+   */
+  rasterize({ arena, self, others, teammates = [] }) {
+    const grid = new Float32Array(this.width * this.height * this.channels.length);
+    const frame = {
+      minX: arena.bounds.minX,
+      minY: arena.bounds.minY,
+      cellWidth: (arena.bounds.maxX - arena.bounds.minX) / this.width,
+      cellHeight: (arena.bounds.maxY - arena.bounds.minY) / this.height
+    };
+
+    this.channels.forEach((channel, c) => {
+      if (channel === 'self') {
+        this.fillCircle(grid, c, frame, self.position, self.radius);
+      } else if (channel === 'opponents' || channel === 'teammates') {
+        for (const other of others) {
+          if (!other.isAlive || teammates.includes(other) !== (channel === 'teammates')) continue;
+          this.fillCircle(grid, c, frame, other.position, other.radius);
+        }
+      } else if (channel === 'blades') {
+        for (const entity of [self, ...others]) {
+          if (!entity.isAlive || !entity.saber?.isActive()) continue;
+          const { base, tip } = entity.saber.getEndpoints(entity.position);
+          this.fillSegment(grid, c, frame, base, arena.clipBlade(base, tip));
+        }
+      } else if (channel === 'walls') {
+        const mask = this.getWallMask(arena);
+        for (let cell = 0; cell < mask.length; cell++) {
+          if (mask[cell]) grid[cell * this.channels.length + c] = 1;
+        }
+      } else if (channel === 'hazards') {
+        for (const hazard of arena.getHazards()) {
+          if (hazard.type === 'blade') {
+            const { start, end } = hazard.getBlade();
+            this.fillSegment(grid, c, frame, start, end);
+          } else {
+            this.fillCircle(grid, c, frame, hazard.position, hazard.radius);
+          }
+        }
+      } else if (channel === 'pickups') {
+        for (const pickup of arena.getPickups()) {
+          this.fillCircle(grid, c, frame, pickup.position, pickup.radius);
+        }
+      }
+    });
+    return grid;
+  }
+
+  /**
+   * Mark the cells whose center lies in a circle (and always the cell containing its center)
+   * @param {Float32Array} grid - Grid values
+   * @param {number} c - Channel index
+   * @param {Object} frame - Grid placement {minX, minY, cellWidth, cellHeight}
+   * @param {Object} center - Circle center {x, y}
+   * @param {number} radius - Circle radius
+   */
+  fillCircle(grid, c, frame, center, radius) {
+    const minCol = Math.max(0, Math.floor((center.x - radius - frame.minX) / frame.cellWidth));
+    const maxCol = Math.min(this.width - 1, Math.floor((center.x + radius - frame.minX) / frame.cellWidth));
+    const minRow = Math.max(0, Math.floor((center.y - radius - frame.minY) / frame.cellHeight));
+    const maxRow = Math.min(this.height - 1, Math.floor((center.y + radius - frame.minY) / frame.cellHeight));
+    for (let row = minRow; row <= maxRow; row++) {
+      const y = frame.minY + (row + 0.5) * frame.cellHeight;
+      for (let col = minCol; col <= maxCol; col++) {
+        const x = frame.minX + (col + 0.5) * frame.cellWidth;
+        if (Math.hypot(x - center.x, y - center.y) <= radius) {
+          grid[(row * this.width + col) * this.channels.length + c] = 1;
+        }
+      }
+    }
+    this.markPoint(grid, c, frame, center);
+  }
+
+  /**
+   * Mark the cells a segment passes through (sampled at half-cell spacing)
+   * @param {Float32Array} grid - Grid values
+   * @param {number} c - Channel index
+   * @param {Object} frame - Grid placement {minX, minY, cellWidth, cellHeight}
+   * @param {Object} start - Segment start {x, y}
+   * @param {Object} end - Segment end {x, y}
+   */
+  fillSegment(grid, c, frame, start, end) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const samples = Math.max(1, Math.ceil(length / (Math.min(frame.cellWidth, frame.cellHeight) / 2)));
+    for (let k = 0; k <= samples; k++) {
+      const t = k / samples;
+      this.markPoint(grid, c, frame, {
+        x: start.x + (end.x - start.x) * t,
+        y: start.y + (end.y - start.y) * t
+      });
+    }
+  }
+
+  /**
+   * Mark the cell containing a point (points outside the grid are ignored)
+   * @param {Float32Array} grid - Grid values
+   * @param {number} c - Channel index
+   * @param {Object} frame - Grid placement {minX, minY, cellWidth, cellHeight}
+   * @param {Object} point - Point {x, y}
+   */
+  markPoint(grid, c, frame, point) {
+    const col = Math.floor((point.x - frame.minX) / frame.cellWidth);
+    const row = Math.floor((point.y - frame.minY) / frame.cellHeight);
+    if (col < 0 || col >= this.width || row < 0 || row >= this.height) return;
+    grid[(row * this.width + col) * this.channels.length + c] = 1;
+  }
+
+  /**
+   * Get (and cache) the cells outside or on the edge of the arena shape, or inside obstacles
+   * @param {Object} arena - Arena
+   * @returns {Uint8Array} 1 per blocked cell, row-major
+   */
+  getWallMask(arena) {
+    const key = `${this.width}x${this.height}`;
+    let masks = wallMasks.get(arena);
+    if (!masks) {
+      masks = new Map();
+      wallMasks.set(arena, masks);
+    }
+    if (masks.has(key)) return masks.get(key);
+
+    const mask = new Uint8Array(this.width * this.height);
+    const cellWidth = (arena.bounds.maxX - arena.bounds.minX) / this.width;
+    const cellHeight = (arena.bounds.maxY - arena.bounds.minY) / this.height;
+    const edge = Math.hypot(cellWidth, cellHeight) / 2; // Cells the boundary may cross
+    for (let row = 0; row < this.height; row++) {
+      const y = arena.bounds.minY + (row + 0.5) * cellHeight;
+      for (let col = 0; col < this.width; col++) {
+        const x = arena.bounds.minX + (col + 0.5) * cellWidth;
+        const blocked = arena.getDistanceToBoundary(x, y) < edge ||
+          arena.getObstacles().some(obstacle => obstacle.containsPoint(x, y));
+        mask[row * this.width + col] = blocked ? 1 : 0;
+      }
+    }
+    masks.set(key, mask);
+    return mask;
+  }
+}
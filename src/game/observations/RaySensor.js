@@ -0,0 +1,70 @@
+/**
+ * RaySensor - "Lidar" that casts rays from a body and reports what each ray hits first
+ * Hit types: walls (arena boundary and obstacles), other bodies and other players' blades.
+ */
+
+import { rayCircle, raySegment } from '../../utils/Geometry.js';
+
+export const RAY_HIT_TYPES = ['wall', 'body', 'blade'];
+
+export class RaySensor {
+  /**
+   * Create a new RaySensor
+   * @param {number} count - Rays per scan, evenly spaced around the body
+   * @param {number} range - Maximum sensing distance in units
+   */
+  constructor(count, range) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid ray count: ${count}. Must be a positive integer`);
+    }
+    if (!(range > 0)) {
+      throw new Error('Ray sensor range must be positive');
+    }
+    this.count = count;
+    this.range = range;
+  }
+
+  /**
+   * Cast a single ray
+   * @param {Object} origin - Ray origin {x, y}
+   * @param {number} angle - Ray angle in radians
+   * @param {Object} arena - Arena (walls and obstacles)
+   * @param {Array} bodies - Other bodies that can be hit (self excluded)
+   * @param {Function} getBlade - entity => {base, tip} of its (clipped) blade
+   * @returns {Object} Hit {distance, type} where type is null when nothing is in range
+   */
+  cast(origin, angle, arena, bodies, getBlade) {
+    const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+    let hit = { distance: arena.raycast(origin.x, origin.y, angle).distance, type: 'wall' };
+
+    for (const body of bodies) {
+      if (!body.isAlive) continue;
+      const bodyDistance = rayCircle(origin, direction, body.position, body.radius);
+      if (bodyDistance < hit.distance) hit = { distance: bodyDistance, type: 'body' };
+
+      if (!body.saber?.isActive()) continue;
+      const blade = getBlade(body);
+      const bladeDistance = raySegment(origin, direction, blade.base, blade.tip);
+      if (bladeDistance < hit.distance) hit = { distance: bladeDistance, type: 'blade' };
+    }
+
+    return hit.distance > this.range ? { distance: this.range, type: null } : hit;
+  }
+
+  /**
+   * Cast every ray of a scan
+   * @param {Object} origin - Ray origin {x, y}
+   * @param {number} startAngle - Angle of the first ray in radians
+   * @param {Object} arena - Arena (walls and obstacles)
+   * @param {Array} bodies - Other bodies that can be hit (self excluded)
+   * @param {Function} getBlade - entity => {base, tip} of its (clipped) blade
+   * @returns {Array} Hits [{distance, type}], one per ray
+   */
+  scan(origin, startAngle, arena, bodies, getBlade) {
+    const hits = [];
+    for (let k = 0; k < this.count; k++) {
+      hits.push(this.cast(origin, startAngle + (2 * Math.PI * k) / this.count, arena, bodies, getBlade));
+    }
+    return hits;
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Built-in observation features (see ObservationBuilder for the feature format)
+ *
+ * Per-observation context: self (observing body), others (other bodies in observation order),
+ * group ([self, ...others]), teammates (others on the observer's team), arena, stepCount,
+ * stormSystem, facing (observing body's facing angle, the direction of its last movement),
+ * frameAngle (rotation of the observation frame: the facing in the egocentric frame, 0 in the
+ * world frame).
+ * Static context: numPlayers, maxSteps, maxAngularVelocity, movementSpeed, saberControls,
+ * obstacleRays, lidar (ray sensor settings), raster (occupancy grid settings),
+ * pickups (pickup settings or null).
+ */
+
+import { PICKUP_TYPES } from '../entities/Pickup.js';
+import { RaySensor, RAY_HIT_TYPES } from './RaySensor.js';
+import { OccupancyGrid } from './OccupancyGrid.js';
+
+// Labels of the observing body and the others, in observation order
+const groupLabels = context => ['self', ...otherLabels(context)];
+const otherLabels = context => Array.from({ length: context.numPlayers - 1 }, (_, i) => `other${i + 1}`);
+
+const extent = arena => ({
+  width: arena.bounds.maxX - arena.bounds.minX,
+  height: arena.bounds.maxY - arena.bounds.minY
+});
+const diagonal = arena => Math.hypot(arena.width, arena.height);
+
+// Occupancy grid for a spec entry: params override the raster settings
+const gridFor = (context, params) => new OccupancyGrid(
+  params.width ?? context.raster?.width ?? 64,
+  params.height ?? context.raster?.height ?? 64,
+  params.channels ?? context.raster?.channels
+);
+
+// Wrap an angle to [-PI, PI]
+const wrapAngle = angle => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// Rotate a world-frame vector into the observation frame
+const toFrame = (x, y, frameAngle) => {
+  const cos = Math.cos(frameAngle);
+  const sin = Math.sin(frameAngle);
+  return [x * cos + y * sin, -x * sin + y * cos];
+};
+
+export const BUILTIN_FEATURES = {
+  // Body positions inside the arena bounds
+  position: {
+    normalizer: 'scale',
+    names: context => groupLabels(context).flatMap(label => [`${label}.x`, `${label}.y`]),
+    values: ({ group, arena }) => group.flatMap(e => [e.position.x - arena.bounds.minX, e.position.y - arena.bounds.minY]),
+    scales: ({ group, arena }) => group.flatMap(() => [extent(arena).width, extent(arena).height])
+  },
+
+  // Body velocities, relative to the movement speed
+  velocity: {
+    normalizer: 'clip',
+    names: context => groupLabels(context).flatMap(label => [`${label}.x`, `${label}.y`]),
+    values: ({ group }) => group.flatMap(e => [e.velocity.x, e.velocity.y]),
+    scales: ({ movementSpeed }) => movementSpeed
+  },
+
+  // Saber angles, wrapped to [-PI, PI] (sabers keep theirs in [0, 2 PI))
+  saberAngle: {
+    normalizer: 'unit',
+    names: groupLabels,
+    values: ({ group }) => group.map(e => wrapAngle(e.saber.getAngle())),
+    scales: () => Math.PI
+  },
+
+  // Saber rotation speeds
+  saberSpeed: {
+    normalizer: 'scale',
+    names: groupLabels,
+    values: ({ group }) => group.map(e => e.saber.getRotationSpeed()),
+    scales: ({ maxAngularVelocity }) => maxAngularVelocity
+  },
+
+  // Saber tip positions inside the arena bounds
+  saberTip: {
+    normalizer: 'scale',
+    names: context => groupLabels(context).flatMap(label => [`${label}.x`, `${label}.y`]),
+    values: ({ group, arena }) => group.flatMap(e => {
+      const tip = e.saber.getTipPosition(e.position);
+      return [tip.x - arena.bounds.minX, tip.y - arena.bounds.minY];
+    }),
+    scales: ({ group, arena }) => group.flatMap(() => [extent(arena).width, extent(arena).height])
+  },
+
+  // Whether each other body is alive (1) or eliminated (0)
+  alive: {
+    normalizer: 'scale',
+    names: otherLabels,
+    values: ({ others }) => others.map(e => (e.isAlive ? 1 : 0)),
+    scales: () => 1
+  },
+
+  // Health as a fraction of max health
+  health: {
+    normalizer: 'scale',
+    names: groupLabels,
+    values: ({ group }) => group.map(e => e.health),
+    scales: ({ group }) => group.map(e => e.maxHealth)
+  },
+
+  // Saber control state: spin direction (-1 or 1), boosted, extended (0 = retracted or eliminated)
+  saberState: {
+    normalizer: 'scale',
+    names: context => groupLabels(context).flatMap(label => [`${label}.direction`, `${label}.boosted`, `${label}.extended`]),
+    values: ({ group }) => group.flatMap(e => [
+      e.saber.direction ?? 1,
+      e.saber.isBoosted() ? 1 : 0,
+      e.saber.isActive() ? 1 : 0
+    ]),
+    scales: () => 1
+  },
+
+  // Own saber control cooldowns as the fraction remaining
+  saberCooldowns: {
+    normalizer: 'scale',
+    names: () => ['reverse', 'boost', 'retract'],
+    values: ({ self }) => [self.saber.cooldowns.reverse, self.saber.cooldowns.boost, self.saber.cooldowns.retract],
+    scales: ({ saberControls }) => [
+      saberControls?.reverseCooldown ?? 0,
+      saberControls?.boostCooldown ?? 0,
+      saberControls?.retractCooldown ?? 0
+    ]
+  },
+
+  // Distance from each body to the nearest wall, relative to half the arena's smaller side
+  wallDistance: {
+    normalizer: 'clip',
+    names: groupLabels,
+    values: ({ group, arena }) => group.map(e => arena.getDistanceToBoundary(e.position.x, e.position.y)),
+    scales: ({ arena }) => Math.min(extent(arena).width, extent(arena).height) / 2
+  },
+
+  // Distance to each other body, relative to the arena diagonal
+  distance: {
+    normalizer: 'clip',
+    names: otherLabels,
+    values: ({ self, others }) => others.map(e => Math.hypot(e.position.x - self.position.x, e.position.y - self.position.y)),
+    scales: ({ arena }) => diagonal(arena)
+  },
+
+  // Bearing of each other body relative to the own saber angle, in [-PI, PI]
+  relativeAngle: {
+    normalizer: 'scale',
+    names: otherLabels,
+    values: ({ self, others }) => others.map(e => wrapAngle(
+      Math.atan2(e.position.y - self.position.y, e.position.x - self.position.x) - self.saber.getAngle()
+    )),
+    scales: () => Math.PI
+  },
+
+  // Own facing in world coordinates as [cos, sin] (not rotation invariant; lets egocentric
+  // policies relate the frame to world-frame movement actions)
+  heading: {
+    normalizer: 'scale',
+    names: () => ['cos', 'sin'],
+    values: ({ facing }) => [Math.cos(facing), Math.sin(facing)],
+    scales: () => 1
+  },
+
+  // Offset of each other body from the observing body, in the observation frame
+  relativePosition: {
+    normalizer: 'clip',
+    names: context => otherLabels(context).flatMap(label => [`${label}.x`, `${label}.y`]),
+    values: ({ self, others, frameAngle }) => others.flatMap(e => toFrame(
+      e.position.x - self.position.x, e.position.y - self.position.y, frameAngle
+    )),
+    scales: ({ arena }) => diagonal(arena)
+  },
+
+  // Offset of each other body's saber tip from the observing body, in the observation frame
+  relativeSaberTip: {
+    normalizer: 'clip',
+    names: context => otherLabels(context).flatMap(label => [`${label}.x`, `${label}.y`]),
+    values: ({ self, others, frameAngle }) => others.flatMap(e => {
+      const tip = e.saber.getTipPosition(e.position);
+      return toFrame(tip.x - self.position.x, tip.y - self.position.y, frameAngle);
+    }),
+    scales: ({ arena }) => diagonal(arena)
+  },
+
+  // Saber angle of each other body relative to the own saber angle, in [-PI, PI]
+  relativeSaberAngle: {
+    normalizer: 'scale',
+    names: otherLabels,
+    values: ({ self, others }) => others.map(e => wrapAngle(e.saber.getAngle() - self.saber.getAngle())),
+    scales: () => Math.PI
+  },
+
+  // Body velocities rotated into the observation frame
+  frameVelocity: {
+    normalizer: 'clip',
+    names: context => groupLabels(context).flatMap(label => [`${label}.x`, `${label}.y`]),
+    values: ({ group, frameAngle }) => group.flatMap(e => toFrame(e.velocity.x, e.velocity.y, frameAngle)),
+    scales: ({ movementSpeed }) => movementSpeed
+  },
+
+  // Distance to the nearest obstacle or wall along evenly spaced rays, starting at the
+  // observation frame's x axis
+  obstacleRays: {
+    normalizer: 'clip',
+    names: (context, params) => Array.from({ length: params.count ?? context.obstacleRays }, (_, k) => `ray${k}`),
+    values: ({ self, arena, obstacleRays, frameAngle }, params) => {
+      const count = params.count ?? obstacleRays;
+      return Array.from({ length: count }, (_, k) => (
+        arena.raycast(self.position.x, self.position.y, frameAngle + (2 * Math.PI * k) / count).distance
+      ));
+    },
+    scales: ({ arena }) => diagonal(arena)
+  },
+
+  // Ray sensor ("lidar"): per ray the distance to the first hit and its type
+  // [distance, wall, body, blade]; rays that hit nothing in range report the range and no type.
+  // Params: count (rays, default lidar.rays), range (units, default lidar.range or the arena diagonal)
+  lidar: {
+    normalizer: 'clip',
+    names: (context, params) => Array.from({ length: params.count ?? context.lidar?.rays ?? 0 }, (_, k) => (
+      ['distance', ...RAY_HIT_TYPES].map(label => `ray${k}.${label}`)
+    )).flat(),
+    values: ({ self, others, arena, lidar, frameAngle }, params) => {
+      const count = params.count ?? lidar?.rays ?? 0;
+      if (count === 0) return [];
+      const sensor = new RaySensor(count, params.range ?? lidar?.range ?? diagonal(arena));
+      const bladeOf = e => {
+        const { base, tip } = e.saber.getEndpoints(e.position);
+        return { base, tip: arena.clipBlade(base, tip) };
+      };
+      return sensor.scan(self.position, frameAngle, arena, others, bladeOf).flatMap(hit => (
+        [hit.distance, ...RAY_HIT_TYPES.map(type => (type === hit.type ? 1 : 0))]
+      ));
+    },
+    scales: ({ arena, lidar }, params) => Array.from({ length: params.count ?? lidar?.rays ?? 0 }, () => (
+      [params.range ?? lidar?.range ?? diagonal(arena), ...RAY_HIT_TYPES.map(() => 1)]
+    )).flat()
+  },
+
+  // Top-down occupancy grid of the arena in world coordinates, flattened channels last
+  // (shape [height, width, channels], see OccupancyGrid). Params: width, height, channels
+  occupancy: {
+    normalizer: 'none',
+    shape: (context, params) => gridFor(context, params).getShape(),
+    names: (context, params) => {
+      const grid = gridFor(context, params);
+      const names = [];
+      for (let row = 0; row < grid.height; row++) {
+        for (let col = 0; col < grid.width; col++) {
+          for (const channel of grid.channels) names.push(`r${row}c${col}.${channel}`);
+        }
+      }
+      return names;
+    },
+    values: (context, params) => gridFor(context, params).rasterize(context),
+    scales: () => 1
+  },
+
+  // Storm safe radius as a fraction of its starting radius (1 without a storm)
+  safeRadius: {
+    normalizer: 'scale',
+    names: () => ['radius'],
+    values: ({ stormSystem }) => [stormSystem ? stormSystem.getSafeZone().radius : 1],
+    scales: ({ stormSystem }) => (stormSystem ? stormSystem.getSafeZone().startRadius : 1)
+  },
+
+  // Nearest pickups first: [present, x, y, one-hot type]; empty slots are all zeros
+  pickups: {
+    normalizer: 'scale',
+    names: (context, params) => Array.from({ length: params.count ?? context.pickups?.observed ?? 2 }, (_, k) => (
+      ['present', 'x', 'y', ...PICKUP_TYPES].map(label => `slot${k}.${label}`)
+    )).flat(),
+    values: ({ self, arena, pickups: settings }, params) => {
+      const distanceTo = p => Math.hypot(p.position.x - self.position.x, p.position.y - self.position.y);
+      const nearest = [...arena.getPickups()].sort((a, b) => distanceTo(a) - distanceTo(b));
+      const values = [];
+      for (let k = 0; k < (params.count ?? settings?.observed ?? 2); k++) {
+        const pickup = nearest[k];
+        if (!pickup) {
+          values.push(0, 0, 0, ...PICKUP_TYPES.map(() => 0));
+          continue;
+        }
+        values.push(
+          1,
+          pickup.position.x - arena.bounds.minX,
+          pickup.position.y - arena.bounds.minY,
+          ...PICKUP_TYPES.map(type => (type === pickup.type ? 1 : 0))
+        );
+      }
+      return values;
+    },
+    scales: ({ arena, pickups: settings }, params) => Array.from({ length: params.count ?? settings?.observed ?? 2 }, () => (
+      [1, extent(arena).width, extent(arena).height, ...PICKUP_TYPES.map(() => 1)]
+    )).flat()
+  },
+
+  // Own pickup modifier time left as a fraction of the pickup duration
+  modifiers: {
+    normalizer: 'clip',
+    names: () => [...PICKUP_TYPES],
+    values: ({ self }) => PICKUP_TYPES.map(type => self.getModifierTime(type)),
+    scales: ({ pickups: settings }) => settings?.duration ?? 5
+  },
+
+  // Episode progress (steps relative to the maximum episode length)
+  time: {
+    normalizer: 'scale',
+    names: () => ['elapsed'],
+    values: ({ stepCount }) => [stepCount],
+    scales: ({ maxSteps }) => maxSteps
+  }
+};
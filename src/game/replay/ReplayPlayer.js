@@ -0,0 +1,175 @@
+/**
+ * ReplayPlayer - Plays a recorded replay back through SaberGameCore.step
+ * The core is deterministic for a seed, config and action sequence, so the match unfolds
+ * exactly as recorded. Snapshots are kept every keyframeInterval steps so seeking back and
+ * forth (e.g. scrubbing in a viewer) only re-simulates a short stretch.
+ */
+
+import { GameConfig } from '../../config/config.js';
+import { SaberGameCore } from '../SaberGameCore.js';
+import { validateReplay, hashConfig } from './replayFormat.js';
+
+export class ReplayPlayer {
+  /**
+   * Create a new ReplayPlayer
+   * @param {Object} replay - Replay (see replayFormat.js)
+   * @param {Object} config - Game config (default: the one embedded in the replay, else GameConfig);
+   *   must match the config the replay was recorded with
+   * @param {Object} options - {keyframeInterval: steps between seek snapshots (default 100)}
+   */
+  constructor(replay, config = null, options = {}) {
+    this.replay = validateReplay(replay);
+    this.config = config ?? replay.config ?? GameConfig;
+    const configHash = hashConfig(this.config);
+    if (configHash !== replay.configHash) {
+      throw new Error(`Replay was recorded with a different config (hash ${replay.configHash}, this config ${configHash})`);
+    }
+    this.keyframeInterval = options.keyframeInterval ?? 100;
+    this.core = new SaberGameCore(this.config);
+    this.keyframes = new Map(); // Step index => snapshot
+    this.events = [];           // Events of every step played so far, with their step index
+    this.eventsUpTo = 0;        // Steps whose events are in this.events
+    this.stepIndex = 0;
+    this.state = null;
+  }
+
+  /**
+   * Go back to the start of the replay
+   * @returns {Object} GameState before the first step
+   */
+  reset() {
+    this.state = this.replay.snapshot
+      ? this.core.restoreSnapshot(this.replay.snapshot)
+      : this.core.reset(this.replay.seed, this.replay.mapId ?? undefined);
+    this.stepIndex = 0;
+    this.keyframes.set(0, this.core.getSnapshot());
+    return this.state;
+  }
+
+  /**
+   * Play the next recorded step
+   * @returns {Object|null} GameState after the step, or null when the replay is over
+   */
+  step() {
+    if (!this.state) this.reset();
+    if (this.isFinished()) return null;
+
+    const [deltaTime, actions] = this.replay.steps[this.stepIndex];
+    this.state = this.core.step(actions, deltaTime);
+    this.stepIndex++;
+
+    if (this.stepIndex > this.eventsUpTo) {
+      for (const event of this.state.info?.events || []) {
+        this.events.push({ ...event, step: this.stepIndex });
+      }
+      this.eventsUpTo = this.stepIndex;
+    }
+    if (this.stepIndex % this.keyframeInterval === 0 && !this.keyframes.has(this.stepIndex)) {
+      this.keyframes.set(this.stepIndex, this.core.getSnapshot());
+    }
+    return this.state;
+  }
+
+  /**
+   * Jump to a step (0 = before the first step)
+   * @param {number} index - Number of steps played after the jump
+   * @returns {Object} GameState at that step
+   */
+  seek(index) {
+    const target = Math.max(0, Math.min(this.getLength(), Math.floor(index)));
+    if (!this.state) this.reset();
+    if (target < this.stepIndex || target - this.stepIndex > this.keyframeInterval) {
+      // Restart from the nearest keyframe at or before the target
+      let keyframe = 0;
+      for (const step of this.keyframes.keys()) {
+        if (step <= target && step > keyframe) keyframe = step;
+      }
+      if (keyframe > this.stepIndex || target < this.stepIndex) {
+        this.state = this.core.restoreSnapshot(this.keyframes.get(keyframe));
+        this.stepIndex = keyframe;
+      }
+    }
+    while (this.stepIndex < target) this.step();
+    return this.state;
+  }
+
+  /**
+   * Play every remaining step
+   * @returns {Object} Final GameState
+   */
+  playToEnd() {
+    while (!this.isFinished()) this.step();
+    return this.state;
+  }
+
+  /**
+   * Play the whole replay and check that it ends as recorded
+   * @returns {boolean} True if the final outcome matches the recorded one
+   */
+  verify() {
+    this.reset();
+    const final = this.playToEnd();
+    const expected = this.replay.outcome;
+    const outcome = final?.outcome ?? null;
+    return JSON.stringify(outcome) === JSON.stringify(expected);
+  }
+
+  /**
+   * Play the whole replay once so every event is known, then return to the current step
+   * @returns {Array} Events [{type, time, step, ...}] in order
+   */
+  scanEvents() {
+    const current = this.stepIndex;
+    this.seek(this.getLength());
+    this.seek(current);
+    return this.getEvents();
+  }
+
+  /**
+   * Get the events of the steps played so far (see SaberGameEvent)
+   * @returns {Array} Events [{type, time, step, ...}] in order
+   */
+  getEvents() {
+    return [...this.events];
+  }
+
+  /**
+   * Get the core the replay is played on (e.g. for rendering)
+   * @returns {SaberGameCore} Game core
+   */
+  getCore() {
+    return this.core;
+  }
+
+  /**
+   * Get the last GameState
+   * @returns {Object|null} GameState, or null before reset()
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get the number of recorded steps
+   * @returns {number} Step count
+   */
+  getLength() {
+    return this.replay.steps.length;
+  }
+
+  /**
+   * Get the number of steps played
+   * @returns {number} Current step index
+   */
+  getStepIndex() {
+    return this.stepIndex;
+  }
+
+  /**
+   * Check if every recorded step has been played
+   * @returns {boolean} True at the end of the replay
+   */
+  isFinished() {
+    return this.stepIndex >= this.getLength();
+  }
+}
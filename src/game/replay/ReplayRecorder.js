@@ -0,0 +1,82 @@
+/**
+ * ReplayRecorder - Records an episode as a replay (see replayFormat.js)
+ * Call start() after the core is reset (or at any point mid-episode), record() with every
+ * step's actions, and finish() when the episode ends.
+ */
+
+import { REPLAY_FORMAT, REPLAY_VERSION, hashConfig } from './replayFormat.js';
+
+export class ReplayRecorder {
+  /**
+   * Create a new ReplayRecorder
+   * @param {Object} config - Game config the core was created with (hashed into the replay)
+   * @param {Object} options - {includeConfig: embed the full config so the replay is self-contained}
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.includeConfig = !!options.includeConfig;
+    this.configHash = hashConfig(config);
+    this.replay = null;
+  }
+
+  /**
+   * Start recording an episode
+   * @param {Object} core - SaberGameCore, already reset
+   */
+  start(core) {
+    const seed = core.getSeed();
+    if (seed === null) {
+      throw new Error('ReplayRecorder.start() called before the core was reset');
+    }
+    this.replay = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed,
+      mapId: core.getMapId(),
+      numPlayers: core.getNumPlayers(),
+      actionSize: core.getActionSize(),
+      configHash: this.configHash,
+      config: this.includeConfig ? JSON.parse(JSON.stringify(this.config)) : null,
+      // Joining mid-episode: start from the current state instead of the seed's first frame
+      snapshot: core.getElapsedTime() > 0 ? core.getSnapshot() : null,
+      steps: [],
+      outcome: null
+    };
+  }
+
+  /**
+   * Record one step (call with the same arguments as core.step)
+   * @param {Array} actions - Actions, index = player index
+   * @param {number} deltaTime - Time step in seconds
+   */
+  record(actions, deltaTime) {
+    if (!this.replay) return;
+    this.replay.steps.push([
+      deltaTime,
+      Array.from({ length: this.replay.numPlayers }, (_, i) => (
+        Array.isArray(actions?.[i]) ? actions[i].map(Number) : null
+      ))
+    ]);
+  }
+
+  /**
+   * Check if an episode is being recorded
+   * @returns {boolean} True between start() and finish()
+   */
+  isRecording() {
+    return this.replay !== null;
+  }
+
+  /**
+   * Stop recording and get the replay
+   * @param {Array|null} outcome - Episode outcome (null if it did not finish)
+   * @returns {Object|null} Replay, or null if nothing was being recorded
+   */
+  finish(outcome = null) {
+    const replay = this.replay;
+    if (!replay) return null;
+    replay.outcome = outcome ? [...outcome] : null;
+    this.replay = null;
+    return replay;
+  }
+}
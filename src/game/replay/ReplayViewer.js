@@ -0,0 +1,183 @@
+/**
+ * ReplayViewer - Plays a replay on a Renderer in real time, with VCR-style controls
+ * Playback advances by the recorded deltaTimes scaled by the speed, so 1x shows the match
+ * at the pace it was played. Seeking, frame stepping and event jumps work while paused.
+ */
+
+// Events shown as timeline markers and visited by jumpToEvent()
+export const MARKER_EVENT_TYPES = ['hit', 'clash', 'elimination', 'near-miss', 'pickup', 'timeout'];
+
+// Playback speed presets; any speed between the first and last is allowed
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+export class ReplayViewer {
+  /**
+   * Create a new ReplayViewer
+   * @param {ReplayPlayer} player - Replay to show
+   * @param {Renderer} renderer - Renderer to draw on
+   */
+  constructor(player, renderer) {
+    this.player = player;
+    this.renderer = renderer;
+    this.speed = 1;
+    this.playing = false;
+    this.accumulator = 0; // Simulated seconds owed to the next step
+    this.lastTime = 0;
+    this.animationFrameId = null;
+    this.onUpdate = null; // Called after every change of position or play state
+
+    this.player.reset();
+    this.markers = this.player.scanEvents().filter(event => MARKER_EVENT_TYPES.includes(event.type));
+  }
+
+  /**
+   * Start or resume playback (restarts from the beginning when at the end)
+   */
+  play() {
+    if (this.playing) return;
+    if (this.player.isFinished()) this.player.seek(0);
+    this.playing = true;
+    this.accumulator = 0;
+    this.lastTime = performance.now();
+    this.animationFrameId = requestAnimationFrame(time => this.loop(time));
+    this.notify();
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.playing = false;
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.notify();
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Set the playback speed
+   * @param {number} speed - Multiplier, clamped to the range of REPLAY_SPEEDS
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(REPLAY_SPEEDS[0], Math.min(REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1], speed));
+    this.notify();
+  }
+
+  /**
+   * Jump to a step
+   * @param {number} index - Step index (0 = before the first step)
+   */
+  seek(index) {
+    this.player.seek(index);
+    this.accumulator = 0;
+    this.render();
+  }
+
+  /**
+   * Move a single step forward or backward (pauses playback)
+   * @param {number} direction - 1 = next step, -1 = previous step
+   */
+  stepFrame(direction = 1) {
+    this.pause();
+    this.seek(this.player.getStepIndex() + (direction < 0 ? -1 : 1));
+  }
+
+  /**
+   * Jump to the next or previous marker event (pauses playback)
+   * @param {number} direction - 1 = next event, -1 = previous event
+   * @param {string|null} type - Only consider events of this type
+   * @returns {Object|null} Event jumped to, or null if there is none in that direction
+   */
+  jumpToEvent(direction = 1, type = null) {
+    const current = this.player.getStepIndex();
+    const candidates = this.markers.filter(event => (
+      (type === null || event.type === type) && (direction < 0 ? event.step < current : event.step > current)
+    ));
+    const event = direction < 0 ? candidates[candidates.length - 1] : candidates[0];
+    if (!event) return null;
+    this.pause();
+    this.seek(event.step);
+    return event;
+  }
+
+  /**
+   * Get the marker events of the whole replay
+   * @returns {Array} Events [{type, time, step, ...}] in order
+   */
+  getMarkers() {
+    return this.markers;
+  }
+
+  /**
+   * Get the playback position and state
+   * @returns {Object} {step, length, time, playing, speed}
+   */
+  getStatus() {
+    return {
+      step: this.player.getStepIndex(),
+      length: this.player.getLength(),
+      time: this.player.getCore().getElapsedTime(),
+      playing: this.playing,
+      speed: this.speed
+    };
+  }
+
+  /**
+   * Advance playback by the real time since the last frame
+   * @param {number} time - Frame timestamp in milliseconds
+   */
+  loop(time) {
+    if (!this.playing) return;
+    this.accumulator += Math.min(0.25, (time - this.lastTime) / 1000) * this.speed;
+    this.lastTime = time;
+
+    const steps = this.player.replay.steps;
+    // (with a little slack so rounding does not hold back a step that is due)
+    while (!this.player.isFinished() && this.accumulator >= steps[this.player.getStepIndex()][0] - 1e-9) {
+      this.accumulator -= steps[this.player.getStepIndex()][0];
+      this.player.step();
+    }
+    this.render();
+
+    if (this.player.isFinished()) {
+      this.pause();
+      return;
+    }
+    this.animationFrameId = requestAnimationFrame(next => this.loop(next));
+  }
+
+  /**
+   * Draw the current step and notify listeners
+   */
+  render() {
+    this.renderer.render(this.player.getCore());
+    this.notify();
+  }
+
+  /**
+   * Call the update callback
+   */
+  notify() {
+    if (this.onUpdate) this.onUpdate(this.getStatus());
+  }
+
+  /**
+   * Stop playback and release the animation frame
+   */
+  dispose() {
+    this.pause();
+    this.onUpdate = null;
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Replay file format
+ *
+ * A replay is the seed and configuration of an episode plus the actions every player took:
+ * {
+ *   format: 'saberl-replay', version: 1,
+ *   seed, mapId, numPlayers, actionSize, configHash,
+ *   config,                  // Optional full game config (null = supplied on playback)
+ *   snapshot,                // Optional SaberGameCore snapshot when recording started mid-episode
+ *   steps: [[deltaTime, [action of player 0, action of player 1, ...]], ...],
+ *   outcome                  // Final outcome, or null if the episode did not finish
+ * }
+ * Replays are saved as JSON (replayToJSON / replayFromJSON) or as a compact binary
+ * (encodeReplay / decodeReplay): the magic "SRPL", a uint16 version, a uint32 header length
+ * and the header JSON (everything but the steps, plus actionType), padded to 8 bytes; then
+ * every step's deltaTime as float64, then every step's numPlayers x actionSize action values,
+ * as uint8 when all actions are small integers (255 = no action), else float64 (NaN).
+ */
+
+export const REPLAY_FORMAT = 'saberl-replay';
+export const REPLAY_VERSION = 1;
+
+const MAGIC = 'SRPL';
+
+// Round a byte offset up to a multiple of 8 (float64 arrays must be aligned)
+const align = offset => Math.ceil(offset / 8) * 8;
+
+/**
+ * Hash a game config, independent of key order (FNV-1a over a canonical JSON form)
+ * @param {Object} config - Game config
+ * @returns {string} 8-digit hex hash
+ */
+export function hashConfig(config) {
+  const text = canonicalJSON(config);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * JSON with object keys sorted (functions and undefined values are left out, as in JSON)
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+    const sorted = {};
+    for (const name of Object.keys(item).sort()) sorted[name] = item[name];
+    return sorted;
+  });
+}
+
+/**
+ * Check that an object is a replay this version can play
+ * @param {Object} replay - Replay
+ * @returns {Object} The replay
+ */
+export function validateReplay(replay) {
+  if (replay?.format !== REPLAY_FORMAT) {
+    throw new Error('Not a replay: missing format marker');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}. Expected ${REPLAY_VERSION}`);
+  }
+  if (!Array.isArray(replay.steps)) {
+    throw new Error('Replay has no steps');
+  }
+  return replay;
+}
+
+/**
+ * Serialize a replay to JSON
+ * @param {Object} replay - Replay
+ * @returns {string} JSON text
+ */
+export function replayToJSON(replay) {
+  return JSON.stringify(validateReplay(replay));
+}
+
+/**
+ * Parse a replay from JSON
+ * @param {string} text - JSON text
+ * @returns {Object} Replay
+ */
+export function replayFromJSON(text) {
+  return validateReplay(JSON.parse(text));
+}
+
+/**
+ * Encode a replay in the binary format
+ * @param {Object} replay - Replay
+ * @returns {ArrayBuffer} Encoded replay
+ */
+export function encodeReplay(replay) {
+  const { steps, ...rest } = validateReplay(replay);
+  const isByte = value => Number.isInteger(value) && value >= 0 && value < 255;
+  const compact = steps.every(([, actions]) => actions.every(action => !action || action.every(isByte)));
+  const header = { ...rest, actionType: compact ? 'uint8' : 'float64' };
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const offset = align(10 + headerBytes.length);
+  const values = steps.length * replay.numPlayers * replay.actionSize;
+  const buffer = new ArrayBuffer(offset + steps.length * 8 + values * (compact ? 1 : 8));
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < MAGIC.length; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+  view.setUint16(4, replay.version, true);
+  view.setUint32(6, headerBytes.length, true);
+  new Uint8Array(buffer, 10, headerBytes.length).set(headerBytes);
+
+  const deltaTimes = new Float64Array(buffer, offset, steps.length);
+  const actionValues = compact
+    ? new Uint8Array(buffer, offset + steps.length * 8, values)
+    : new Float64Array(buffer, offset + steps.length * 8, values);
+  const missing = compact ? 255 : NaN;
+  let k = 0;
+  steps.forEach(([deltaTime, actions], s) => {
+    deltaTimes[s] = deltaTime;
+    for (let p = 0; p < replay.numPlayers; p++) {
+      for (let a = 0; a < replay.actionSize; a++) {
+        actionValues[k++] = actions[p] ? actions[p][a] : missing;
+      }
+    }
+  });
+  return buffer;
+}
+
+/**
+ * Decode a replay from the binary format
+ * @param {ArrayBuffer} buffer - Encoded replay
+ * @returns {Object} Replay
+ */
+export function decodeReplay(buffer) {
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, MAGIC.length));
+  if (magic !== MAGIC) {
+    throw new Error('Not a binary replay: bad magic');
+  }
+  const version = view.getUint16(4, true);
+  if (version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${version}. Expected ${REPLAY_VERSION}`);
+  }
+  const headerLength = view.getUint32(6, true);
+  const { actionType, ...header } = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 10, headerLength)));
+  const offset = align(10 + headerLength);
+
+  const compact = actionType === 'uint8';
+  const rowLength = header.numPlayers * header.actionSize;
+  const stepCount = (buffer.byteLength - offset) / (8 + rowLength * (compact ? 1 : 8));
+  const deltaTimes = new Float64Array(buffer, offset, stepCount);
+  const actionValues = compact
+    ? new Uint8Array(buffer, offset + stepCount * 8, stepCount * rowLength)
+    : new Float64Array(buffer, offset + stepCount * 8, stepCount * rowLength);
+  const isMissing = compact ? value => value === 255 : Number.isNaN;
+
+  const steps = [];
+  for (let s = 0; s < stepCount; s++) {
+    const actions = [];
+    for (let p = 0; p < header.numPlayers; p++) {
+      const start = s * rowLength + p * header.actionSize;
+      const action = Array.from(actionValues.subarray(start, start + header.actionSize));
+      actions.push(action.every(isMissing) ? null : action);
+    }
+    steps.push([deltaTimes[s], actions]);
+  }
+  return validateReplay({ ...header, steps });
+}
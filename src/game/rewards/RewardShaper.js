@@ -0,0 +1,132 @@
+/**
+ * RewardShaper - Per-step shaping reward as a weighted sum of named terms
+ *
+ * Terms format (GameConfig.rl.rewards.terms):
+ * {
+ *   time: -0.05,                              // Term name: weight
+ *   nearMiss: { weight: -0.2, range: 1.5 }    // Weight and term parameters
+ * }
+ * Terms with weight 0 are skipped.
+ *
+ * A term is { compute(context, params, memory), reset?(context, params, memory) } returning
+ * the unweighted value for one player and one step. memory is a per-player, per-term object
+ * kept across steps (e.g. last step's distance) and cleared by reset().
+ */
+
+import { BUILTIN_REWARD_TERMS } from './builtinRewardTerms.js';
+
+// Registered terms by name
+const terms = new Map();
+
+export class RewardShaper {
+  /**
+   * Create a shaper for a set of weighted terms
+   * @param {Object} weights - Term name => weight, or {weight, ...params}
+   */
+  constructor(weights = {}) {
+    this.entries = Object.entries(weights)
+      .map(([name, setting]) => {
+        const { weight, ...params } = typeof setting === 'number' ? { weight: setting } : setting;
+        if (!Number.isFinite(weight)) {
+          throw new Error(`Reward term ${name}: weight must be a finite number`);
+        }
+        return { name, term: RewardShaper.getTerm(name), weight, params };
+      })
+      .filter(entry => entry.weight !== 0);
+    this.memory = [];
+  }
+
+  /**
+   * Register a reward term (replaces any term with the same name)
+   * @param {string} name - Term name used in GameConfig.rl.rewards.terms
+   * @param {Object} term - {compute, reset?}
+   */
+  static registerTerm(name, term) {
+    if (typeof term?.compute !== 'function') {
+      throw new Error(`Reward term ${name}: compute must be a function`);
+    }
+    terms.set(name, term);
+  }
+
+  /**
+   * Get a registered reward term
+   * @param {string} name - Term name
+   * @returns {Object} Term
+   */
+  static getTerm(name) {
+    const term = terms.get(name);
+    if (!term) {
+      throw new Error(`Unknown reward term: ${name}. Available terms: ${RewardShaper.listTerms().join(', ')}`);
+    }
+    return term;
+  }
+
+  /**
+   * List registered term names
+   * @returns {string[]} Term names
+   */
+  static listTerms() {
+    return [...terms.keys()];
+  }
+
+  /**
+   * Get the names of the active (non-zero weight) terms
+   * @returns {string[]} Term names
+   */
+  getTermNames() {
+    return this.entries.map(entry => entry.name);
+  }
+
+  /**
+   * Start a new episode: clear every player's term memory
+   * @param {Object[]} contexts - Per-player context at the start of the episode
+   */
+  reset(contexts) {
+    this.memory = contexts.map(context => {
+      const memory = {};
+      for (const entry of this.entries) {
+        memory[entry.name] = {};
+        entry.term.reset?.(context, entry.params, memory[entry.name]);
+      }
+      return memory;
+    });
+  }
+
+  /**
+   * Get the term memory for serialization
+   * @returns {Object[]} Per-player term memory
+   */
+  getState() {
+    return JSON.parse(JSON.stringify(this.memory));
+  }
+
+  /**
+   * Set the term memory from serialization
+   * @param {Object[]} state - Per-player term memory
+   */
+  setState(state) {
+    this.memory = JSON.parse(JSON.stringify(state));
+  }
+
+  /**
+   * Compute one player's shaping reward for a step
+   * @param {Object} context - {index, self, opponents, arena, deltaTime, clashes}
+   * @returns {Object} {total, terms: {name: weighted value}}
+   */
+  compute(context) {
+    const memory = this.memory[context.index] ?? (this.memory[context.index] = {});
+    const breakdown = {};
+    let total = 0;
+    for (const entry of this.entries) {
+      const termMemory = memory[entry.name] ?? (memory[entry.name] = {});
+      const value = entry.weight * entry.term.compute(context, entry.params, termMemory);
+      breakdown[entry.name] = value;
+      total += value;
+    }
+    return { total, terms: breakdown };
+  }
+}
+
+for (const [name, term] of Object.entries(BUILTIN_REWARD_TERMS)) {
+  RewardShaper.registerTerm(name, term);
+}
@@ -0,0 +1,108 @@
+/**
+ * Built-in reward terms (see RewardShaper for the term format)
+ *
+ * Per-player context: index (player index), self (the player's body), opponents (living
+ * bodies not on the player's team), arena, deltaTime (step length in seconds), clashes
+ * (this step's clashes, {players: [indices], point}).
+ * Values are unweighted; the sign of the configured weight decides reward or penalty.
+ */
+
+import { closestPointOnSegment } from '../../utils/Geometry.js';
+
+// Nearest living opponent and its distance, or null when none is left
+const nearestOpponent = ({ self, opponents }) => {
+  let nearest = null;
+  for (const other of opponents) {
+    const distance = Math.hypot(other.position.x - self.position.x, other.position.y - self.position.y);
+    if (!nearest || distance < nearest.distance) nearest = { body: other, distance };
+  }
+  return nearest;
+};
+
+// 1 at contact, falling linearly to 0 at range
+const closeness = (gap, range) => Math.max(0, 1 - Math.max(0, gap) / range);
+
+export const BUILTIN_REWARD_TERMS = {
+  // Seconds in the episode (negative weight = time penalty)
+  time: {
+    compute: ({ deltaTime }) => deltaTime
+  },
+
+  // Seconds alive, scaled by remaining health (1 when health is disabled)
+  survival: {
+    compute: ({ self, deltaTime }) => deltaTime * self.health / self.maxHealth
+  },
+
+  // Distance to the nearest opponent, per second (negative weight = keep close)
+  distance: {
+    compute: (context) => (nearestOpponent(context)?.distance ?? 0) * context.deltaTime
+  },
+
+  // Decrease in the distance to the nearest opponent since the previous step
+  approach: {
+    reset: (context, params, memory) => {
+      memory.distance = nearestOpponent(context)?.distance ?? null;
+    },
+    compute: (context, params, memory) => {
+      const distance = nearestOpponent(context)?.distance ?? null;
+      const delta = distance != null && memory.distance != null ? memory.distance - distance : 0;
+      memory.distance = distance;
+      return delta;
+    }
+  },
+
+  // Closeness to the nearest opponent, per second: 1 at the same spot, 0 across the arena.
+  // Params: range (units, default arena diagonal)
+  proximity: {
+    compute: (context, params) => {
+      const nearest = nearestOpponent(context);
+      if (!nearest) return 0;
+      const { bounds } = context.arena;
+      const range = params.range ?? Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+      return closeness(nearest.distance, range) * context.deltaTime;
+    }
+  },
+
+  // Opponent blades passing close to the body without a hit, per second: each blade adds
+  // 1 when touching, falling to 0 at range. Params: range (units, default 1)
+  nearMiss: {
+    compute: ({ self, opponents, arena, deltaTime }, params) => {
+      const range = params.range ?? 1;
+      let total = 0;
+      for (const other of opponents) {
+        if (!other.saber?.isActive()) continue;
+        const { base, tip } = other.saber.getEndpoints(other.position);
+        const closest = closestPointOnSegment(base, arena.clipBlade(base, tip), self.position);
+        const gap = Math.hypot(closest.x - self.position.x, closest.y - self.position.y) - self.radius;
+        total += closeness(gap, range);
+      }
+      return total * deltaTime;
+    }
+  },
+
+  // Closeness of the body to the arena boundary, per second: 1 when touching, 0 at range
+  // (negative weight = wall-hugging penalty). Params: range (units, default 1)
+  wallHugging: {
+    compute: ({ self, arena, deltaTime }, params) => {
+      const gap = arena.getDistanceToBoundary(self.position.x, self.position.y) - self.radius;
+      return closeness(gap, params.range ?? 1) * deltaTime;
+    }
+  },
+
+  // Saber pointing at the nearest opponent, per second: cosine of the angle between the
+  // blade and the direction to the opponent, in [-1, 1]
+  facing: {
+    compute: (context) => {
+      const nearest = nearestOpponent(context);
+      if (!nearest) return 0;
+      const { self } = context;
+      const bearing = Math.atan2(nearest.body.position.y - self.position.y, nearest.body.position.x - self.position.x);
+      return Math.cos(self.saber.getAngle() - bearing) * context.deltaTime;
+    }
+  },
+
+  // Saber clashes the player took part in this step
+  clash: {
+    compute: ({ index, clashes }) => clashes.filter(clash => clash.players.includes(index)).length
+  }
+};
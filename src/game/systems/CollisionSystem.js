@@ -5,6 +5,7 @@
 
 import { GameConfig } from '../../config/config.js';
 import { Vector2 } from '../../utils/Vector2.js';
+import { segmentIntersection, closestPointOnSegment } from '../../utils/Geometry.js';
 
 export class CollisionSystem {
   /**
@@ -19,6 +20,21 @@ export class CollisionSystem {
     // Collision detection settings
     this.saberCollisionTolerance = 0.1; // Tolerance for saber collisions
     this.boundaryCollisionTolerance = 0.05; // Tolerance for boundary collisions
+    this.impactTimeTolerance = 1e-6; // Hits closer together than this (seconds) are simultaneous
+    this.maxSweepIterations = 200; // Iteration cap for swept collision before sampling the rest of the step
+    this.sweepSubdivisions = 64;    // Samples per step where conservative advancement cannot bound the gap
+    
+    // Team rules: sabers only hit teammates when friendly fire is enabled
+    this.friendlyFire = false;
+    
+    // Damage model (defaults reproduce one-hit kills with 1 hit point)
+    this.damagePerHit = 1;          // Health removed per saber contact
+    this.invulnerabilityTime = 0;   // Seconds a victim cannot be hit again after a hit
+    this.knockbackSpeed = 0;        // Velocity pushed onto a victim, away from the attacker
+    
+    // Saber clashes (disabled = blades pass through each other)
+    this.clashEnabled = false;
+    this.clashStunTime = 0;         // Seconds both owners are stunned after a clash
   }
 
   /**
@@ -30,21 +46,28 @@ export class CollisionSystem {
    */
   checkCollisions(players, ais, deltaTime) {
     const results = {
+      clashes: [],
       saberCollisions: [],
       boundaryCollisions: [],
+      eliminated: [],
       gameOver: false,
       winner: null,
       tie: false
     };
 
+    // Check saber-to-saber clashes first: bounced blades are moved out of contact
+    if (this.clashEnabled) {
+      this.checkSaberClashes(players, ais, results);
+    }
+    
     // Check saber-to-player collisions
-    this.checkSaberCollisions(players, ais, results);
+    this.checkSaberCollisions(players, ais, results, deltaTime);
     
     // Check boundary collisions
     this.checkBoundaryCollisions(players, ais, results);
     
     // Determine game outcome
-    this.determineGameOutcome(results);
+    this.determineGameOutcome(results, [...players, ...ais]);
     
     this.lastUpdateTime = Date.now();
     return results;
@@ -52,11 +75,13 @@ export class CollisionSystem {
 
   /**
    * Check for saber-to-player collisions
+   * Collisions are swept over the step, so each hit carries its time of impact.
    * @param {Array} players - Array of player objects
    * @param {Array} ais - Array of AI objects
    * @param {Object} results - Collision results object to update
+   * @param {number} deltaTime - Duration of the step in seconds
    */
-  checkSaberCollisions(players, ais, results) {
+  checkSaberCollisions(players, ais, results, deltaTime = 0) {
     const allEntities = [...players, ...ais];
     
     for (let i = 0; i < allEntities.length; i++) {
@@ -67,19 +92,80 @@ export class CollisionSystem {
         const entity2 = allEntities[j];
         
         if (!entity1.isAlive || !entity2.isAlive) continue;
+        if (!this.isValidVictim(entity1, entity2)) continue;
         
-        // Check if entity1's saber is colliding with entity2
-        const collision = this.checkSaberToEntityCollision(entity1, entity2);
+        // Check if entity1's saber touched entity2 at any time during the step
+        const collision = this.sweptSaberToEntityCollision(entity1, entity2);
         if (collision) {
           results.saberCollisions.push({
             attacker: entity1,
             victim: entity2,
             collisionPoint: collision.point,
+            timeOfImpact: collision.fraction * deltaTime
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Check for saber-to-saber clashes and resolve them
+   * Crossing blades bounce back (the last rotation step is undone) and reverse spin,
+   * and both owners are stunned. Blades that cannot hit each other's owners
+   * (teammates without friendly fire) pass through each other.
+   * @param {Array} players - Array of player objects
+   * @param {Array} ais - Array of AI objects
+   * @param {Object} results - Collision results object to update
+   */
+  checkSaberClashes(players, ais, results) {
+    const allEntities = [...players, ...ais];
+    const clashed = new Set();
+    
+    for (let i = 0; i < allEntities.length; i++) {
+      for (let j = i + 1; j < allEntities.length; j++) {
+        const entity1 = allEntities[i];
+        const entity2 = allEntities[j];
+        
+        if (!entity1.isAlive || !entity2.isAlive) continue;
+        if (!entity1.saber?.isActive() || !entity2.saber?.isActive()) continue;
+        if (!this.isValidVictim(entity1, entity2)) continue;
+        
+        const blade1 = this.getBlade(entity1);
+        const blade2 = this.getBlade(entity2);
+        const hit = segmentIntersection(blade1.base, blade1.tip, blade2.base, blade2.tip);
+        if (hit) {
+          results.clashes.push({
+            entities: [entity1, entity2],
+            clashPoint: new Vector2(hit.x, hit.y),
             timestamp: Date.now()
           });
+          clashed.add(entity1);
+          clashed.add(entity2);
         }
       }
     }
+    
+    // Resolve once per entity, even when its blade crossed several others
+    for (const entity of clashed) {
+      entity.saber.bounce();
+      if (entity.setStunned && this.clashStunTime > 0) {
+        entity.setStunned(this.clashStunTime);
+      }
+    }
+  }
+
+  /**
+   * Check whether an attacker's saber may hit a victim
+   * Entities without a team (free-for-all) can hit everyone; teammates can only be
+   * hit when friendly fire is enabled.
+   * @param {Object} attacker - Entity with the saber
+   * @param {Object} victim - Entity being attacked
+   * @returns {boolean} True if the victim can be hit
+   */
+  isValidVictim(attacker, victim) {
+    if (attacker === victim) return false;
+    if (this.friendlyFire) return true;
+    return attacker.team == null || attacker.team !== victim.team;
   }
 
   /**
@@ -91,12 +177,11 @@ export class CollisionSystem {
   checkSaberToEntityCollision(attacker, victim) {
     if (!attacker.saber || !attacker.saber.isActive()) return null;
     
-    const attackerPos = attacker.getPosition();
     const victimPos = victim.getPosition();
     const victimRadius = victim.getRadius();
     
     // Get saber endpoints
-    const saberEndpoints = attacker.saber.getEndpoints(attackerPos);
+    const saberEndpoints = this.getBlade(attacker);
     
     // Check if saber line segment intersects with victim circle
     const intersects = this.lineCircleIntersection(
@@ -124,6 +209,96 @@ export class CollisionSystem {
     return null;
   }
 
+  /**
+   * Get the effective blade of an entity's saber (cut off at obstacles when they block sabers)
+   * @param {Object} entity - Entity with the saber
+   * @returns {Object} Blade endpoints {base, tip}
+   */
+  getBlade(entity) {
+    const endpoints = entity.saber.getEndpoints(entity.getPosition());
+    if (this.arena && this.arena.clipBlade) {
+      const tip = this.arena.clipBlade(endpoints.base, endpoints.tip);
+      if (tip !== endpoints.tip) endpoints.tip = new Vector2(tip.x, tip.y);
+    }
+    return endpoints;
+  }
+
+  /**
+   * Find the first moment during the last step at which a saber touched an entity
+   * Over the step the blade base and the victim move linearly between their previous
+   * and current positions while the blade rotates by its last sweep. The gap between
+   * the full-length blade and the body changes no faster than the sum of those motions,
+   * so conservative advancement (stepping by gap / max rate) cannot skip over a contact.
+   * Obstacle clipping can shorten the blade abruptly, which breaks that bound, so the
+   * sweep runs on the unclipped blade and clipping only decides whether a contact counts.
+   * Limit: while the full blade overlaps the body but its clipped part does not (contact
+   * hidden behind an obstacle), and when advancement does not converge within
+   * maxSweepIterations (grazing contact), the step is sampled sweepSubdivisions times,
+   * so a clipped contact shorter than that resolution can be missed.
+   * @param {Object} attacker - Entity with the saber
+   * @param {Object} victim - Entity being attacked
+   * @returns {Object|null} Collision info {point, distance, fraction} where fraction in
+   *   [0, 1] is the time of impact as a fraction of the step, or null if no collision
+   */
+  sweptSaberToEntityCollision(attacker, victim) {
+    if (!attacker.saber || !attacker.saber.isActive()) return null;
+    
+    const saber = attacker.saber;
+    const base0 = attacker.previousPosition || attacker.getPosition();
+    const base1 = attacker.getPosition();
+    const center0 = victim.previousPosition || victim.getPosition();
+    const center1 = victim.getPosition();
+    const angle1 = saber.getAngle();
+    const sweep = saber.lastSweep || 0;
+    const length = saber.getLength();
+    const radius = victim.getRadius() + this.saberCollisionTolerance;
+    
+    const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    const poseAt = (t, clipped) => {
+      const base = lerp(base0, base1, t);
+      const angle = angle1 - sweep * (1 - t);
+      const fullTip = { x: base.x + Math.cos(angle) * length, y: base.y + Math.sin(angle) * length };
+      const tip = clipped && this.arena && this.arena.clipBlade ? this.arena.clipBlade(base, fullTip) : fullTip;
+      const center = lerp(center0, center1, t);
+      const closest = closestPointOnSegment(base, tip, center);
+      return { closest, gap: Math.hypot(closest.x - center.x, closest.y - center.y) - radius };
+    };
+    const hitAt = (t) => {
+      const pose = poseAt(t, true);
+      if (pose.gap > 1e-9) return null;
+      return {
+        point: new Vector2(pose.closest.x, pose.closest.y),
+        distance: pose.gap + radius,
+        fraction: t
+      };
+    };
+    
+    const maxRate = Math.hypot(base1.x - base0.x, base1.y - base0.y)
+      + Math.hypot(center1.x - center0.x, center1.y - center0.y)
+      + length * Math.abs(sweep);
+    const sampleStep = 1 / this.sweepSubdivisions;
+    
+    let t = 0;
+    for (let iteration = 0; iteration < this.maxSweepIterations; iteration++) {
+      const gap = poseAt(t, false).gap;
+      if (gap <= 1e-9) {
+        const hit = hitAt(t);
+        if (hit) return hit;
+      }
+      if (maxRate === 0 || t >= 1) return null;
+      // Inside the full blade's contact the gap gives no bound: walk it at sample resolution
+      t = Math.min(1, t + (gap <= 1e-9 ? sampleStep : gap / maxRate));
+    }
+    
+    // Advancement did not converge (grazing contact): sample the rest of the step
+    const remaining = 1 - t;
+    for (let i = 1; i <= this.sweepSubdivisions; i++) {
+      const hit = hitAt(t + remaining * i / this.sweepSubdivisions);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
   /**
    * Calculate the collision point between a line and a circle
    * @param {Vector2} lineStart - Line start point
@@ -185,36 +360,144 @@ export class CollisionSystem {
 
   /**
    * Determine game outcome based on collisions
+   * Hits are resolved in order of their time of impact. Each saber contact damages its
+   * victim unless the victim is still invulnerable from an earlier hit; victims whose
+   * health drops to zero are eliminated and cannot strike later in the step (hits
+   * within impactTimeTolerance of each other are simultaneous, so mutual kills tie).
+   * The game is over once at most one side is left standing, where a side is a team
+   * or, without teams, a single entity; if nobody is left, it is a tie.
    * @param {Object} results - Collision results object to update
+   * @param {Array} entities - All entities taking part in the game
    */
-  determineGameOutcome(results) {
+  determineGameOutcome(results, entities = []) {
     const saberCollisions = results.saberCollisions;
     
     if (saberCollisions.length === 0) {
       return; // No collisions, game continues
     }
     
-    // Check for simultaneous collisions (tie game)
-    if (saberCollisions.length > 1) {
-      // Check if collisions happened at nearly the same time
-      const timeThreshold = 100; // 100ms tolerance for simultaneous collisions
-      const firstCollisionTime = saberCollisions[0].timestamp;
-      
-      const simultaneousCollisions = saberCollisions.filter(
-        collision => Math.abs(collision.timestamp - firstCollisionTime) <= timeThreshold
-      );
-      
-      if (simultaneousCollisions.length > 1) {
-        results.tie = true;
-        results.gameOver = true;
-        return;
+    // Apply damage in impact order and collect eliminated victims
+    const eliminatedAt = new Map();
+    const ordered = [...saberCollisions].sort((a, b) => (a.timeOfImpact ?? 0) - (b.timeOfImpact ?? 0));
+    for (const collision of ordered) {
+      const { attacker, victim } = collision;
+      const time = collision.timeOfImpact ?? 0;
+      const attackerDownAt = eliminatedAt.get(attacker);
+      if (eliminatedAt.has(victim) ||
+          (attackerDownAt !== undefined && time - attackerDownAt > this.impactTimeTolerance)) {
+        collision.preempted = true; // Victim already down, or attacker fell before striking
+        continue;
+      }
+      if (victim.isInvulnerable && victim.isInvulnerable()) {
+        collision.blocked = true;
+        continue;
+      }
+      this.applyHit(collision);
+      if (victim.health <= 0) {
+        eliminatedAt.set(victim, time);
+        results.eliminated.push(victim);
       }
     }
     
-    // Single collision - determine winner
-    const collision = saberCollisions[0];
-    results.winner = collision.attacker;
+    const survivors = entities.filter(
+      entity => entity.isAlive && !results.eliminated.includes(entity)
+    );
+    
+    const standingSides = new Set(
+      survivors.map(entity => (entity.team != null ? `team-${entity.team}` : entity.id))
+    );
+    if (standingSides.size > 1) {
+      return; // Several sides still standing, game continues
+    }
+    
     results.gameOver = true;
+    if (survivors.length === 0) {
+      results.tie = true;
+      return;
+    }
+    results.winner = survivors[0];
+    results.winningTeam = survivors[0].team ?? null;
+  }
+
+  /**
+   * Apply a saber hit to its victim: damage, invulnerability frames and knockback
+   * @param {Object} collision - Saber collision {attacker, victim, collisionPoint}
+   */
+  applyHit(collision) {
+    const { attacker, victim } = collision;
+    collision.damage = this.damagePerHit;
+    if (victim.takeDamage) {
+      victim.takeDamage(this.damagePerHit);
+    } else {
+      victim.health = 0;
+    }
+    if (victim.setInvulnerable && this.invulnerabilityTime > 0) {
+      victim.setInvulnerable(this.invulnerabilityTime);
+    }
+    if (victim.applyKnockback && this.knockbackSpeed > 0) {
+      // Push the victim away from the attacker
+      const direction = victim.getPosition().subtract(attacker.getPosition());
+      if (direction.isZero()) {
+        direction.set(1, 0);
+      }
+      victim.applyKnockback(direction.normalize().multiplyScalar(this.knockbackSpeed));
+    }
+  }
+
+  /**
+   * Configure the damage model
+   * @param {Object} model - Damage settings
+   * @param {number} model.damagePerHit - Health removed per saber contact
+   * @param {number} model.invulnerabilityTime - Seconds of invulnerability after a hit
+   * @param {number} model.knockbackSpeed - Knockback velocity applied to the victim
+   */
+  setDamageModel({ damagePerHit = 1, invulnerabilityTime = 0, knockbackSpeed = 0 } = {}) {
+    if (damagePerHit <= 0) {
+      throw new Error('Damage per hit must be positive');
+    }
+    if (invulnerabilityTime < 0 || knockbackSpeed < 0) {
+      throw new Error('Invulnerability time and knockback speed cannot be negative');
+    }
+    this.damagePerHit = damagePerHit;
+    this.invulnerabilityTime = invulnerabilityTime;
+    this.knockbackSpeed = knockbackSpeed;
+  }
+
+  /**
+   * Get the damage model
+   * @returns {Object} Damage settings {damagePerHit, invulnerabilityTime, knockbackSpeed}
+   */
+  getDamageModel() {
+    return {
+      damagePerHit: this.damagePerHit,
+      invulnerabilityTime: this.invulnerabilityTime,
+      knockbackSpeed: this.knockbackSpeed
+    };
+  }
+
+  /**
+   * Configure saber clashes
+   * @param {Object} model - Clash settings
+   * @param {boolean} model.enabled - Whether blades clash instead of passing through each other
+   * @param {number} model.stunTime - Seconds both owners are stunned after a clash
+   */
+  setClashModel({ enabled = false, stunTime = 0 } = {}) {
+    if (stunTime < 0) {
+      throw new Error('Clash stun time cannot be negative');
+    }
+    this.clashEnabled = !!enabled;
+    this.clashStunTime = stunTime;
+  }
+
+  /**
+   * Get the clash settings
+   * @returns {Object} Clash settings {enabled, stunTime}
+   */
+  getClashModel() {
+    return {
+      enabled: this.clashEnabled,
+      stunTime: this.clashStunTime
+    };
   }
 
   /**
@@ -295,6 +578,22 @@ export class CollisionSystem {
     this.collisionAccuracy = accuracy;
   }
 
+  /**
+   * Check if friendly fire is enabled
+   * @returns {boolean} True if sabers can hit teammates
+   */
+  isFriendlyFireEnabled() {
+    return this.friendlyFire;
+  }
+
+  /**
+   * Enable or disable friendly fire
+   * @param {boolean} enabled - Whether sabers can hit teammates
+   */
+  setFriendlyFire(enabled) {
+    this.friendlyFire = !!enabled;
+  }
+
   /**
    * Get saber collision tolerance
    * @returns {number} Saber collision tolerance
@@ -342,6 +641,9 @@ export class CollisionSystem {
       collisionAccuracy: this.collisionAccuracy,
       saberCollisionTolerance: this.saberCollisionTolerance,
       boundaryCollisionTolerance: this.boundaryCollisionTolerance,
+      friendlyFire: this.friendlyFire,
+      damageModel: this.getDamageModel(),
+      clashModel: this.getClashModel(),
       lastUpdateTime: this.lastUpdateTime,
       arenaId: this.arena ? this.arena.id : null
     };
@@ -355,6 +657,13 @@ export class CollisionSystem {
     this.collisionAccuracy = state.collisionAccuracy;
     this.saberCollisionTolerance = state.saberCollisionTolerance;
     this.boundaryCollisionTolerance = state.boundaryCollisionTolerance;
+    this.friendlyFire = !!state.friendlyFire;
+    if (state.damageModel) {
+      this.setDamageModel(state.damageModel);
+    }
+    if (state.clashModel) {
+      this.setClashModel(state.clashModel);
+    }
     this.lastUpdateTime = state.lastUpdateTime;
     // Note: Arena reference would need to be restored separately
   }
@@ -0,0 +1,157 @@
+/**
+ * HazardSystem - Spawns arena hazards on a timer and applies their effects
+ * Damage zones drain health, slow fields scale movement speed and spinning blades strike
+ * like a saber. Fixed hazards (from the map) stay; spawned ones expire after their lifetime.
+ */
+
+import { HAZARD_TYPES } from '../entities/Hazard.js';
+
+export class HazardSystem {
+  /**
+   * Create a new HazardSystem
+   * @param {Object} arena - Arena hosting the hazards
+   * @param {Object} config - Spawn settings (see GameConfig.arena.hazards)
+   * @param {Object} rng - Random source with next() for spawn timing, types and positions
+   * @param {number} invulnerabilityTime - Seconds of invulnerability after a blade hit
+   */
+  constructor(arena, config = {}, rng, invulnerabilityTime = 0) {
+    this.arena = arena;
+    this.config = config;
+    this.rng = rng;
+    this.invulnerabilityTime = invulnerabilityTime;
+    this.spawnInterval = config.spawnInterval ?? 0;
+    this.nextSpawnTime = this.spawnInterval;
+    this.spawned = new Set();
+
+    this.types = config.types ?? HAZARD_TYPES;
+    if (this.types.length === 0 || !this.types.every(type => HAZARD_TYPES.includes(type))) {
+      throw new Error(`Invalid hazard types: ${this.types.join(', ')}. Must be from ${HAZARD_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Advance hazards and spawn new ones when due
+   * @param {number} time - Simulated seconds since the episode started
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {Array} entities - Players and AIs (spawns keep clear of living bodies)
+   */
+  update(time, deltaTime, entities) {
+    for (const hazard of [...this.arena.getHazards()]) {
+      hazard.update(deltaTime);
+      if (hazard.isExpired()) {
+        this.arena.removeHazard(hazard);
+        this.spawned.delete(hazard);
+      }
+    }
+
+    while (this.spawnInterval > 0 && time >= this.nextSpawnTime) {
+      this.nextSpawnTime += this.spawnInterval;
+      if (this.spawned.size < (this.config.maxActive ?? 3)) {
+        this.spawn(entities);
+      }
+    }
+  }
+
+  /**
+   * Spawn a random hazard at a free position
+   * Zone centers must be inside the arena and outside obstacles; a blade's whole sweep must
+   * be, so it never cuts through walls or pillars.
+   * @param {Array} entities - Players and AIs to keep clear of
+   * @returns {Hazard|null} Spawned hazard, or null if no free position was found
+   */
+  spawn(entities) {
+    const c = this.config;
+    const type = this.types[Math.floor(this.rng.next() * this.types.length)];
+    const reach = type === 'blade' ? c.bladeLength ?? 1.5 : c.radius ?? 1.2;
+    const clearance = type === 'blade' ? reach : 0;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const position = this.arena.getRandomPosition(clearance, this.rng);
+      if (!this.arena.isPositionValid(position.x, position.y, clearance)) continue;
+      const clear = entities.every(e => (
+        !e.isAlive || Math.hypot(e.position.x - position.x, e.position.y - position.y) > reach + e.radius + 1
+      ));
+      if (!clear) continue;
+
+      const hazard = this.arena.addHazard({
+        type,
+        x: position.x,
+        y: position.y,
+        lifetime: c.lifetime ?? 8,
+        radius: c.radius ?? 1.2,
+        damagePerSecond: c.damagePerSecond ?? 1,
+        factor: c.slowFactor ?? 0.5,
+        length: c.bladeLength ?? 1.5,
+        rotationSpeed: c.bladeRotationSpeed ?? 3,
+        damage: c.bladeDamage ?? 1,
+        angle: this.rng.next() * 2 * Math.PI
+      });
+      this.spawned.add(hazard);
+      return hazard;
+    }
+    return null;
+  }
+
+  /**
+   * Get the movement speed multiplier from slow fields a body stands in
+   * @param {Object} entity - Player or AI
+   * @returns {number} Speed multiplier (1 = unaffected)
+   */
+  getSpeedFactor(entity) {
+    let factor = 1;
+    for (const hazard of this.arena.getHazards()) {
+      if (hazard.type === 'slow' && hazard.affects(entity.position.x, entity.position.y, entity.radius)) {
+        factor *= hazard.factor;
+      }
+    }
+    return factor;
+  }
+
+  /**
+   * Get hazard system state for serialization
+   * @returns {Object} Spawn timer, random source state and ids of the spawned hazards
+   */
+  getState() {
+    return {
+      nextSpawnTime: this.nextSpawnTime,
+      rng: this.rng.getState(),
+      spawned: [...this.spawned].map(hazard => hazard.id)
+    };
+  }
+
+  /**
+   * Set hazard system state from serialization (after the arena's hazards are restored)
+   * @param {Object} state - Hazard system state
+   */
+  setState(state) {
+    this.nextSpawnTime = state.nextSpawnTime;
+    this.rng.setState(state.rng);
+    this.spawned = new Set(this.arena.getHazards().filter(hazard => state.spawned.includes(hazard.id)));
+  }
+
+  /**
+   * Apply damage zones and blades to living bodies
+   * Blade hits respect (and grant) invulnerability like saber hits; damage zones do not.
+   * @param {Array} entities - Players and AIs
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {Array} Entities whose health ran out
+   */
+  applyEffects(entities, deltaTime) {
+    const eliminated = [];
+    for (const entity of entities) {
+      if (!entity.isAlive) continue;
+      for (const hazard of this.arena.getHazards()) {
+        if (!hazard.affects(entity.position.x, entity.position.y, entity.radius)) continue;
+        if (hazard.type === 'damage') {
+          entity.takeDamage(hazard.damagePerSecond * deltaTime);
+        } else if (hazard.type === 'blade' && !entity.isInvulnerable()) {
+          entity.takeDamage(hazard.damage);
+          entity.setInvulnerable(this.invulnerabilityTime);
+        }
+      }
+      if (entity.getHealth() <= 0) {
+        eliminated.push(entity);
+      }
+    }
+    return eliminated;
+  }
+}
@@ -91,21 +91,36 @@ export class MovementSystem {
     this.lastUpdateTime = Date.now();
   }
 
+  /**
+   * Move an entity with a velocity for one time step, keeping it inside the arena
+   * and out of obstacles
+   * @param {Object} entity - Player or AI object
+   * @param {Object} velocity - Velocity {x, y} in units per second
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {boolean} True if a wall or obstacle blocked part of the movement
+   */
+  moveEntity(entity, velocity, deltaTime) {
+    entity.velocity.x = velocity.x;
+    entity.velocity.y = velocity.y;
+    
+    const newX = entity.position.x + velocity.x * deltaTime;
+    const newY = entity.position.y + velocity.y * deltaTime;
+    const constrained = this.arena
+      ? this.arena.constrainPosition(newX, newY, entity.getRadius())
+      : { x: newX, y: newY };
+    entity.position.x = constrained.x;
+    entity.position.y = constrained.y;
+    return constrained.x !== newX || constrained.y !== newY;
+  }
+
   /**
    * Update AI direction based on timing
    * @param {Object} ai - AI object
    * @param {number} deltaTime - Time since last update in seconds
    */
   updateAIDirection(ai, deltaTime) {
-    const currentTime = Date.now();
-    const timeSinceLastChange = (currentTime - ai.lastDirectionChange) / 1000;
-    
-    // Check if it's time to change direction
-    if (timeSinceLastChange >= ai.directionChangeInterval) {
-      this.changeAIDirection(ai);
-      ai.lastDirectionChange = currentTime;
-      ai.directionChangeInterval = this.getRandomDirectionChangeInterval();
-    }
+    // Delegate to the AI so timing and randomness use its (possibly seeded) state
+    ai.updateDirection(deltaTime);
   }
 
   /**
@@ -113,9 +128,7 @@ export class MovementSystem {
    * @param {Object} ai - AI object
    */
   changeAIDirection(ai) {
-    // Generate random direction
-    const angle = Math.random() * 2 * Math.PI;
-    ai.direction = new Vector2(Math.cos(angle), Math.sin(angle));
+    ai.changeDirection();
   }
 
   /**
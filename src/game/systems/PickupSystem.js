@@ -0,0 +1,111 @@
+/**
+ * PickupSystem - Spawns power-up pickups on a timer and hands them to the bodies that touch them
+ * A collected pickup becomes a temporary modifier on the body (see Player.applyModifier).
+ */
+
+import { PICKUP_TYPES } from '../entities/Pickup.js';
+
+export class PickupSystem {
+  /**
+   * Create a new PickupSystem
+   * @param {Object} arena - Arena hosting the pickups
+   * @param {Object} config - Spawn and effect settings (see GameConfig.arena.pickups)
+   * @param {Object} rng - Random source with next() for spawn timing, types and positions
+   */
+  constructor(arena, config = {}, rng) {
+    this.arena = arena;
+    this.config = config;
+    this.rng = rng;
+    this.spawnInterval = config.spawnInterval ?? 5;
+    this.nextSpawnTime = this.spawnInterval;
+
+    this.types = config.types ?? PICKUP_TYPES;
+    if (this.types.length === 0 || !this.types.every(type => PICKUP_TYPES.includes(type))) {
+      throw new Error(`Invalid pickup types: ${this.types.join(', ')}. Must be from ${PICKUP_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Expire old pickups and spawn new ones when due
+   * @param {number} time - Simulated seconds since the episode started
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(time, deltaTime) {
+    for (const pickup of [...this.arena.getPickups()]) {
+      pickup.update(deltaTime);
+      if (pickup.isExpired()) this.arena.removePickup(pickup);
+    }
+
+    while (this.spawnInterval > 0 && time >= this.nextSpawnTime) {
+      this.nextSpawnTime += this.spawnInterval;
+      if (this.arena.getPickups().length < (this.config.maxActive ?? 2)) {
+        this.spawn();
+      }
+    }
+  }
+
+  /**
+   * Spawn a random pickup at a free position
+   * @returns {Pickup|null} Spawned pickup, or null if no free position was found
+   */
+  spawn() {
+    const type = this.types[Math.floor(this.rng.next() * this.types.length)];
+    const radius = this.config.radius ?? 0.4;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const position = this.arena.getRandomPosition(radius, this.rng);
+      if (this.arena.isPositionValid(position.x, position.y, radius)) {
+        return this.arena.addPickup(type, position, radius, this.config.lifetime ?? null);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get pickup system state for serialization
+   * @returns {Object} Spawn timer and random source state
+   */
+  getState() {
+    return {
+      nextSpawnTime: this.nextSpawnTime,
+      rng: this.rng.getState()
+    };
+  }
+
+  /**
+   * Set pickup system state from serialization
+   * @param {Object} state - Pickup system state
+   */
+  setState(state) {
+    this.nextSpawnTime = state.nextSpawnTime;
+    this.rng.setState(state.rng);
+  }
+
+  /**
+   * Give each pickup to the first living body touching it (in player index order)
+   * @param {Array} entities - Players and AIs
+   * @returns {Array} Collections [{entity, pickup}]
+   */
+  collect(entities) {
+    const collected = [];
+    for (const pickup of [...this.arena.getPickups()]) {
+      const entity = entities.find(e => e.isAlive && pickup.isTouchedBy(e.position.x, e.position.y, e.radius));
+      if (!entity) continue;
+      entity.applyModifier(pickup.type, this.config.duration ?? 5, this.getMultiplier(pickup.type));
+      this.arena.removePickup(pickup);
+      collected.push({ entity, pickup });
+    }
+    return collected;
+  }
+
+  /**
+   * Get the stat multiplier a pickup type applies
+   * @param {string} type - Pickup type
+   * @returns {number} Multiplier (1 for shields)
+   */
+  getMultiplier(type) {
+    if (type === 'speed') return this.config.speedMultiplier ?? 1.5;
+    if (type === 'saber') return this.config.saberMultiplier ?? 1.5;
+    if (type === 'spin') return this.config.spinMultiplier ?? 1.5;
+    return 1;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * StormSystem - Shrinking safe zone that forces engagement
+ * The safe zone is a circle around the arena center. Its radius follows a schedule of
+ * keyframes over simulated time; bodies whose center is outside it take damage, or are
+ * eliminated at once in 'eliminate' mode.
+ */
+
+export class StormSystem {
+  /**
+   * Create a new StormSystem
+   * @param {Object} arena - Arena the storm closes in on
+   * @param {Object} config - Storm settings {mode, damagePerSecond, schedule}
+   */
+  constructor(arena, config = {}) {
+    this.arena = arena;
+    this.mode = config.mode ?? 'damage';
+    if (this.mode !== 'damage' && this.mode !== 'eliminate') {
+      throw new Error(`Invalid storm mode: ${this.mode}. Must be 'damage' or 'eliminate'`);
+    }
+    this.damagePerSecond = config.damagePerSecond ?? 1;
+
+    // Keyframes {time, radius}: radius is a fraction of the starting radius, linearly
+    // interpolated between keyframes and held before the first and after the last
+    this.schedule = [...(config.schedule || [])].sort((a, b) => a.time - b.time);
+    if (this.schedule.length === 0) {
+      throw new Error('Storm schedule needs at least one keyframe');
+    }
+
+    // The starting circle encloses the whole arena
+    const shape = arena.getShape();
+    this.center = shape.type === 'circle' ? { x: shape.x, y: shape.y } : { ...arena.getCenter() };
+    const corners = shape.type === 'circle'
+      ? []
+      : shape.type === 'polygon'
+        ? shape.points
+        : [
+            { x: arena.bounds.minX, y: arena.bounds.minY },
+            { x: arena.bounds.maxX, y: arena.bounds.minY },
+            { x: arena.bounds.maxX, y: arena.bounds.maxY },
+            { x: arena.bounds.minX, y: arena.bounds.maxY }
+          ];
+    this.startRadius = shape.type === 'circle'
+      ? shape.radius
+      : Math.max(...corners.map(p => Math.hypot(p.x - this.center.x, p.y - this.center.y)));
+
+    this.radius = this.getRadiusAt(0);
+  }
+
+  /**
+   * Get the scheduled safe radius at a time
+   * @param {number} time - Simulated seconds since the episode started
+   * @returns {number} Safe radius in world units
+   */
+  getRadiusAt(time) {
+    const keyframes = this.schedule;
+    let fraction = keyframes[keyframes.length - 1].radius;
+    if (time <= keyframes[0].time) {
+      fraction = keyframes[0].radius;
+    } else {
+      for (let i = 1; i < keyframes.length; i++) {
+        const from = keyframes[i - 1];
+        const to = keyframes[i];
+        if (time <= to.time) {
+          const t = to.time > from.time ? (time - from.time) / (to.time - from.time) : 1;
+          fraction = from.radius + (to.radius - from.radius) * t;
+          break;
+        }
+      }
+    }
+    return Math.max(0, fraction * this.startRadius);
+  }
+
+  /**
+   * Move the safe zone to its scheduled size
+   * @param {number} time - Simulated seconds since the episode started
+   */
+  update(time) {
+    this.radius = this.getRadiusAt(time);
+  }
+
+  /**
+   * Get the current safe zone
+   * @returns {Object} Safe zone {x, y, radius, startRadius}
+   */
+  getSafeZone() {
+    return { x: this.center.x, y: this.center.y, radius: this.radius, startRadius: this.startRadius };
+  }
+
+  /**
+   * Get the current safe radius as a fraction of the starting radius
+   * @returns {number} Safe radius fraction [0, 1]
+   */
+  getSafeRadiusFraction() {
+    return this.startRadius > 0 ? this.radius / this.startRadius : 0;
+  }
+
+  /**
+   * Check if a point is outside the safe zone
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if outside
+   */
+  isOutside(x, y) {
+    return Math.hypot(x - this.center.x, y - this.center.y) > this.radius;
+  }
+
+  /**
+   * Apply storm damage to living bodies outside the safe zone
+   * Invulnerability after a saber hit does not protect from the storm.
+   * @param {Array} entities - Players and AIs
+   * @param {number} deltaTime - Time spent outside in seconds
+   * @returns {Array} Entities whose health ran out
+   */
+  applyDamage(entities, deltaTime) {
+    const eliminated = [];
+    for (const entity of entities) {
+      if (!entity.isAlive || !this.isOutside(entity.position.x, entity.position.y)) continue;
+      const damage = this.mode === 'eliminate' ? entity.health : this.damagePerSecond * deltaTime;
+      if (entity.takeDamage(damage) <= 0) {
+        eliminated.push(entity);
+      }
+    }
+    return eliminated;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * FrameStackCore - GameCore wrapper that gives every player a short observation history
+ * Works with any GameCore: only reset(), step() and the size/space getters are used.
+ *
+ * Modes (frames = N):
+ *   'stack' - [o(t), o(t-1), ..., o(t-N+1)]                       newest frame first
+ *   'delta' - [o(t), o(t) - o(t-1), ..., o(t-N+2) - o(t-N+1)]      current frame, then changes
+ * Both are N times the wrapped observation size, and the current frame always comes first.
+ * After reset() the history is filled with the initial observation (deltas start at zero).
+ */
+
+export class FrameStackCore {
+  /**
+   * Wrap a game core
+   * @param {Object} core - GameCore to wrap
+   * @param {Object} options - {frames: history length N >= 1, mode: 'stack' | 'delta'}
+   */
+  constructor(core, options = {}) {
+    this.core = core;
+    this.frames = options.frames ?? 4;
+    this.mode = options.mode ?? 'stack';
+    if (!Number.isInteger(this.frames) || this.frames < 1) {
+      throw new Error(`Invalid frame count: ${this.frames}. Must be a positive integer`);
+    }
+    if (this.mode !== 'stack' && this.mode !== 'delta') {
+      throw new Error(`Invalid frame stack mode: ${this.mode}. Must be 'stack' or 'delta'`);
+    }
+    this.history = []; // Per player, newest observation first
+  }
+
+  /**
+   * Reset the wrapped core and start a fresh history
+   * @param {...*} args - Passed through to the wrapped core's reset()
+   * @returns {Object} GameState with stacked observations
+   */
+  reset(...args) {
+    const state = this.core.reset(...args);
+    this.history = state.observations.map(observation => (
+      Array.from({ length: this.frames }, () => [...observation])
+    ));
+    return { ...state, observations: this.buildObservations() };
+  }
+
+  /**
+   * Step the wrapped core and push the new observations into the history
+   * @param {Array} actions - Actions, index = player index
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {Object} GameState with stacked observations
+   */
+  step(actions, deltaTime) {
+    if (this.history.length === 0) {
+      throw new Error('FrameStackCore.step() called before reset()');
+    }
+    const state = this.core.step(actions, deltaTime);
+    state.observations.forEach((observation, i) => {
+      this.history[i].unshift([...observation]);
+      this.history[i].length = this.frames;
+    });
+    return { ...state, observations: this.buildObservations() };
+  }
+
+  /**
+   * Build every player's stacked observation from the history
+   * @returns {number[][]} Observation per player index
+   */
+  buildObservations() {
+    return this.history.map(frames => {
+      if (this.mode === 'stack') {
+        return frames.flat();
+      }
+      const observation = [...frames[0]];
+      for (let k = 0; k + 1 < frames.length; k++) {
+        for (let j = 0; j < frames[k].length; j++) {
+          observation.push(frames[k][j] - frames[k + 1][j]);
+        }
+      }
+      return observation;
+    });
+  }
+
+  /**
+   * Get number of players in the game
+   * @returns {number} Number of players
+   */
+  getNumPlayers() {
+    return this.core.getNumPlayers();
+  }
+
+  /**
+   * Get observation size (wrapped size times the number of frames)
+   * @returns {number} Size of the observation array
+   */
+  getObservationSize() {
+    return this.core.getObservationSize() * this.frames;
+  }
+
+  /**
+   * Get action size (unchanged)
+   * @returns {number} Size of the action array
+   */
+  getActionSize() {
+    return this.core.getActionSize();
+  }
+
+  /**
+   * Get action spaces (unchanged)
+   * @returns {Array} Action space per action index
+   */
+  getActionSpaces() {
+    return this.core.getActionSpaces();
+  }
+
+  /**
+   * Get the wrapped core (e.g. for rendering or game-specific queries)
+   * @returns {Object} Wrapped GameCore
+   */
+  unwrap() {
+    return this.core;
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * ReplayRecordingCore - SaberGameCore wrapper that records every episode as a replay
+ * For headless games (training, evaluation): each finished episode is handed to onReplay.
+ * Episodes cut short by another reset() are handed over too, with a null outcome.
+ */
+
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+
+export class ReplayRecordingCore {
+  /**
+   * Wrap a game core
+   * @param {Object} core - SaberGameCore to record
+   * @param {Object} config - Game config the core was created with
+   * @param {Object} options - {onReplay: replay => void, includeConfig: embed the config}
+   */
+  constructor(core, config, options = {}) {
+    this.core = core;
+    this.recorder = new ReplayRecorder(config, options);
+    this.onReplay = options.onReplay ?? null;
+  }
+
+  /**
+   * Reset the wrapped core and start recording the new episode
+   * @param {...*} args - Passed through to the wrapped core's reset()
+   * @returns {Object} GameState
+   */
+  reset(...args) {
+    this.emit(this.recorder.finish());
+    const state = this.core.reset(...args);
+    this.recorder.start(this.core);
+    return state;
+  }
+
+  /**
+   * Record the actions and step the wrapped core
+   * @param {Array} actions - Actions, index = player index
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {Object} GameState
+   */
+  step(actions, deltaTime) {
+    this.recorder.record(actions, deltaTime);
+    const state = this.core.step(actions, deltaTime);
+    if (state.done) this.emit(this.recorder.finish(state.outcome));
+    return state;
+  }
+
+  /**
+   * Hand a replay to the callback
+   * @param {Object|null} replay - Replay, or null if nothing was recorded
+   */
+  emit(replay) {
+    if (replay && replay.steps.length > 0 && this.onReplay) this.onReplay(replay);
+  }
+
+  /**
+   * Get number of players in the game
+   * @returns {number} Number of players
+   */
+  getNumPlayers() {
+    return this.core.getNumPlayers();
+  }
+
+  /**
+   * Get observation size (unchanged)
+   * @returns {number} Size of the observation array
+   */
+  getObservationSize() {
+    return this.core.getObservationSize();
+  }
+
+  /**
+   * Get action size (unchanged)
+   * @returns {number} Size of the action array
+   */
+  getActionSize() {
+    return this.core.getActionSize();
+  }
+
+  /**
+   * Get action spaces (unchanged)
+   * @returns {Array} Action space per action index
+   */
+  getActionSpaces() {
+    return this.core.getActionSpaces();
+  }
+
+  /**
+   * Get the wrapped core
+   * @returns {Object} Wrapped SaberGameCore
+   */
+  unwrap() {
+    return this.core;
+  }
+}
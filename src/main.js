@@ -6,7 +6,7 @@
 // TensorFlow.js is loaded from CDN as a global 'tf' object
 import { GameConfig, validateConfig } from './config/config.js';
 import { SaberGameCore } from './game/SaberGameCore.js';
-import { GameLoop } from './game/GameLoop.js';
+import { GameLoop, TIME_SCALES } from './game/GameLoop.js';
 import { Renderer } from './game/Renderer.js';
 import { HumanController } from './game/controllers/HumanController.js';
 import { PolicyController } from './MimicRL/controllers/PolicyController.js';
@@ -15,6 +15,9 @@ import { TrainingSession } from './MimicRL/training/TrainingSession.js';
 import { TrainingUI } from './MimicRL/visualization/TrainingUI.js';
 import { PolicyManager } from './MimicRL/utils/PolicyManager.js';
 import { RandomController } from './game/controllers/RandomController.js';
+import { ReplayPlayer } from './game/replay/ReplayPlayer.js';
+import { ReplayViewer, REPLAY_SPEEDS } from './game/replay/ReplayViewer.js';
+import { replayToJSON, replayFromJSON, decodeReplay } from './game/replay/replayFormat.js';
 
 /**
  * Main game class that manages the entire application
@@ -45,6 +48,13 @@ class SabeRLArena {
     // Policy configuration
     this.policyManager = null;
     this.opponentController = null;  // Opponent controller for GameLoop (legacy name, can be any player)
+
+    // Replays: the last finished game, and the viewer while watching one
+    this.lastReplay = null;
+    this.replayViewer = null;
+
+    // Paused from the simulation controls (stays paused when the page becomes visible again)
+    this.isUserPaused = false;
   }
 
   /**
@@ -91,6 +101,7 @@ class SabeRLArena {
       this.core = new SaberGameCore();
       const renderer = new Renderer(this.canvas);
       this.controller = new HumanController();
+      this.controller.setActionSpaces(this.core.getActionSpaces());
       this.gameLoop = new GameLoop(this.core, this.controller, renderer);
       this.gameLoop.onGameEnd = (outcome) => {
         if (!outcome) return;
@@ -98,7 +109,8 @@ class SabeRLArena {
           // no score change on tie
         } else if (outcome.winnerId === 'player-1') {
           this.scores.player++;
-        } else if (outcome.winnerId === 'ai-1') {
+        } else if (outcome.winnerId && outcome.winnerId.startsWith('ai-')) {
+          // Any opponent winning counts for the opponents (free-for-all has several)
           this.scores.ai++;
         }
         this.updateScoreboard();
@@ -106,6 +118,15 @@ class SabeRLArena {
         if (startButton) startButton.style.display = 'block';
         const statusElement = document.getElementById('game-status');
         if (statusElement) statusElement.textContent = 'Game Over';
+        this.isUserPaused = false;
+        this.updateSimulationButtons();
+      };
+
+      // Record every game so it can be watched again
+      this.gameLoop.startReplayRecording();
+      this.gameLoop.onReplayComplete = (replay) => {
+        this.lastReplay = replay;
+        this.updateReplayButtons();
       };
       
       // Set up event listeners
@@ -261,6 +282,292 @@ class SabeRLArena {
         this.resetScores();
       });
     }
+
+    this.setupSimulationUI();
+    this.setupReplayUI();
+  }
+
+  /**
+   * Set up the simulation speed, pause and single-step controls
+   */
+  setupSimulationUI() {
+    const pauseButton = document.getElementById('sim-pause');
+    if (pauseButton) pauseButton.addEventListener('click', () => this.togglePause());
+    const stepButton = document.getElementById('sim-step');
+    if (stepButton) stepButton.addEventListener('click', () => this.stepSimulation());
+
+    const speedSelect = document.getElementById('sim-speed');
+    if (speedSelect) {
+      for (const scale of TIME_SCALES) {
+        const option = document.createElement('option');
+        option.value = String(scale);
+        option.textContent = scale === 'max' ? 'Max' : `${scale}\u00d7`;
+        option.selected = scale === 1;
+        speedSelect.appendChild(option);
+      }
+      speedSelect.addEventListener('change', () => {
+        const value = speedSelect.value;
+        this.gameLoop?.setTimeScale(value === 'max' ? 'max' : Number(value));
+      });
+    }
+
+    this.updateSimulationButtons();
+  }
+
+  /**
+   * Pause or resume the live game from the simulation controls
+   */
+  togglePause() {
+    if (!this.gameLoop || this.replayViewer) return;
+    if (this.gameLoop.isRunning()) {
+      this.isUserPaused = true;
+      this.pause();
+    } else if (this.isUserPaused) {
+      this.isUserPaused = false;
+      this.resume();
+    }
+    const statusElement = document.getElementById('game-status');
+    if (statusElement && (this.gameLoop.isRunning() || this.gameLoop.canStep())) {
+      statusElement.textContent = this.isUserPaused ? 'Game Paused' : 'Game Running';
+    }
+    this.updateSimulationButtons();
+  }
+
+  /**
+   * Advance the paused game by one simulation step
+   */
+  stepSimulation() {
+    if (!this.isUserPaused || !this.gameLoop) return;
+    this.gameLoop.stepOnce();
+    this.updateSimulationButtons();
+  }
+
+  /**
+   * Enable the pause and step buttons that apply to the current game
+   */
+  updateSimulationButtons() {
+    const canStep = this.isUserPaused && !!this.gameLoop?.canStep();
+    const pauseButton = document.getElementById('sim-pause');
+    if (pauseButton) {
+      pauseButton.textContent = this.isUserPaused ? 'Resume' : 'Pause';
+      pauseButton.disabled = !canStep && !this.gameLoop?.isRunning();
+    }
+    const stepButton = document.getElementById('sim-step');
+    if (stepButton) stepButton.disabled = !canStep;
+  }
+
+  /**
+   * Handle a simulation control key during a live game
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} True if the key was used
+   */
+  handleSimulationKey(event) {
+    if (event.code === 'KeyP') {
+      this.togglePause();
+    } else if (event.code === 'Period') {
+      this.stepSimulation();
+    } else {
+      return false;
+    }
+    event.preventDefault();
+    return true;
+  }
+
+  /**
+   * Set up the replay viewer controls
+   */
+  setupReplayUI() {
+    const on = (id, event, handler) => {
+      const element = document.getElementById(id);
+      if (element) element.addEventListener(event, handler);
+    };
+
+    on('replay-watch-last', 'click', () => {
+      if (this.lastReplay) this.enterReplayMode(this.lastReplay);
+    });
+    on('replay-save', 'click', () => this.saveReplay());
+    on('replay-file', 'change', async (event) => {
+      const file = event.target.files?.[0];
+      event.target.value = ''; // Allow loading the same file again
+      if (file) this.enterReplayMode(await this.readReplayFile(file));
+    });
+
+    on('replay-play', 'click', () => this.replayViewer?.togglePlay());
+    on('replay-step-back', 'click', () => this.replayViewer?.stepFrame(-1));
+    on('replay-step-forward', 'click', () => this.replayViewer?.stepFrame(1));
+    on('replay-prev-event', 'click', () => this.replayViewer?.jumpToEvent(-1));
+    on('replay-next-event', 'click', () => this.replayViewer?.jumpToEvent(1));
+    on('replay-exit', 'click', () => this.exitReplayMode());
+    on('replay-scrubber', 'input', (event) => {
+      if (!this.replayViewer) return;
+      this.replayViewer.pause();
+      this.replayViewer.seek(Number(event.target.value));
+    });
+
+    const speedSelect = document.getElementById('replay-speed');
+    if (speedSelect) {
+      for (const speed of REPLAY_SPEEDS) {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = `${speed}\u00d7`;
+        option.selected = speed === 1;
+        speedSelect.appendChild(option);
+      }
+      speedSelect.addEventListener('change', () => this.replayViewer?.setSpeed(Number(speedSelect.value)));
+    }
+
+    this.updateReplayButtons();
+  }
+
+  /**
+   * Read a replay file (JSON or binary)
+   * @param {File} file - Replay file
+   * @returns {Promise<Object|null>} Replay, or null if the file is not a valid replay
+   */
+  async readReplayFile(file) {
+    try {
+      const buffer = await file.arrayBuffer();
+      const magic = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+      return magic === 'SRPL' ? decodeReplay(buffer) : replayFromJSON(new TextDecoder().decode(buffer));
+    } catch (error) {
+      this.showError('Could not load replay: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download the last game's replay as JSON
+   */
+  saveReplay() {
+    if (!this.lastReplay) return;
+    const blob = new Blob([replayToJSON(this.lastReplay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `saberl-replay-${this.lastReplay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Enable the replay buttons that need a recorded game
+   */
+  updateReplayButtons() {
+    for (const id of ['replay-watch-last', 'replay-save']) {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !this.lastReplay;
+    }
+  }
+
+  /**
+   * Stop the live game and show a replay instead
+   * @param {Object|null} replay - Replay to watch
+   */
+  enterReplayMode(replay) {
+    if (!replay) return;
+    let viewer;
+    try {
+      viewer = new ReplayViewer(new ReplayPlayer(replay), new Renderer(this.canvas));
+    } catch (error) {
+      this.showError('Could not play replay: ' + error.message);
+      return;
+    }
+
+    if (this.gameLoop && this.gameLoop.isRunning()) {
+      this.gameLoop.stop();
+    }
+    this.isUserPaused = false;
+    this.updateSimulationButtons();
+    if (this.replayViewer) {
+      this.replayViewer.dispose();
+    }
+    this.replayViewer = viewer;
+    this.replayViewer.onUpdate = (status) => this.updateReplayStatus(status);
+
+    const replayPlayer = document.getElementById('replay-player');
+    if (replayPlayer) replayPlayer.style.display = 'block';
+    const statusElement = document.getElementById('game-status');
+    if (statusElement) statusElement.textContent = 'Watching Replay';
+
+    const scrubber = document.getElementById('replay-scrubber');
+    if (scrubber) scrubber.max = String(viewer.getStatus().length);
+    this.renderReplayMarkers();
+    viewer.seek(0);
+  }
+
+  /**
+   * Leave the replay viewer and go back to the start screen
+   */
+  exitReplayMode() {
+    if (!this.replayViewer) return;
+    this.replayViewer.dispose();
+    this.replayViewer = null;
+    const replayPlayer = document.getElementById('replay-player');
+    if (replayPlayer) replayPlayer.style.display = 'none';
+    const statusElement = document.getElementById('game-status');
+    if (statusElement) statusElement.textContent = '';
+    this.showStartScreen();
+  }
+
+  /**
+   * Draw the event markers under the timeline scrubber
+   */
+  renderReplayMarkers() {
+    const container = document.getElementById('replay-markers');
+    if (!container || !this.replayViewer) return;
+    container.innerHTML = '';
+    const { length } = this.replayViewer.getStatus();
+    for (const event of this.replayViewer.getMarkers()) {
+      const marker = document.createElement('button');
+      marker.className = `replay-marker ${event.type}`;
+      marker.style.left = `${(event.step / Math.max(1, length)) * 100}%`;
+      marker.title = `${event.type} at ${event.time.toFixed(2)}s`;
+      marker.addEventListener('click', () => {
+        this.replayViewer.pause();
+        this.replayViewer.seek(event.step);
+      });
+      container.appendChild(marker);
+    }
+  }
+
+  /**
+   * Show the replay position and play state
+   * @param {Object} status - Viewer status {step, length, time, playing, speed}
+   */
+  updateReplayStatus(status) {
+    const scrubber = document.getElementById('replay-scrubber');
+    if (scrubber) scrubber.value = String(status.step);
+    const playButton = document.getElementById('replay-play');
+    if (playButton) playButton.textContent = status.playing ? 'Pause' : 'Play';
+    const statusElement = document.getElementById('replay-status');
+    if (statusElement) {
+      statusElement.textContent = `Step ${status.step} / ${status.length}  |  ${status.time.toFixed(2)}s  |  ${status.speed}\u00d7`;
+    }
+  }
+
+  /**
+   * Handle a key press while watching a replay
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} True if the key was used by the viewer
+   */
+  handleReplayKey(event) {
+    if (!this.replayViewer) return false;
+    if (event.code === 'Space') {
+      this.replayViewer.togglePlay();
+    } else if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
+      const direction = event.code === 'ArrowLeft' ? -1 : 1;
+      if (event.shiftKey) {
+        this.replayViewer.jumpToEvent(direction);
+      } else {
+        this.replayViewer.stepFrame(direction);
+      }
+    } else if (event.code === 'Escape') {
+      this.exitReplayMode();
+    } else {
+      return false;
+    }
+    event.preventDefault();
+    return true;
   }
 
   /**
@@ -294,6 +601,10 @@ class SabeRLArena {
       return;
     }
 
+    // Starting a game closes the replay viewer and clears a pause
+    this.exitReplayMode();
+    this.isUserPaused = false;
+
     try {
       // Stop current game loop if running (allows restarting during gameplay)
       if (this.gameLoop && this.gameLoop.isRunning()) {
@@ -323,6 +634,7 @@ class SabeRLArena {
         }
       }
       this.gameLoop.start();
+      this.updateSimulationButtons();
     } catch (error) {
       console.error('Error starting game:', error);
       // Show start button again on error
@@ -358,13 +670,13 @@ class SabeRLArena {
         console.log(`Player 1 set to policy: ${selection.label}`);
       } else {
         // Use RandomController as default (GameLoop already has it set)
-        this.opponentController = new RandomController(this.core.getActionSpaces());
+        this.opponentController = new RandomController(this.core.getActionSpaces(), this.core.createControllerRandom(1));
         console.log('Player 1 set to random');
       }
     } catch (e) {
       console.warn('Failed to apply policy selection for player 1, falling back to random', e);
       // Fallback to RandomController on error
-      this.opponentController = new RandomController(this.core?.getActionSpaces?.() || null);
+      this.opponentController = new RandomController(this.core?.getActionSpaces?.() || null, this.core?.createControllerRandom?.(1));
     }
   }
 
@@ -372,6 +684,9 @@ class SabeRLArena {
    * Pause the game
    */
   pause() {
+    if (this.replayViewer) {
+      this.replayViewer.pause();
+    }
     if (this.gameLoop && this.gameLoop.isRunning()) {
       this.gameLoop.stop();
       console.log('Game paused');
@@ -382,6 +697,8 @@ class SabeRLArena {
    * Resume the game
    */
   resume() {
+    // A replay stays paused, as does a game paused from the simulation controls
+    if (this.replayViewer || this.isUserPaused) return;
     if (this.core && !this.gameLoop.isRunning()) {
       this.gameLoop.start();
       console.log('Game resumed');
@@ -557,10 +874,14 @@ class SabeRLArena {
       await this.waitForChartJS();
 
       // Create controllers array (for training)
+      const humanController = new HumanController();
+      humanController.setActionSpaces(this.core.getActionSpaces());
       const controllers = [
-        new HumanController(),  // Player 0
-        new RandomController(this.core.getActionSpaces())  // Player 1 (default to random)
+        humanController  // Player 0
       ];
+      for (let i = 1; i < this.core.getNumPlayers(); i++) {
+        controllers.push(new RandomController(this.core.getActionSpaces(), this.core.createControllerRandom(i)));  // Players 1..N-1 (default to random)
+      }
       
       // Create training session with GameCore and controllers
       this.trainingSession = new TrainingSession(this.core, controllers, {
@@ -691,6 +1012,7 @@ class SabeRLArena {
       } else {
         // Disable AI control
         this.gameLoop.controller = new HumanController();
+        this.gameLoop.controller.setActionSpaces(this.core.getActionSpaces());
         this.updateControlStatus('Human Control', false);
         this.updateControlButton('Enable AI Control', false);
         console.log('AI control disabled');
@@ -758,6 +1080,10 @@ class SabeRLArena {
     if (this.gameLoop) {
       this.gameLoop.stop();
     }
+
+    if (this.replayViewer) {
+      this.replayViewer.dispose();
+    }
     
     if (this.policyAgent) {
       this.policyAgent.dispose();
@@ -790,6 +1116,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (success) {
     // Set up keyboard controls
     document.addEventListener('keydown', (event) => {
+      if (gameInstance.handleReplayKey(event)) return;
+      if (gameInstance.handleSimulationKey(event)) return;
       if (event.code === 'Space') {
         event.preventDefault();
         // Always start/restart game, even if already running
@@ -0,0 +1,142 @@
+/**
+ * Geometry - Intersection helpers shared by the collision, sensor and arena code
+ * All functions take plain {x, y} points (Vector2 works too) and return plain objects.
+ */
+
+const EPSILON = 1e-9;
+
+/**
+ * Intersect two line segments
+ * @param {Object} p1 - First segment start {x, y}
+ * @param {Object} p2 - First segment end {x, y}
+ * @param {Object} q1 - Second segment start {x, y}
+ * @param {Object} q2 - Second segment end {x, y}
+ * @returns {Object|null} Intersection {x, y, t, u} where t and u are the positions along
+ *   each segment in [0, 1], or null if the segments do not intersect (or are parallel)
+ */
+export function segmentIntersection(p1, p2, q1, q2) {
+  const rx = p2.x - p1.x;
+  const ry = p2.y - p1.y;
+  const sx = q2.x - q1.x;
+  const sy = q2.y - q1.y;
+
+  const denominator = rx * sy - ry * sx;
+  if (Math.abs(denominator) < EPSILON) {
+    return null; // Parallel or degenerate
+  }
+
+  const qpx = q1.x - p1.x;
+  const qpy = q1.y - p1.y;
+  const t = (qpx * sy - qpy * sx) / denominator;
+  const u = (qpx * ry - qpy * rx) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) {
+    return null;
+  }
+
+  return {
+    x: p1.x + t * rx,
+    y: p1.y + t * ry,
+    t,
+    u
+  };
+}
+
+/**
+ * Find the closest point on a segment to a point
+ * @param {Object} a - Segment start {x, y}
+ * @param {Object} b - Segment end {x, y}
+ * @param {Object} p - Point {x, y}
+ * @returns {Object} Closest point {x, y, t} with t in [0, 1] along the segment
+ */
+export function closestPointOnSegment(a, b, p) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return { x: a.x + t * dx, y: a.y + t * dy, t };
+}
+
+/**
+ * Cast a ray against a circle
+ * @param {Object} origin - Ray origin {x, y}
+ * @param {Object} direction - Unit ray direction {x, y}
+ * @param {Object} center - Circle center {x, y}
+ * @param {number} radius - Circle radius
+ * @returns {number} Distance along the ray to the first hit (0 if the origin is inside),
+ *   or Infinity if the ray misses
+ */
+export function rayCircle(origin, direction, center, radius) {
+  const fx = origin.x - center.x;
+  const fy = origin.y - center.y;
+  const c = fx * fx + fy * fy - radius * radius;
+  if (c <= 0) {
+    return 0; // Origin inside the circle
+  }
+  const b = fx * direction.x + fy * direction.y;
+  const discriminant = b * b - c;
+  if (b > 0 || discriminant < 0) {
+    return Infinity; // Pointing away, or passing by
+  }
+  return -b - Math.sqrt(discriminant);
+}
+
+/**
+ * Cast a ray against a line segment
+ * @param {Object} origin - Ray origin {x, y}
+ * @param {Object} direction - Unit ray direction {x, y}
+ * @param {Object} a - Segment start {x, y}
+ * @param {Object} b - Segment end {x, y}
+ * @returns {number} Distance along the ray to the segment, or Infinity if the ray misses
+ */
+export function raySegment(origin, direction, a, b) {
+  const sx = b.x - a.x;
+  const sy = b.y - a.y;
+  const denominator = direction.x * sy - direction.y * sx;
+  if (Math.abs(denominator) < EPSILON) {
+    return Infinity; // Parallel
+  }
+  const qpx = a.x - origin.x;
+  const qpy = a.y - origin.y;
+  const t = (qpx * sy - qpy * sx) / denominator;
+  const u = (qpx * direction.y - qpy * direction.x) / denominator;
+  return t >= 0 && u >= 0 && u <= 1 ? t : Infinity;
+}
+
+/**
+ * Check whether a point lies inside a polygon (even-odd rule)
+ * @param {Object} point - Point {x, y}
+ * @param {Array} vertices - Polygon vertices [{x, y}, ...]
+ * @returns {boolean} True if inside
+ */
+export function pointInPolygon(point, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Find the closest point on a polygon's boundary to a point
+ * @param {Object} point - Point {x, y}
+ * @param {Array} vertices - Polygon vertices [{x, y}, ...]
+ * @returns {Object} Closest boundary point {x, y, distance}
+ */
+export function closestPointOnPolygon(point, vertices) {
+  let best = { x: vertices[0].x, y: vertices[0].y, distance: Infinity };
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const closest = closestPointOnSegment(vertices[j], vertices[i], point);
+    const distance = Math.hypot(closest.x - point.x, closest.y - point.y);
+    if (distance < best.distance) {
+      best = { x: closest.x, y: closest.y, distance };
+    }
+  }
+  return best;
+}
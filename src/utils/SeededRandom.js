@@ -0,0 +1,122 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator
+ * Drop-in replacement for Math.random so that episodes can be replayed exactly.
+ * Uses the mulberry32 algorithm: fast, 32-bit state, good enough for gameplay.
+ */
+
+export class SeededRandom {
+  /**
+   * Create a new SeededRandom
+   * @param {number} seed - Integer seed (default: random)
+   */
+  constructor(seed = randomSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next random number
+   * @returns {number} Uniform random number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random number in a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} Uniform random number in [min, max)
+   */
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Get a random integer in a range
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (exclusive)
+   * @returns {number} Uniform random integer in [min, max)
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max));
+  }
+
+  /**
+   * Get a random 32-bit unsigned integer (useful for deriving child seeds)
+   * @returns {number} Random unsigned integer
+   */
+  nextSeed() {
+    return Math.floor(this.next() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Reset the generator to its initial seed
+   * @param {number} seed - Optional new seed
+   */
+  reset(seed = this.seed) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Get generator state for serialization
+   * @returns {Object} Generator state
+   */
+  getState() {
+    return {
+      seed: this.seed,
+      state: this.state
+    };
+  }
+
+  /**
+   * Set generator state from serialization
+   * @param {Object} state - Generator state
+   */
+  setState(state) {
+    this.seed = normalizeSeed(state.seed);
+    this.state = state.state >>> 0;
+  }
+
+  /**
+   * Get string representation
+   * @returns {string} String representation
+   */
+  toString() {
+    return `SeededRandom(seed: ${this.seed})`;
+  }
+}
+
+/**
+ * Random source backed by Math.random
+ * Used as the default wherever no seeded generator has been injected.
+ */
+export const mathRandom = {
+  next: () => Math.random()
+};
+
+/**
+ * Create a fresh non-deterministic seed
+ * @returns {number} Random unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Coerce a seed to an unsigned 32-bit integer
+ * @param {number} seed - Seed value
+ * @returns {number} Normalized seed
+ */
+function normalizeSeed(seed) {
+  const value = Number(seed);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid seed: ${seed}`);
+  }
+  return Math.floor(value) >>> 0;
+}
@@ -0,0 +1,166 @@
+import { GameConfig } from '../../src/config/config.js';
+import { SaberGameCore } from '../../src/game/SaberGameCore.js';
+import { GameLoop } from '../../src/game/GameLoop.js';
+import { RandomController } from '../../src/game/controllers/RandomController.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+
+// The behavior cloning collector lives in the MimicRL package; the loop only needs its interface here
+jest.mock('../../src/MimicRL/bc/DemonstrationCollector.js', () => ({
+  DemonstrationCollector: class {
+    startEpisode() {}
+    recordStep() {}
+    endEpisode() { return null; }
+  }
+}), { virtual: true });
+
+/**
+ * Create a loop over a core with a master seed, with player 0 driven by a seeded random policy
+ * @param {number} numPlayers - Players in the game
+ * @returns {GameLoop} Headless game loop (no renderer)
+ */
+function createLoop(numPlayers = 3) {
+  const config = structuredClone(GameConfig);
+  config.game.seed = 41;
+  config.game.numPlayers = numPlayers;
+  const core = new SaberGameCore(config);
+  return new GameLoop(core, new RandomController(core.getActionSpaces(), new SeededRandom(8)));
+}
+
+/**
+ * Run the loop's fixed steps headlessly until the episode ends
+ * @param {GameLoop} loop - Game loop
+ * @param {number} maxSteps - Step limit
+ * @returns {Array} Observations after every step
+ */
+function runSteps(loop, maxSteps) {
+  const observations = [];
+  for (let i = 0; i < maxSteps; i++) {
+    loop.update(loop.stepTime / 1000);
+    observations.push(loop.lastState.observations);
+    if (loop.lastState.done) break;
+  }
+  return observations;
+}
+
+describe('GameLoop determinism', () => {
+  test('an episode played through the loop replays exactly from its seed', () => {
+    const expected = runSteps(createLoop(), 300);
+    const random = jest.spyOn(Math, 'random');
+    try {
+      expect(runSteps(createLoop(), 300)).toEqual(expected);
+      expect(random).not.toHaveBeenCalled();
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  test('random opponents are reseeded with every episode', () => {
+    const loop = createLoop(2);
+    const startEpisode = () => {
+      loop.core.reset(5);
+      loop.setInitialObservation(null);
+    };
+    startEpisode();
+    const first = [loop.opponentController.decide([]), loop.opponentController.decide([])];
+
+    startEpisode();
+    expect([loop.opponentController.decide([]), loop.opponentController.decide([])]).toEqual(first);
+  });
+});
+
+describe('GameLoop simulation controls', () => {
+  let now;
+  let clock;
+
+  beforeEach(() => {
+    // Headless frames: a fake clock and a frame scheduler that never fires on its own
+    now = 0;
+    clock = jest.spyOn(performance, 'now').mockImplementation(() => now);
+    global.requestAnimationFrame = jest.fn(() => 1);
+    global.cancelAnimationFrame = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  /**
+   * Create a loop that counts its simulation steps
+   * @returns {{loop: GameLoop, steps: () => number}} Loop and its step counter
+   */
+  const countingLoop = () => {
+    const loop = createLoop(2);
+    let steps = 0;
+    loop.setOnUpdate(() => { steps++; });
+    return { loop, steps: () => steps };
+  };
+
+  test('time scales change how many fixed steps a frame runs', () => {
+    const { loop, steps } = countingLoop();
+    loop.stepTime = 20; // Whole milliseconds keep the accumulator exact
+    loop.setTimeScale(2);
+    loop.start();
+    expect(steps()).toBe(0);
+
+    now += 20;
+    loop.loop();
+    expect(steps()).toBe(2);
+
+    loop.setTimeScale(0.5);
+    now += 20;
+    loop.loop();
+    expect(steps()).toBe(2);
+    now += 20;
+    loop.loop();
+    expect(steps()).toBe(3);
+    expect(loop.getTimeScale()).toBe(0.5);
+  });
+
+  test("'max' steps until the frame's step budget is spent", () => {
+    const { loop, steps } = countingLoop();
+    // Every clock reading advances 1 ms: the 12 ms budget fits 12 steps
+    clock.mockImplementation(() => now++);
+    loop.setTimeScale('max');
+    loop.start();
+    expect(steps()).toBe(12);
+
+    loop.loop();
+    expect(steps()).toBe(24);
+    expect(global.requestAnimationFrame).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects time scales outside (0, 16] other than max', () => {
+    const { loop } = countingLoop();
+    for (const scale of [0, -1, 17, 'fast']) {
+      expect(() => loop.setTimeScale(scale)).toThrow('Invalid time scale');
+    }
+    expect(loop.getTimeScale()).toBe(1);
+  });
+
+  test('stepOnce advances exactly one step while paused', () => {
+    const { loop, steps } = countingLoop();
+    let renders = 0;
+    loop.setOnRender(() => { renders++; });
+    expect(loop.canStep()).toBe(false); // No episode yet
+    expect(loop.stepOnce()).toBe(false);
+
+    loop.update(loop.stepTime / 1000);
+    const elapsed = loop.core.getElapsedTime();
+    expect(loop.canStep()).toBe(true);
+    expect(loop.stepOnce()).toBe(true);
+    expect(steps()).toBe(2);
+    expect(renders).toBe(1);
+    expect(loop.core.getElapsedTime()).toBeCloseTo(elapsed + loop.stepTime / 1000);
+
+    loop.start();
+    expect(loop.canStep()).toBe(false); // Running
+    loop.stop();
+    expect(loop.canStep()).toBe(true);
+
+    loop.lastState = { ...loop.lastState, done: true };
+    expect(loop.stepOnce()).toBe(false); // Episode over
+  });
+});
@@ -0,0 +1,153 @@
+import { GameConfig } from '../../src/config/config.js';
+import { SaberGameCore } from '../../src/game/SaberGameCore.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+
+const DELTA_TIME = 0.05;
+
+/**
+ * Config with every stateful system enabled, so the snapshot has to carry all of it
+ * @returns {Object} Game configuration
+ */
+function fullConfig() {
+  const config = structuredClone(GameConfig);
+  config.game.numPlayers = 3;
+  config.game.health.enabled = true;
+  config.game.mapPool = ['hexagon', 'colosseum'];
+  config.saber.controls.enabled = true;
+  config.saber.clash.enabled = true;
+  config.arena.hazards.enabled = true;
+  config.arena.pickups.enabled = true;
+  config.arena.storm.enabled = true;
+  Object.assign(config.rl.rewards.terms, { nearMiss: { weight: -0.5, range: 1 }, facing: 0.05 });
+  return config;
+}
+
+/**
+ * Fixed random actions for every player
+ * @param {SaberGameCore} core - Game core (for the player and action counts)
+ * @param {number} steps - Sequence length
+ * @returns {number[][][]} Actions per step, per player
+ */
+function actionSequence(core, steps) {
+  const rng = new SeededRandom(9);
+  return Array.from({ length: steps }, () => (
+    Array.from({ length: core.getNumPlayers() }, () => (
+      Array.from({ length: core.getActionSize() }, () => (rng.next() < 0.4 ? 1 : 0))
+    ))
+  ));
+}
+
+/**
+ * Step a core through actions until the episode ends
+ * @param {SaberGameCore} core - Game core
+ * @param {number[][][]} actions - Actions per step
+ * @returns {Object[]} {observations, rewards, done, outcome, events} per step
+ */
+function continuation(core, actions) {
+  const trajectory = [];
+  for (const stepActions of actions) {
+    const { observations, rewards, done, outcome, info } = core.step(stepActions, DELTA_TIME);
+    trajectory.push({ observations, rewards, done, outcome, events: info?.events });
+    if (done) break;
+  }
+  return trajectory;
+}
+
+describe('SaberGameCore snapshots', () => {
+  const config = fullConfig();
+  const actions = actionSequence(new SaberGameCore(config), 600);
+  const SPLIT = 150;
+
+  /**
+   * Play the first SPLIT steps of seed 11
+   * @returns {SaberGameCore} Core in the middle of the episode
+   */
+  const midEpisode = () => {
+    const core = new SaberGameCore(config);
+    core.reset(11);
+    continuation(core, actions.slice(0, SPLIT));
+    return core;
+  };
+
+  test('restoring a snapshot reproduces the continuation exactly', () => {
+    const original = midEpisode();
+    const snapshot = JSON.parse(JSON.stringify(original.getSnapshot()));
+    const expected = continuation(original, actions.slice(SPLIT));
+
+    const restored = new SaberGameCore(config);
+    restored.restoreSnapshot(snapshot);
+    expect(expected.length).toBeGreaterThan(1);
+    expect(continuation(restored, actions.slice(SPLIT))).toEqual(expected);
+  });
+
+  test('restoring returns the observations at the snapshot', () => {
+    const original = new SaberGameCore(config);
+    original.reset(11);
+    const played = continuation(original, actions.slice(0, SPLIT));
+    const state = new SaberGameCore(config).restoreSnapshot(original.getSnapshot());
+
+    expect(state.observations).toEqual(played[played.length - 1].observations);
+    expect(state.rewards).toEqual([0, 0, 0]);
+    expect(state.done).toBe(false);
+  });
+
+  test('a snapshot round-trips through restore unchanged', () => {
+    const snapshot = midEpisode().getSnapshot();
+    const restored = new SaberGameCore(config);
+    restored.restoreSnapshot(snapshot);
+
+    expect(restored.getSnapshot()).toEqual(snapshot);
+  });
+
+  test('a snapshot taken after an elimination round-trips with the dead saber inactive', () => {
+    const threePlayers = structuredClone(GameConfig);
+    threePlayers.game.numPlayers = 3;
+    const core = new SaberGameCore(threePlayers);
+    const steps = actionSequence(core, 600);
+    core.reset(2);
+
+    // Play until the player is eliminated while the others fight on
+    let played = 0;
+    let snapshot = null;
+    for (const stepActions of steps) {
+      played++;
+      if (core.step(stepActions, DELTA_TIME).done) break;
+      const current = core.getSnapshot();
+      if (!current.entities[0].isAlive) {
+        snapshot = current;
+        break;
+      }
+    }
+    expect(snapshot).not.toBeNull();
+    expect(snapshot.entities[0].saber.isActive).toBe(false);
+
+    const restored = new SaberGameCore(threePlayers);
+    restored.restoreSnapshot(snapshot);
+    expect(restored.getSnapshot()).toEqual(snapshot);
+    expect(restored.clone().getSnapshot()).toEqual(snapshot);
+    expect(continuation(restored, steps.slice(played))).toEqual(continuation(core, steps.slice(played)));
+  });
+
+  test('a clone continues identically and independently', () => {
+    const expected = continuation(midEpisode(), actions.slice(SPLIT));
+    const original = midEpisode();
+    const before = original.getSnapshot();
+    const copy = original.clone();
+
+    expect(continuation(copy, actions.slice(SPLIT))).toEqual(expected);
+    expect(original.getSnapshot()).toEqual(before);
+    expect(continuation(original, actions.slice(SPLIT))).toEqual(expected);
+  });
+
+  test('rejects unusable snapshots', () => {
+    const core = new SaberGameCore(config);
+    expect(() => core.getSnapshot()).toThrow('called before reset()');
+
+    const snapshot = midEpisode().getSnapshot();
+    expect(() => core.restoreSnapshot({ ...snapshot, version: 0 })).toThrow('Unsupported snapshot version');
+
+    const twoPlayers = structuredClone(config);
+    twoPlayers.game.numPlayers = 2;
+    expect(() => new SaberGameCore(twoPlayers).restoreSnapshot(snapshot)).toThrow('3 players');
+  });
+});
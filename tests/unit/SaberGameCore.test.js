@@ -0,0 +1,119 @@
+import { SaberGameCore } from '../../src/game/SaberGameCore.js';
+import { SeededRandom } from '../../src/utils/SeededRandom.js';
+
+const DELTA_TIME = 0.05;
+
+/**
+ * Fixed action sequence: every player's movement bits drawn from a seeded generator
+ * @param {number} numPlayers - Players per step
+ * @param {number} actionSize - Values per action
+ * @param {number} steps - Sequence length
+ * @returns {number[][][]} Actions per step, per player
+ */
+function actionSequence(numPlayers, actionSize, steps) {
+  const rng = new SeededRandom(2024);
+  return Array.from({ length: steps }, () => (
+    Array.from({ length: numPlayers }, () => (
+      Array.from({ length: actionSize }, () => (rng.next() < 0.5 ? 1 : 0))
+    ))
+  ));
+}
+
+/**
+ * Run an episode from reset(seed) with a fixed action sequence
+ * @param {SaberGameCore} core - Game core
+ * @param {number} seed - Episode seed
+ * @param {number[][][]} actions - Actions per step
+ * @returns {Object[]} Trajectory: the reset state, then one {observations, rewards, done, outcome} per step
+ */
+function rollout(core, seed, actions) {
+  const trajectory = [core.reset(seed)];
+  for (const stepActions of actions) {
+    const { observations, rewards, done, outcome } = core.step(stepActions, DELTA_TIME);
+    trajectory.push({ observations, rewards, done, outcome });
+    if (done) break;
+  }
+  return trajectory;
+}
+
+describe('SaberGameCore determinism', () => {
+  const probe = new SaberGameCore();
+  const actions = actionSequence(probe.getNumPlayers(), probe.getActionSize(), 300);
+
+  test('reset(seed) and the same actions reproduce the trajectory exactly', () => {
+    const first = rollout(new SaberGameCore(), 17, actions);
+    const second = rollout(new SaberGameCore(), 17, actions);
+    expect(first.length).toBeGreaterThan(1);
+    expect(second).toEqual(first);
+  });
+
+  test('resetting the same core with the same seed replays the episode', () => {
+    const core = new SaberGameCore();
+    const first = rollout(core, 5, actions);
+    rollout(core, 6, actions);
+    expect(rollout(core, 5, actions)).toEqual(first);
+  });
+
+  test('different seeds give different episodes', () => {
+    const first = rollout(new SaberGameCore(), 1, actions);
+    const second = rollout(new SaberGameCore(), 2, actions);
+    expect(second[0].observations).not.toEqual(first[0].observations);
+  });
+
+  test('the episode does not depend on Math.random', () => {
+    const expected = rollout(new SaberGameCore(), 33, actions);
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    try {
+      expect(rollout(new SaberGameCore(), 33, actions)).toEqual(expected);
+      expect(random).not.toHaveBeenCalled();
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  test('a configured master seed reproduces the sequence of episodes', () => {
+    const config = { ...probe.config, game: { ...probe.config.game, seed: 77 } };
+    const runEpisodes = () => {
+      const core = new SaberGameCore(config);
+      return [rollout(core, undefined, actions), rollout(core, undefined, actions)];
+    };
+    const [first, second] = runEpisodes();
+    expect(runEpisodes()).toEqual([first, second]);
+    expect(second[0].observations).not.toEqual(first[0].observations);
+  });
+});
+
+describe('SaberGameCore timeout', () => {
+  test('the episode times out on elapsed time when step sizes vary', () => {
+    const probe = new SaberGameCore();
+    const config = structuredClone(probe.config);
+    config.rl.rewards.maxGameLength = 1;
+    const core = new SaberGameCore(config);
+    core.reset(3);
+    const idle = Array.from({ length: core.getNumPlayers() }, () => new Array(core.getActionSize()).fill(0));
+
+    const deltaTimes = [0.3, 0.3, 0.3, 0.05];
+    for (const deltaTime of deltaTimes) {
+      expect(core.step(idle, deltaTime).done).toBe(false);
+    }
+    const last = core.step(idle, 0.05);
+    expect(last.done).toBe(true);
+    expect(core.getElapsedTime()).toBeCloseTo(1);
+  });
+
+  test('fixed steps time out after maxGameLength / deltaTime steps', () => {
+    const core = new SaberGameCore();
+    core.reset(3);
+    const idle = Array.from({ length: core.getNumPlayers() }, () => new Array(core.getActionSize()).fill(0));
+    const maxSteps = Math.round(core.config.rl.rewards.maxGameLength / DELTA_TIME);
+
+    let steps = 0;
+    let state;
+    do {
+      state = core.step(idle, DELTA_TIME);
+      steps++;
+    } while (!state.done);
+    expect(state.outcome).toContain('tie');
+    expect(steps).toBe(maxSteps);
+  });
+});
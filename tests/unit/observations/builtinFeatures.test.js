@@ -0,0 +1,36 @@
+import { SaberGameCore } from '../../../src/game/SaberGameCore.js';
+
+describe('built-in observation features', () => {
+  /**
+   * Observe the default layout with the first body's saber turned to an angle
+   * @param {number} angle - Saber angle in radians
+   * @returns {number} Observed saberAngle value of the first body, seen by player 0
+   */
+  const observeSaberAngle = (angle) => {
+    const core = new SaberGameCore();
+    core.reset(3);
+    const snapshot = core.getSnapshot();
+    snapshot.entities[0].saber.angle = angle;
+    const { observations } = core.restoreSnapshot(snapshot);
+    const feature = core.getObservationSpec().find(entry => entry.name === 'saberAngle');
+    return observations[0][feature.offset];
+  };
+
+  test('saberAngle maps the full turn onto [0, 1]', () => {
+    expect(observeSaberAngle(0)).toBeCloseTo(0.5);
+    expect(observeSaberAngle(Math.PI / 2)).toBeCloseTo(0.75);
+    expect(observeSaberAngle(3 * Math.PI / 2)).toBeCloseTo(0.25);
+    for (let k = 0; k < 16; k++) {
+      const value = observeSaberAngle(k * Math.PI / 8);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('the default layout keeps the original features and size', () => {
+    const core = new SaberGameCore();
+    expect(core.getObservationSpec().map(entry => entry.name)).toEqual(['position', 'saberAngle', 'saberSpeed', 'time']);
+    expect(core.getObservationSize()).toBe(9);
+    expect(core.reset(3).observations[0]).toHaveLength(9);
+  });
+});
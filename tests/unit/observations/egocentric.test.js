@@ -0,0 +1,81 @@
+import { SaberGameCore } from '../../../src/game/SaberGameCore.js';
+import { GameConfig } from '../../../src/config/config.js';
+
+const withFrame = (frame) => {
+  const config = JSON.parse(JSON.stringify(GameConfig));
+  config.rl.observation.frame = frame;
+  return config;
+};
+
+/**
+ * Rotate a snapshot's bodies a quarter turn about the center of the (square) arena
+ * @param {Object} snapshot - Snapshot from getSnapshot()
+ * @returns {Object} Rotated snapshot
+ */
+function rotateQuarterTurn(snapshot) {
+  const rotated = JSON.parse(JSON.stringify(snapshot));
+  const { x: cx, y: cy } = rotated.arena.center;
+  const turn = v => ({ x: -v.y, y: v.x });
+  for (const entity of rotated.entities) {
+    const offset = turn({ x: entity.position.x - cx, y: entity.position.y - cy });
+    entity.position = { x: cx + offset.x, y: cy + offset.y };
+    entity.velocity = turn(entity.velocity);
+    entity.knockbackVelocity = turn(entity.knockbackVelocity);
+    entity.saber.angle += Math.PI / 2;
+  }
+  rotated.facing = rotated.facing.map(angle => angle + Math.PI / 2);
+  return rotated;
+}
+
+describe('egocentric observations', () => {
+  const playTo = (core) => {
+    core.reset(11);
+    const numPlayers = core.getNumPlayers();
+    for (let step = 0; step < 20; step++) {
+      const actions = Array.from({ length: numPlayers }, (_, i) => [step % 3 === i ? 1 : 0, 0, 0, 1]);
+      core.step(actions, 0.05);
+    }
+    return core.getSnapshot();
+  };
+
+  test('the default layout has no world-frame features', () => {
+    const core = new SaberGameCore(withFrame('egocentric'));
+    const names = core.observationBuilder.describe().map(feature => feature.name);
+    expect(names).not.toEqual(expect.arrayContaining(['heading']));
+    expect(names).not.toEqual(expect.arrayContaining(['wallDistance']));
+    expect(names).not.toEqual(expect.arrayContaining(['position']));
+  });
+
+  test('rotating the arena gives identical observations', () => {
+    const core = new SaberGameCore(withFrame('egocentric'));
+    const snapshot = playTo(core);
+    const original = core.restoreSnapshot(snapshot).observations;
+    const rotated = new SaberGameCore(withFrame('egocentric')).restoreSnapshot(rotateQuarterTurn(snapshot)).observations;
+    rotated.forEach((observation, i) => {
+      observation.forEach((value, k) => expect(value).toBeCloseTo(original[i][k], 9));
+    });
+  });
+
+  test('world-frame observations change under the same rotation', () => {
+    const core = new SaberGameCore(withFrame('world'));
+    const snapshot = playTo(core);
+    const original = core.restoreSnapshot(snapshot).observations;
+    const rotated = new SaberGameCore(withFrame('world')).restoreSnapshot(rotateQuarterTurn(snapshot)).observations;
+    expect(rotated[0]).not.toEqual(original[0]);
+  });
+
+  test('the frame follows the last movement direction, not the spinning saber', () => {
+    const core = new SaberGameCore(withFrame('egocentric'));
+    core.reset(4);
+    const right = [0, 0, 0, 1];
+    const idle = [0, 0, 0, 0];
+    const numPlayers = core.getNumPlayers();
+    core.step(Array.from({ length: numPlayers }, () => right), 0.05);
+    const moving = core.step(Array.from({ length: numPlayers }, () => idle), 0.05).observations[0];
+    const later = core.step(Array.from({ length: numPlayers }, () => idle), 0.05).observations[0];
+    const relativePosition = core.observationBuilder.describe().find(feature => feature.name === 'relativePosition');
+    const slice = observation => observation.slice(relativePosition.offset, relativePosition.offset + relativePosition.size);
+    // Nobody moves, so the opponent's offset in the (unchanged) frame stays the same while sabers spin
+    slice(later).forEach((value, k) => expect(value).toBeCloseTo(slice(moving)[k], 9));
+  });
+});
@@ -0,0 +1,70 @@
+import { GameConfig } from '../../../src/config/config.js';
+import { ReplayPlayer } from '../../../src/game/replay/ReplayPlayer.js';
+import { decodeReplay, encodeReplay, replayFromJSON, replayToJSON } from '../../../src/game/replay/replayFormat.js';
+import { recordEpisode } from './recordEpisode.js';
+
+/**
+ * Play a replay from the start
+ * @param {ReplayPlayer} player - Replay player
+ * @returns {Array} Observations after every step
+ */
+function playAll(player) {
+  player.reset();
+  const observations = [];
+  let state;
+  while ((state = player.step())) observations.push(state.observations);
+  return observations;
+}
+
+describe('ReplayPlayer', () => {
+  const config = structuredClone(GameConfig);
+  config.game.numPlayers = 3;
+  config.game.health.enabled = true;
+  config.arena.hazards.enabled = true;
+  config.arena.pickups.enabled = true;
+  const recording = recordEpisode(config, { maxSteps: 2000 });
+
+  test('plays the episode back exactly as recorded', () => {
+    expect(recording.replay.outcome).not.toBeNull();
+    expect(playAll(new ReplayPlayer(recording.replay, config))).toEqual(recording.observations);
+  });
+
+  test.each([
+    ['JSON', replay => replayFromJSON(replayToJSON(replay))],
+    ['binary', replay => decodeReplay(encodeReplay(replay))]
+  ])('verifies a replay saved as %s', (name, roundTrip) => {
+    const player = new ReplayPlayer(roundTrip(recording.replay), config);
+
+    expect(player.verify()).toBe(true);
+    expect(player.isFinished()).toBe(true);
+  });
+
+  test('verify fails when the recorded outcome does not match', () => {
+    const tampered = { ...recording.replay, outcome: [...recording.replay.outcome].reverse() };
+
+    expect(new ReplayPlayer(tampered, config).verify()).toBe(false);
+  });
+
+  test('seeking forward and back lands on the recorded state', () => {
+    const player = new ReplayPlayer(recording.replay, config, { keyframeInterval: 20 });
+    const target = Math.min(73, player.getLength());
+
+    expect(player.seek(target).observations).toEqual(recording.observations[target - 1]);
+    player.seek(target + 30);
+    player.seek(5);
+    expect(player.seek(target).observations).toEqual(recording.observations[target - 1]);
+    expect(player.getStepIndex()).toBe(target);
+    expect(player.seek(-3).observations).toEqual(player.reset().observations);
+  });
+
+  test('plays a recording started mid-episode from its embedded config', () => {
+    const { replay, observations } = recordEpisode(config, { warmup: 40, maxSteps: 200, includeConfig: true });
+
+    expect(replay.snapshot).not.toBeNull();
+    expect(playAll(new ReplayPlayer(JSON.parse(JSON.stringify(replay))))).toEqual(observations);
+  });
+
+  test('rejects a config that differs from the recorded one', () => {
+    expect(() => new ReplayPlayer(recording.replay, GameConfig)).toThrow('different config');
+  });
+});
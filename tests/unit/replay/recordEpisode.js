@@ -0,0 +1,36 @@
+import { SaberGameCore } from '../../../src/game/SaberGameCore.js';
+import { ReplayRecorder } from '../../../src/game/replay/ReplayRecorder.js';
+import { SeededRandom } from '../../../src/utils/SeededRandom.js';
+
+/**
+ * Play an episode with seeded random actions and step sizes while recording it
+ * @param {Object} config - Game config
+ * @param {Object} options - {seed, warmup: steps played before recording starts,
+ *   maxSteps, includeConfig}
+ * @returns {Object} {replay, observations: observations after every recorded step}
+ */
+export function recordEpisode(config, options = {}) {
+  const { seed = 21, warmup = 0, maxSteps = 400, includeConfig = false } = options;
+  const rng = new SeededRandom(4);
+  const core = new SaberGameCore(config);
+  const randomActions = () => Array.from({ length: core.getNumPlayers() }, () => (
+    Array.from({ length: core.getActionSize() }, () => (rng.next() < 0.4 ? 1 : 0))
+  ));
+
+  core.reset(seed);
+  for (let i = 0; i < warmup; i++) core.step(randomActions(), 0.05);
+
+  const recorder = new ReplayRecorder(config, { includeConfig });
+  recorder.start(core);
+  const observations = [];
+  let state;
+  do {
+    const actions = randomActions();
+    const deltaTime = 0.03 + rng.next() * 0.04;
+    recorder.record(actions, deltaTime);
+    state = core.step(actions, deltaTime);
+    observations.push(state.observations);
+  } while (!state.done && observations.length < maxSteps);
+
+  return { replay: recorder.finish(state.done ? state.outcome : null), observations };
+}
@@ -0,0 +1,64 @@
+import { GameConfig } from '../../../src/config/config.js';
+import {
+  REPLAY_FORMAT, REPLAY_VERSION, hashConfig, validateReplay,
+  replayToJSON, replayFromJSON, encodeReplay, decodeReplay
+} from '../../../src/game/replay/replayFormat.js';
+import { recordEpisode } from './recordEpisode.js';
+
+describe('replay format', () => {
+  const { replay } = recordEpisode(GameConfig, { maxSteps: 120 });
+
+  test('the recorder fills in the header and every step', () => {
+    expect(replay).toMatchObject({
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: 21,
+      numPlayers: 2,
+      configHash: hashConfig(GameConfig),
+      config: null,
+      snapshot: null
+    });
+    expect(replay.steps.length).toBeGreaterThan(0);
+    for (const [deltaTime, actions] of replay.steps) {
+      expect(deltaTime).toBeGreaterThan(0);
+      expect(actions).toHaveLength(replay.numPlayers);
+    }
+  });
+
+  test('JSON round-trips the replay', () => {
+    expect(replayFromJSON(replayToJSON(replay))).toEqual(replay);
+  });
+
+  test('binary round-trips the replay with compact actions', () => {
+    const buffer = encodeReplay(replay);
+
+    expect(buffer.byteLength).toBeLessThan(replayToJSON(replay).length);
+    expect(decodeReplay(buffer)).toEqual(replay);
+  });
+
+  test('binary round-trips fractional and missing actions', () => {
+    const steps = [
+      [0.05, [[0.25, -1, 0, 1], null]],
+      [0.04, [[1, 0, 0, 0], [300, 2, 0, 1]]]
+    ];
+    const mixed = { ...replay, steps };
+
+    expect(decodeReplay(encodeReplay(mixed))).toEqual(mixed);
+  });
+
+  test('config hashes ignore key order and change with values', () => {
+    const reordered = Object.fromEntries(Object.entries(GameConfig).reverse());
+    const changed = structuredClone(GameConfig);
+    changed.game.numPlayers = 3;
+
+    expect(hashConfig(reordered)).toBe(hashConfig(GameConfig));
+    expect(hashConfig(changed)).not.toBe(hashConfig(GameConfig));
+  });
+
+  test('rejects data that is not a playable replay', () => {
+    expect(() => validateReplay({ ...replay, format: 'other' })).toThrow('Not a replay');
+    expect(() => validateReplay({ ...replay, version: 99 })).toThrow('Unsupported replay version');
+    expect(() => validateReplay({ ...replay, steps: undefined })).toThrow('Replay has no steps');
+    expect(() => decodeReplay(new ArrayBuffer(16))).toThrow('bad magic');
+  });
+});
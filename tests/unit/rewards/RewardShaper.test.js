@@ -0,0 +1,103 @@
+import { RewardShaper } from '../../../src/game/rewards/RewardShaper.js';
+import { SaberGameCore } from '../../../src/game/SaberGameCore.js';
+import { GameConfig, resolveRewardTerms, validateConfig } from '../../../src/config/config.js';
+
+// Minimal bodies: the built-in distance terms only read positions
+const body = (x, y) => ({ position: { x, y }, radius: 0.5, health: 1, maxHealth: 1 });
+
+const context = (index, self, opponents, extra = {}) => ({
+  index,
+  self,
+  opponents,
+  arena: { bounds: { minX: 0, minY: 0, maxX: 12, maxY: 12 } },
+  deltaTime: 0.05,
+  clashes: [],
+  ...extra
+});
+
+describe('RewardShaper', () => {
+  test('the total is the weighted sum of the terms', () => {
+    const shaper = new RewardShaper({ time: -0.5, distance: { weight: 2 } });
+    shaper.reset([context(0, body(0, 0), [body(3, 4)])]);
+    const { total, terms } = shaper.compute(context(0, body(0, 0), [body(3, 4)]));
+    expect(terms.time).toBeCloseTo(-0.5 * 0.05);
+    expect(terms.distance).toBeCloseTo(2 * 5 * 0.05);
+    expect(total).toBeCloseTo(terms.time + terms.distance);
+  });
+
+  test('zero-weight terms are skipped', () => {
+    expect(new RewardShaper({ time: 0, approach: 1 }).getTermNames()).toEqual(['approach']);
+  });
+
+  test('unknown terms and invalid weights are rejected', () => {
+    expect(() => new RewardShaper({ nope: 1 })).toThrow('Unknown reward term: nope');
+    expect(() => new RewardShaper({ time: 'a lot' })).toThrow('weight must be a finite number');
+  });
+
+  test('approach rewards the distance closed since the last step, per player', () => {
+    const shaper = new RewardShaper({ approach: 1 });
+    shaper.reset([context(0, body(0, 0), [body(10, 0)]), context(1, body(10, 0), [body(0, 0)])]);
+    expect(shaper.compute(context(0, body(2, 0), [body(10, 0)])).total).toBeCloseTo(2);
+    expect(shaper.compute(context(0, body(3, 0), [body(10, 0)])).total).toBeCloseTo(1);
+    // Player 1 still remembers the distance at reset
+    expect(shaper.compute(context(1, body(10, 0), [body(3, 0)])).total).toBeCloseTo(3);
+  });
+
+  test('getState()/setState() carry the term memory over', () => {
+    const shaper = new RewardShaper({ approach: 1 });
+    shaper.reset([context(0, body(0, 0), [body(10, 0)])]);
+    const copy = new RewardShaper({ approach: 1 });
+    copy.setState(shaper.getState());
+    const next = context(0, body(4, 0), [body(10, 0)]);
+    expect(copy.compute(next)).toEqual(shaper.compute(next));
+  });
+
+  test('custom terms can be registered', () => {
+    RewardShaper.registerTerm('testConstant', { compute: (ctx, params) => params.value });
+    const shaper = new RewardShaper({ testConstant: { weight: 3, value: 2 } });
+    shaper.reset([context(0, body(0, 0), [])]);
+    expect(shaper.compute(context(0, body(0, 0), [])).total).toBe(6);
+  });
+
+  test('the clash term counts clashes the player took part in', () => {
+    const shaper = new RewardShaper({ clash: 1 });
+    shaper.reset([context(0, body(0, 0), [])]);
+    const clashes = [{ players: [0, 1] }, { players: [1, 2] }, { players: [2, 0] }];
+    expect(shaper.compute(context(0, body(0, 0), [], { clashes })).total).toBe(2);
+  });
+});
+
+describe('legacy reward keys', () => {
+  test('map onto their terms', () => {
+    expect(resolveRewardTerms({ timePenalty: -0.05, distancePenaltyFactor: 0.5, deltaDistanceRewardFactor: 0.1 }))
+      .toEqual({ time: -0.05, distance: -0.5, approach: 0.1 });
+  });
+
+  test('override the term they map to and keep the others', () => {
+    expect(resolveRewardTerms({ timePenalty: -1, terms: { time: -0.01, clash: 0.2 } }))
+      .toEqual({ time: -1, clash: 0.2 });
+  });
+
+  test('are reported as deprecated', () => {
+    const config = JSON.parse(JSON.stringify(GameConfig));
+    config.rl.rewards.deltaDistanceRewardFactor = 0.1;
+    expect(validateConfig(config).warnings)
+      .toContain('rl.rewards.deltaDistanceRewardFactor is deprecated: use rl.rewards.terms.approach');
+  });
+
+  test('give the same rewards as the equivalent terms', () => {
+    const legacy = JSON.parse(JSON.stringify(GameConfig));
+    legacy.rl.rewards.terms = {};
+    Object.assign(legacy.rl.rewards, { timePenalty: -0.05, deltaDistanceRewardFactor: 0.1 });
+    const current = JSON.parse(JSON.stringify(GameConfig));
+    current.rl.rewards.terms = { time: -0.05, approach: 0.1 };
+
+    const rewardsOf = (config) => {
+      const core = new SaberGameCore(config);
+      core.reset(8);
+      const actions = Array.from({ length: core.getNumPlayers() }, () => [0, 0, 0, 1]);
+      return Array.from({ length: 10 }, () => core.step(actions, 0.05).rewards);
+    };
+    expect(rewardsOf(legacy)).toEqual(rewardsOf(current));
+  });
+});
@@ -0,0 +1,178 @@
+import { Arena } from '../../../src/game/entities/Arena.js';
+import { Player } from '../../../src/game/entities/Player.js';
+import { CollisionSystem } from '../../../src/game/systems/CollisionSystem.js';
+import { SeededRandom } from '../../../src/utils/SeededRandom.js';
+import { Vector2 } from '../../../src/utils/Vector2.js';
+
+const DEG = Math.PI / 180;
+
+describe('CollisionSystem swept saber collisions', () => {
+  const origin = new Vector2(10, 10);
+
+  // Attacker at the origin whose blade turned from `from` to `to` (degrees) during the step
+  const createAttacker = (from, to) => {
+    const attacker = new Player('attacker', origin.clone());
+    attacker.saber.setAngle(to * DEG);
+    attacker.saber.lastSweep = (to - from) * DEG;
+    return attacker;
+  };
+
+  // Victim standing `distance` away from the origin in direction `angle` (degrees)
+  const createVictim = (id, angle, distance = 1.9) => new Player(id, new Vector2(
+    origin.x + Math.cos(angle * DEG) * distance,
+    origin.y + Math.sin(angle * DEG) * distance
+  ));
+
+  const createSystem = (obstacles = []) => {
+    const arena = new Arena('arena-test', undefined, undefined, new SeededRandom(1));
+    arena.setObstacles(obstacles);
+    arena.setObstaclesBlockSabers(true);
+    return new CollisionSystem(arena);
+  };
+
+  test('a blade sweeping through a body hits it even when neither end pose touches it', () => {
+    const system = createSystem();
+    const attacker = createAttacker(0, 90);
+    const victim = createVictim('victim', 45);
+
+    expect(system.checkSaberToEntityCollision(attacker, victim)).toBeNull();
+    const collision = system.sweptSaberToEntityCollision(attacker, victim);
+    expect(collision).not.toBeNull();
+    expect(collision.fraction).toBeGreaterThan(0);
+    expect(collision.fraction).toBeLessThan(0.5);
+    expect(collision.distance).toBeLessThanOrEqual(victim.getRadius() + system.saberCollisionTolerance + 1e-6);
+  });
+
+  test('a body running through a still blade is hit', () => {
+    const system = createSystem();
+    const attacker = createAttacker(0, 0);
+    const victim = createVictim('victim', 0);
+    victim.previousPosition = new Vector2(origin.x + 1, origin.y - 3);
+    victim.setPosition(new Vector2(origin.x + 1, origin.y + 3));
+
+    const collision = system.sweptSaberToEntityCollision(attacker, victim);
+    expect(collision).not.toBeNull();
+    expect(collision.fraction).toBeGreaterThan(0);
+    expect(collision.fraction).toBeLessThan(1);
+  });
+
+  test('time of impact orders hits along the sweep', () => {
+    const system = createSystem();
+    const attacker = createAttacker(0, 180);
+    const first = system.sweptSaberToEntityCollision(attacker, createVictim('first', 60));
+    const second = system.sweptSaberToEntityCollision(attacker, createVictim('second', 130));
+
+    expect(first.fraction).toBeLessThan(second.fraction);
+  });
+
+  test('a blade leaving an obstacle hits a body just past its edge', () => {
+    // The obstacle cuts the blade short for directions within ~42 degrees of 0, so the
+    // clipped blade reaches the victim only between ~42 and ~50 degrees of the sweep
+    const system = createSystem([{ type: 'circle', x: origin.x + 0.6, y: origin.y, radius: 0.4 }]);
+    const attacker = createAttacker(-40, 90);
+    const collision = system.sweptSaberToEntityCollision(attacker, createVictim('victim', 36, 2.3));
+
+    expect(collision).not.toBeNull();
+    const angle = -40 + collision.fraction * 130;
+    expect(angle).toBeGreaterThan(41);
+    expect(angle).toBeLessThan(50);
+  });
+
+  test('a body hidden behind an obstacle is not hit', () => {
+    const system = createSystem([{ type: 'circle', x: origin.x + 0.6, y: origin.y, radius: 0.4 }]);
+    const attacker = createAttacker(-20, 20);
+
+    expect(system.sweptSaberToEntityCollision(attacker, createVictim('victim', 0))).toBeNull();
+  });
+
+  test('sampling the step finds the hit when advancement runs out of iterations', () => {
+    const system = createSystem();
+    system.maxSweepIterations = 1;
+    const collision = system.sweptSaberToEntityCollision(createAttacker(0, 90), createVictim('victim', 45));
+
+    expect(collision).not.toBeNull();
+    expect(collision.fraction).toBeLessThan(0.5);
+  });
+});
+
+describe('CollisionSystem damage model', () => {
+  const origin = new Vector2(10, 10);
+
+  // Attacker whose blade swept from 0 to 90 degrees through a victim standing at 45 degrees
+  const createDuel = (id = 'attacker') => {
+    const attacker = new Player(id, origin.clone());
+    attacker.saber.setAngle(90 * DEG);
+    attacker.saber.lastSweep = 90 * DEG;
+    const victim = new Player('victim', new Vector2(origin.x + 1.9 * Math.cos(45 * DEG), origin.y + 1.9 * Math.sin(45 * DEG)));
+    victim.setMaxHealth(3);
+    return { attacker, victim };
+  };
+
+  const createSystem = () => {
+    const system = new CollisionSystem(new Arena('arena-test', undefined, undefined, new SeededRandom(1)));
+    system.setDamageModel({ damagePerHit: 1, invulnerabilityTime: 0.5, knockbackSpeed: 2 });
+    return system;
+  };
+
+  test('a hit on a body with health to spare damages it without eliminating it', () => {
+    const system = createSystem();
+    const { attacker, victim } = createDuel();
+    const results = system.checkCollisions([attacker], [victim], 0.05);
+
+    expect(results.saberCollisions.map(collision => collision.victim)).toEqual([victim]);
+    expect(results.saberCollisions[0].damage).toBe(1);
+    expect(results.eliminated).toEqual([]);
+    expect(results.gameOver).toBe(false);
+    expect(victim.getHealth()).toBe(2);
+    expect(victim.isInvulnerable()).toBe(true);
+
+    // Knockback pushes the victim away from the attacker
+    const away = victim.getPosition().clone().subtract(attacker.getPosition());
+    expect(victim.knockbackVelocity.x * away.x + victim.knockbackVelocity.y * away.y).toBeGreaterThan(0);
+  });
+
+  test('a second hit inside the invulnerability window is ignored', () => {
+    const system = createSystem();
+    const { attacker, victim } = createDuel();
+    system.checkCollisions([attacker], [victim], 0.05);
+
+    const again = system.checkCollisions([attacker], [victim], 0.05);
+    expect(again.saberCollisions).toHaveLength(1);
+    expect(again.saberCollisions[0].blocked).toBe(true);
+    expect(victim.getHealth()).toBe(2);
+
+    // Once the window has passed, hits land again
+    victim.updateStatus(0.6);
+    expect(victim.isInvulnerable()).toBe(false);
+    system.checkCollisions([attacker], [victim], 0.05);
+    expect(victim.getHealth()).toBe(1);
+  });
+
+  test('only the first of two hits in the same step lands', () => {
+    const system = createSystem();
+    const { attacker, victim } = createDuel();
+    const second = createDuel('second').attacker;
+    // Teammates sharing a spot cannot cut each other
+    attacker.team = 0;
+    second.team = 0;
+    victim.team = 1;
+    const results = system.checkCollisions([attacker], [second, victim], 0.05);
+
+    const onVictim = results.saberCollisions.filter(collision => collision.victim === victim);
+    expect(onVictim).toHaveLength(2);
+    expect(onVictim.filter(collision => collision.blocked)).toHaveLength(1);
+    expect(victim.getHealth()).toBe(2);
+  });
+
+  test('the hit that empties health eliminates the body', () => {
+    const system = createSystem();
+    const { attacker, victim } = createDuel();
+    victim.takeDamage(2);
+    const results = system.checkCollisions([attacker], [victim], 0.05);
+
+    expect(victim.getHealth()).toBe(0);
+    expect(results.eliminated).toEqual([victim]);
+    expect(results.gameOver).toBe(true);
+    expect(results.winner).toBe(attacker);
+  });
+});
@@ -0,0 +1,38 @@
+import { Arena } from '../../../src/game/entities/Arena.js';
+import { HazardSystem } from '../../../src/game/systems/HazardSystem.js';
+import { SeededRandom } from '../../../src/utils/SeededRandom.js';
+
+describe('HazardSystem spawns', () => {
+  const createArena = () => {
+    const arena = new Arena('arena-test', undefined, undefined, new SeededRandom(1));
+    arena.setObstacles([
+      { type: 'circle', x: 10, y: 10, radius: 4 },
+      { type: 'rect', x: 4, y: 4, width: 5, height: 5 }
+    ]);
+    return arena;
+  };
+
+  test.each(['damage', 'slow', 'blade'])('%s hazards never spawn inside obstacles', (type) => {
+    for (let seed = 0; seed < 50; seed++) {
+      const arena = createArena();
+      const system = new HazardSystem(arena, { types: [type], spawnInterval: 1 }, new SeededRandom(seed));
+      const hazard = system.spawn([]);
+      expect(hazard).not.toBeNull();
+      const clearance = type === 'blade' ? hazard.length : 0;
+      expect(arena.isPositionValid(hazard.position.x, hazard.position.y, clearance)).toBe(true);
+    }
+  });
+
+  test('spawns are reproducible from the seed', () => {
+    const positions = () => {
+      const system = new HazardSystem(createArena(), { spawnInterval: 1 }, new SeededRandom(9));
+      return Array.from({ length: 5 }, () => {
+        const hazard = system.spawn([]);
+        return hazard && { type: hazard.type, ...hazard.position };
+      });
+    };
+    const first = positions();
+    expect(first.every(Boolean)).toBe(true);
+    expect(positions()).toEqual(first);
+  });
+});
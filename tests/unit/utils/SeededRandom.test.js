@@ -0,0 +1,43 @@
+import { SeededRandom } from '../../../src/utils/SeededRandom.js';
+
+const draw = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+describe('SeededRandom', () => {
+  test('instances with the same seed produce the same sequence', () => {
+    expect(draw(new SeededRandom(1234), 100)).toEqual(draw(new SeededRandom(1234), 100));
+  });
+
+  test('different seeds produce different sequences', () => {
+    expect(draw(new SeededRandom(1), 10)).not.toEqual(draw(new SeededRandom(2), 10));
+  });
+
+  test('values stay in range', () => {
+    const rng = new SeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+      const n = rng.int(3, 9);
+      expect(Number.isInteger(n) && n >= 3 && n < 9).toBe(true);
+    }
+  });
+
+  test('reset() restarts the sequence', () => {
+    const rng = new SeededRandom(99);
+    const first = draw(rng, 20);
+    rng.reset();
+    expect(draw(rng, 20)).toEqual(first);
+  });
+
+  test('getState()/setState() resume the sequence on another instance', () => {
+    const rng = new SeededRandom(42);
+    draw(rng, 17);
+    const copy = new SeededRandom(0);
+    copy.setState(rng.getState());
+    expect(draw(copy, 50)).toEqual(draw(rng, 50));
+  });
+
+  test('rejects non-numeric seeds', () => {
+    expect(() => new SeededRandom('abc')).toThrow('Invalid seed');
+  });
+});
@@ -0,0 +1,92 @@
+import { SaberGameCore } from '../../../src/game/SaberGameCore.js';
+import { FrameStackCore } from '../../../src/game/wrappers/FrameStackCore.js';
+
+/**
+ * Minimal GameCore whose observation is [step, player, step * step] for each of two players
+ */
+class CounterCore {
+  constructor() {
+    this.count = 0;
+  }
+
+  observe() {
+    return [0, 1].map(player => [this.count, player, this.count * this.count]);
+  }
+
+  reset(start = 0) {
+    this.count = start;
+    return { observations: this.observe(), rewards: [0, 0], done: false };
+  }
+
+  step() {
+    this.count++;
+    return { observations: this.observe(), rewards: [1, -1], done: false };
+  }
+
+  getNumPlayers() { return 2; }
+  getObservationSize() { return 3; }
+  getActionSize() { return 4; }
+  getActionSpaces() { return ['discrete']; }
+}
+
+describe('FrameStackCore', () => {
+  test('stack mode puts the newest frame first', () => {
+    const core = new FrameStackCore(new CounterCore(), { frames: 3, mode: 'stack' });
+    core.reset();
+    core.step([], 0.05);
+    const state = core.step([], 0.05);
+
+    expect(state.observations[0]).toEqual([2, 0, 4, 1, 0, 1, 0, 0, 0]);
+    expect(state.observations[1]).toEqual([2, 1, 4, 1, 1, 1, 0, 1, 0]);
+    expect(state.rewards).toEqual([1, -1]);
+  });
+
+  test('delta mode keeps the current frame followed by frame differences', () => {
+    const core = new FrameStackCore(new CounterCore(), { frames: 3, mode: 'delta' });
+    core.reset();
+    core.step([], 0.05);
+    const state = core.step([], 0.05);
+
+    expect(state.observations[0]).toEqual([2, 0, 4, 1, 0, 3, 1, 0, 1]);
+  });
+
+  test('reset fills the history with the initial observation', () => {
+    const stack = new FrameStackCore(new CounterCore(), { frames: 2, mode: 'stack' });
+    const delta = new FrameStackCore(new CounterCore(), { frames: 2, mode: 'delta' });
+
+    expect(stack.reset(5).observations[0]).toEqual([5, 0, 25, 5, 0, 25]);
+    expect(delta.reset(5).observations[0]).toEqual([5, 0, 25, 0, 0, 0]);
+
+    stack.step([], 0.05);
+    expect(stack.reset(1).observations[0]).toEqual([1, 0, 1, 1, 0, 1]);
+  });
+
+  test('sizes scale the observation and pass the rest through', () => {
+    const core = new FrameStackCore(new CounterCore(), { frames: 4 });
+
+    expect(core.getObservationSize()).toBe(12);
+    expect(core.reset().observations[0]).toHaveLength(12);
+    expect(core.getNumPlayers()).toBe(2);
+    expect(core.getActionSize()).toBe(4);
+    expect(core.getActionSpaces()).toEqual(['discrete']);
+  });
+
+  test.each(['stack', 'delta'])('wraps SaberGameCore and nested wrappers in %s mode', (mode) => {
+    const game = new SaberGameCore();
+    const core = new FrameStackCore(new FrameStackCore(game, { frames: 2 }), { frames: 3, mode });
+    const state = core.reset(7);
+
+    expect(core.unwrap().unwrap()).toBe(game);
+    expect(core.getObservationSize()).toBe(game.getObservationSize() * 6);
+    for (const observation of state.observations) {
+      expect(observation).toHaveLength(core.getObservationSize());
+    }
+  });
+
+  test('rejects invalid options and stepping before reset', () => {
+    expect(() => new FrameStackCore(new CounterCore(), { frames: 0 })).toThrow('Invalid frame count');
+    expect(() => new FrameStackCore(new CounterCore(), { frames: 1.5 })).toThrow('Invalid frame count');
+    expect(() => new FrameStackCore(new CounterCore(), { mode: 'diff' })).toThrow('Invalid frame stack mode');
+    expect(() => new FrameStackCore(new CounterCore()).step([], 0.05)).toThrow('called before reset()');
+  });
+});